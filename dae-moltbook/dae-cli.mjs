@@ -0,0 +1,656 @@
+#!/usr/bin/env node
+// DAE maintenance CLI — offline operations on the agent's saved state
+// Created by smaxforn
+//
+// Usage: node dae-cli.mjs <command> [options]
+//
+// Commands:
+//   consolidate   Merge related episodes into topical episodes ("sleep")
+//                 --threshold <0..1>  --match <regex>  --max-group <n>  --dry-run
+//   conscious list|show|edit|pin|unpin|delete|dedupe|expire
+//                 Manage <salient> entries; ids may be unambiguous prefixes
+//                 list --tag <t> --json   edit <id> "<text>"   delete <id> --force
+//                 dedupe --threshold <0..1> --dry-run
+//   replay        Rebuild memory from the journal (.dae-state/journal)
+//                 --seed <n>  --dedupe <0..1>  --tokenizer <t>  --chunk-strategy <s>
+//                 --chunk-size <n>  --params '<json>'  --up-to <seq>  --out <file> | --apply
+//   snapshot list|take|diff|restore
+//                 Point-in-time copies of the state in <state dir>/snapshots
+//                 take [reason]   diff <a> [b]  (b defaults to the current state)
+//                 restore <name>  (names may be unique prefixes)
+//   stats         Manifold health: Kuramoto order, anchoring, activation,
+//                 spread, IDF and episode mass     --words <n>  --json
+//   peek "<query>"
+//                 Show the memory context a query would get, without changing anything
+//                 --budget-tokens <n>  --params '<json>'
+//   explain "<query>"
+//                 Trace why memories surface for a query (read-only, like peek)
+//                 --budget-tokens <n>  --params '<json>'  --json
+//   eval <cases.jsonl>
+//                 Score recall against expected neighborhoods (read-only):
+//                 hit rate, MRR and per-slot precision
+//                 --state <file|snapshot>  --params '<json>'  --compare '<json>'
+//                 --budget-tokens <n>  --cases  --json
+//   export book|csv|graphml|gexf
+//                 Memory book (Markdown), occurrences CSV, or the word–neighborhood
+//                 co-activation graph for Gephi; read-only
+//                 --out <file|->  --state <file|snapshot>  --all (graph: dormant occurrences too)
+//   ledger        Posts, comments and notifications the agent handled, newest last
+//                 --outcome replied|skipped|failed  --author <name>  --limit <n>  --json
+//   policy        Reply policy decisions: how often each rule declined, and the
+//                 latest decisions with their signals
+//                 --rule <rule|reply>  --author <name>  --limit <n>  --json
+//
+// Reads DAE_STATE_DIR, DAE_STATE_FORMAT and DAE_SNAPSHOT_KEEP like the agent.
+// Commands that change the state snapshot it first and append to the
+// journal when there is one. Stop the agent before
+// running them: it keeps its own copy in memory and would overwrite changes.
+
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { QueryEngine, consolidateEpisodes, createParams, evaluateRetrieval } from './dae-core.mjs';
+import {
+    DEFAULT_SNAPSHOT_KEEP, stateFileName, readStateFile, writeStateFile, loadStateWithRecovery,
+    listSnapshots, takeSnapshot, findSnapshot, diffSystems,
+} from './dae-state.mjs';
+import { journalPath, openJournal, readJournal, replayJournal } from './dae-journal.mjs';
+import { EXPORT_FORMATS, exportSystem } from './dae-export.mjs';
+import { LEDGER_OUTCOMES, readLedger } from './dae-ledger.mjs';
+import { DEFAULT_POLICY, readDecisions } from './dae-policy.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const stateDir = process.env.DAE_STATE_DIR || join(__dirname, '.dae-state');
+const stateFormat = process.env.DAE_STATE_FORMAT || 'json';
+const snapshotKeep = parseInt(process.env.DAE_SNAPSHOT_KEEP || String(DEFAULT_SNAPSHOT_KEEP));
+
+// ============================================================
+// ARGS
+// ============================================================
+
+const command = process.argv[2];
+const argv = process.argv.slice(3);
+
+function flag(name) {
+    return argv.includes(`--${name}`);
+}
+
+function option(name, fallback = null) {
+    const i = argv.indexOf(`--${name}`);
+    return i !== -1 && argv[i + 1] !== undefined ? argv[i + 1] : fallback;
+}
+
+function numberOption(name, fallback) {
+    const v = option(name);
+    return v === null ? fallback : parseFloat(v);
+}
+
+// Bare arguments, skipping the values of the named --options
+function positionals(...valued) {
+    return argv.filter((a, i) => !a.startsWith('--') && !valued.includes(argv[i - 1]?.replace(/^--/, '')));
+}
+
+// --params '{"threshold":0.4}' — engine parameter overrides
+function paramsOption() {
+    const v = option('params');
+    if (v === null) return null;
+    try {
+        return JSON.parse(v);
+    } catch (e) {
+        throw new Error(`--params must be a JSON object: ${e.message}`);
+    }
+}
+
+// Read-only commands try parameters on the loaded state without saving them
+function withParams(system) {
+    const params = paramsOption();
+    if (params) system.params = createParams({ ...system.params, ...params });
+    return system;
+}
+
+// Drop unset options so engine defaults apply
+function defined(options) {
+    return Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined && v !== null));
+}
+
+// ============================================================
+// STATE
+// ============================================================
+
+// Same fallback as the agent: either format, then .bak copies, then snapshots
+function loadState() {
+    const { path, data, failures } = loadStateWithRecovery(stateDir, stateFormat);
+    failures.forEach(f => console.error(`Warning: ${f.path} failed to load: ${f.error}`));
+    if (!data) {
+        console.error(failures.length > 0 ? 'No readable state, backup or snapshot.' : `No saved state in ${stateDir}/`);
+        process.exit(1);
+    }
+    if (failures.length > 0) console.error(`Using ${path}`);
+    return data;
+}
+
+// --state <file|snapshot> for read-only commands, else the live state
+function loadStateOption() {
+    const statePath = option('state');
+    if (!statePath) return loadState();
+    if (existsSync(statePath)) return readStateFile(statePath);
+    const s = findSnapshot(stateDir, statePath);
+    if (!s) throw new Error(`No state file or snapshot "${statePath}"`);
+    return readStateFile(s.path);
+}
+
+// Journal offline changes too, so a replay includes them
+function journalRecord(type, fields) {
+    if (process.env.DAE_JOURNAL === '0' || !existsSync(journalPath(stateDir))) return null;
+    return openJournal(stateDir).append(type, fields);
+}
+
+function journalBase(path, reason) {
+    if (process.env.DAE_JOURNAL === '0' || !existsSync(journalPath(stateDir))) return null;
+    return openJournal(stateDir).recordBase(path, { reason });
+}
+
+// Snapshot what is on disk, then overwrite it
+function saveState(state, reason = command) {
+    const snapshot = takeSnapshot(stateDir, { reason, keep: snapshotKeep });
+    if (snapshot) console.log(`Snapshot: ${snapshot.name}`);
+    const path = join(stateDir, stateFileName(stateFormat));
+    writeStateFile(path, {
+        ...state,
+        timestamp: new Date().toISOString(),
+    }, stateFormat);
+    return path;
+}
+
+// ============================================================
+// COMMANDS
+// ============================================================
+
+function consolidate() {
+    const state = loadState();
+    const options = defined({
+        threshold: numberOption('threshold'),
+        maxGroupSize: numberOption('max-group'),
+        match: option('match'),
+    });
+    const report = consolidateEpisodes(state.system, { ...options, dryRun: flag('dry-run') });
+
+    for (const g of report.groups) {
+        console.log(`${g.name} ← ${g.members.length} episodes, ${g.neighborhoods} neighborhoods, ${g.occurrences} occurrences`);
+        g.members.forEach(m => console.log(`    ${m.name}`));
+    }
+    console.log(`Episodes: ${report.before} → ${report.after}`);
+
+    if (flag('dry-run')) {
+        console.log('Dry run — state not written.');
+    } else if (report.groups.length > 0) {
+        saveState(state);
+        journalRecord('consolidate', { options, groups: report.groups.map(g => g.name) });
+        console.log(`State saved to ${stateDir}/`);
+    }
+}
+
+function conscious() {
+    const [action = 'list', id, text] = positionals('threshold', 'tag');
+    const state = loadState();
+    const { system } = state;
+    const short = (n) => n.id.slice(0, 8);
+    let change = null;   // journal record for the edit
+
+    switch (action) {
+        case 'list': {
+            const tag = option('tag');
+            const entries = system.listConscious().filter(e => !tag || e.tags.includes(tag));
+            if (flag('json')) {
+                console.log(JSON.stringify(entries, null, 2));
+                return;
+            }
+            entries.forEach(e => {
+                const age = e.ageDays === null ? '?' : `${e.ageDays.toFixed(1)}d`;
+                const text = e.text.replace(/\s+/g, ' ');
+                console.log(`${e.id.slice(0, 8)} ${e.pinned ? 'P' : ' '} ${age.padStart(7)}  act ${String(e.activation).padStart(4)}  ` +
+                    (text.length > 80 ? text.slice(0, 77) + '...' : text));
+                const notes = [
+                    e.importance ? `importance ${e.importance}` : null,
+                    e.tags.length > 0 ? `tags ${e.tags.join(', ')}` : null,
+                    e.expiresAt ? `expires ${e.expiresAt}` : null,
+                ].filter(Boolean);
+                if (notes.length > 0) console.log(`${' '.repeat(29)}${notes.join('  ')}`);
+            });
+            console.log(`${entries.length} conscious entries`);
+            return;
+        }
+        case 'show': {
+            const n = system.getConscious(id || '');
+            if (!id || !n) throw new Error(`No conscious entry "${id || ''}"`);
+            console.log(JSON.stringify(system.listConscious().find(e => e.id === n.id), null, 2));
+            return;
+        }
+        case 'edit': {
+            if (!id || !text) throw new Error('Usage: conscious edit <id> "<text>"');
+            const before = system.getConscious(id)?.text;
+            const n = system.editConscious(id, text);
+            change = { action, text: before, newText: text };
+            console.log(`Edited ${short(n)}: ${n.count} occurrences`);
+            break;
+        }
+        case 'pin':
+        case 'unpin': {
+            if (!id) throw new Error(`Usage: conscious ${action} <id>`);
+            const n = system.pinConscious(id, action === 'pin');
+            change = { action, text: n.text };
+            console.log(`${action === 'pin' ? 'Pinned' : 'Unpinned'} ${short(n)}`);
+            break;
+        }
+        case 'delete': {
+            if (!id) throw new Error('Usage: conscious delete <id> [--force]');
+            const n = system.deleteConscious(id, { force: flag('force') });
+            change = { action, text: n.text };
+            console.log(`Deleted ${short(n)}`);
+            break;
+        }
+        case 'dedupe': {
+            const threshold = numberOption('threshold');
+            const merges = system.dedupeConscious(defined({ threshold, dryRun: flag('dry-run') }));
+            change = defined({ action, threshold });
+            merges.forEach(m => console.log(`${m.removed.slice(0, 8)} → ${m.kept.slice(0, 8)}  (overlap ${m.similarity.toFixed(2)})`));
+            console.log(`${merges.length} duplicate(s)`);
+            if (flag('dry-run') || merges.length === 0) {
+                if (flag('dry-run')) console.log('Dry run — state not written.');
+                return;
+            }
+            break;
+        }
+        case 'expire': {
+            const expired = system.expireConscious();
+            expired.forEach(n => console.log(`Expired ${short(n)} (${n.expiresAt})`));
+            console.log(`${expired.length} expired`);
+            if (expired.length === 0) return;
+            break;
+        }
+        default:
+            throw new Error(`Unknown conscious action "${action}" (list, show, edit, pin, unpin, delete, dedupe, expire)`);
+    }
+    saveState(state);
+    if (change) journalRecord('conscious', change);
+    console.log(`State saved to ${stateDir}/`);
+}
+
+function replay() {
+    const { records, skipped } = readJournal(stateDir);
+    if (records.length === 0) throw new Error(`No journal in ${stateDir}/journal/`);
+    if (skipped > 0) console.error(`Warning: ${skipped} unreadable journal line(s) skipped`);
+
+    const chunking = defined({ strategy: option('chunk-strategy'), size: numberOption('chunk-size') });
+    const result = replayJournal(records, defined({
+        stateDir,
+        seed: option('seed'),
+        dedupe: numberOption('dedupe'),
+        tokenizer: option('tokenizer'),
+        chunker: Object.keys(chunking).length > 0 ? chunking : null,
+        params: paramsOption(),
+        upTo: numberOption('up-to'),
+    }));
+    const { system, stats } = result;
+
+    console.log(`Replayed ${stats.records} record(s) from ${result.from}: ${stats.ingests} ingests, ` +
+        `${stats.episodes} episodes, ${stats.queries} queries, ${stats.replies} replies`);
+    stats.skipped.forEach(s => console.log(`  skipped #${s.seq} ${s.type}: ${s.reason}`));
+    console.log(`N=${system.N}  Episodes=${system.episodes.length}  Conscious=${system.consciousEpisode.neighborhoods.length}`);
+
+    const state = {
+        system,
+        conversationHistory: result.conversationHistory,
+        conversationBuffer: result.conversationBuffer,
+    };
+    if (flag('apply')) {
+        saveState(state);
+        console.log(`Live state replaced in ${stateDir}/`);
+        return;
+    }
+    const out = option('out', join(stateDir, 'replay.json'));
+    writeStateFile(out, state);
+    console.log(`Written to ${out} (live state untouched; --apply to replace it)`);
+}
+
+function snapshot() {
+    const [action = 'list', a, b] = positionals();
+    const resolve = (name) => {
+        const s = findSnapshot(stateDir, name);
+        if (!s) throw new Error(`No snapshot "${name}" in ${stateDir}/snapshots/`);
+        return s;
+    };
+
+    switch (action) {
+        case 'list': {
+            const snapshots = listSnapshots(stateDir);
+            if (flag('json')) {
+                console.log(JSON.stringify(snapshots, null, 2));
+                return;
+            }
+            snapshots.forEach(s => console.log(`${s.name.padEnd(48)} ${(s.size / 1024).toFixed(1).padStart(9)} KB`));
+            console.log(`${snapshots.length} snapshot(s), keeping ${snapshotKeep}`);
+            return;
+        }
+        case 'take': {
+            const s = takeSnapshot(stateDir, { reason: a || 'manual', keep: snapshotKeep });
+            if (!s) throw new Error(`No saved state in ${stateDir}/`);
+            console.log(`Snapshot: ${s.name}`);
+            return;
+        }
+        case 'diff': {
+            if (!a) throw new Error('Usage: snapshot diff <a> [b]');
+            const before = readStateFile(resolve(a).path).system;
+            const after = (b && b !== 'current' ? readStateFile(resolve(b).path) : loadState()).system;
+            const diff = diffSystems(before, after);
+            if (flag('json')) {
+                console.log(JSON.stringify(diff, null, 2));
+                return;
+            }
+            const line = (text) => text.replace(/\s+/g, ' ').slice(0, 70);
+            const delta = diff.N.after - diff.N.before;
+            console.log(`N ${diff.N.before} → ${diff.N.after} (${delta >= 0 ? '+' : ''}${delta})`);
+            diff.episodes.added.forEach(e => console.log(`  + episode ${e.name} (${e.count})`));
+            diff.episodes.removed.forEach(e => console.log(`  - episode ${e.name} (${e.count})`));
+            diff.episodes.changed.forEach(e => console.log(`  ~ episode ${e.name} (${e.countBefore} → ${e.count})`));
+            diff.conscious.added.forEach(n => console.log(`  + conscious ${n.id.slice(0, 8)} ${line(n.text)}`));
+            diff.conscious.removed.forEach(n => console.log(`  - conscious ${n.id.slice(0, 8)} ${line(n.text)}`));
+            diff.conscious.edited.forEach(n => console.log(`  ~ conscious ${n.id.slice(0, 8)} ${line(n.text)}`));
+            return;
+        }
+        case 'restore': {
+            if (!a) throw new Error('Usage: snapshot restore <name>');
+            const source = resolve(a);
+            const data = readStateFile(source.path);
+            journalBase(saveState(data, 'pre-restore'), 'restore');
+            console.log(`Restored ${source.name} (N=${data.system.N})`);
+            return;
+        }
+        default:
+            throw new Error(`Unknown snapshot action "${action}" (list, take, diff, restore)`);
+    }
+}
+
+function stats() {
+    const { system } = loadState();
+    const d = system.diagnostics({ topWords: numberOption('words', 10) });
+    if (flag('json')) {
+        console.log(JSON.stringify(d, null, 2));
+        return;
+    }
+
+    const pct = (x) => `${(x * 100).toFixed(1)}%`;
+    const f = (x) => x.toFixed(3);
+    const dist = (s) => `min ${f(s.min)}  median ${f(s.median)}  mean ${f(s.mean)}  p90 ${f(s.p90)}  max ${f(s.max)}`;
+
+    console.log(`N=${d.N}  Episodes=${d.episodes}  Neighborhoods=${d.neighborhoods}  Conscious=${d.conscious}  Words=${d.distinctWords}`);
+    console.log(`\nKURAMOTO   overall R ${f(d.kuramoto.overall)}  mean word R ${f(d.kuramoto.meanWordR)}`);
+    d.kuramoto.words.forEach(w => console.log(`  ${w.word.padEnd(20)} R ${f(w.R)}  (${w.occurrences} occurrences)`));
+    console.log(`\nANCHORING  anchored ${pct(d.anchoring.anchored)}  mobile ${pct(d.anchoring.mobile)}  dormant ${pct(d.anchoring.dormant)}`);
+    console.log(`ACTIVATION ${dist(d.activation)}`);
+    console.log(`  ${Object.entries(d.activation.histogram).map(([k, v]) => `${k}:${v}`).join('  ')}`);
+    console.log(`SPREAD     ${dist(d.spread)}  (radius ${f(d.spread.radius)})`);
+    console.log(`IDF        ${dist(d.idf)}`);
+    console.log('\nEPISODE MASS');
+    d.episodeMass.forEach(e => {
+        console.log(`  ${pct(e.mass).padStart(6)} mass  ${pct(e.activationShare).padStart(6)} activation  ${e.name}`);
+    });
+    if (d.warnings.length > 0) {
+        console.log('\nWARNINGS');
+        d.warnings.forEach(w => console.log(`  ! ${w}`));
+    }
+}
+
+function contextOptions() {
+    const budgetTokens = numberOption('budget-tokens', 0);
+    return { budget: budgetTokens > 0 ? { tokens: budgetTokens } : null };
+}
+
+function peek() {
+    const query = positionals('budget-tokens', 'params')[0];
+    if (!query) {
+        console.error(`Usage: node dae-cli.mjs peek "<query>" [--budget-tokens <n>] [--params '<json>']`);
+        process.exit(1);
+    }
+    const system = withParams(loadState().system);
+    const { context, metrics } = new QueryEngine(system).peek(query, { context: contextOptions() });
+    console.log(context || '(nothing surfaced)');
+    if (metrics.dropped.length > 0 || metrics.trimmed.length > 0) {
+        console.log(`\n[Budget: ${metrics.trimmed.length} trimmed, ${metrics.dropped.length} dropped]`);
+    }
+}
+
+function explain() {
+    const query = positionals('budget-tokens', 'params')[0];
+    if (!query) {
+        console.error(`Usage: node dae-cli.mjs explain "<query>" [--budget-tokens <n>] [--params '<json>'] [--json]`);
+        process.exit(1);
+    }
+    const system = withParams(loadState().system);
+    const { trace, metrics } = new QueryEngine(system).peek(query, {
+        explain: true,
+        context: contextOptions(),
+    });
+    trace.metrics = metrics;
+
+    if (flag('json')) {
+        console.log(JSON.stringify(trace, null, 2));
+        return;
+    }
+
+    const f = (x, d = 4) => (typeof x === 'number' ? x.toFixed(d) : String(x));
+    console.log(`Query: "${trace.query}"\n`);
+    console.log('TOKENS');
+    trace.tokens.forEach(t => {
+        console.log(`  ${t.token.padEnd(20)} idf ${f(t.weight)}  sub ${t.subconscious}  con ${t.conscious}  in ${t.neighborhoods.length} neighborhood(s)`);
+    });
+    console.log(`\nDRIFT  ${trace.drift.queryTokens} query tokens` +
+        (trace.drift.weightFloor !== null ? `, weight floor ${f(trace.drift.weightFloor)}` : '') +
+        ` → ${trace.drift.subconscious} sub / ${trace.drift.conscious} con occurrences drifted`);
+
+    console.log('\nKURAMOTO');
+    if (trace.kuramoto.length === 0) console.log('  (no word shared between conscious and subconscious)');
+    trace.kuramoto.forEach(k => {
+        console.log(`  ${k.word.padEnd(20)} Δθ ${f(k.phaseDiff)}  coupling ${f(k.coupling)}  ` +
+            `shift sub ${f(k.baseDeltaSub)} (×${k.subOccurrences})  con ${f(k.baseDeltaCon)} (×${k.conOccurrences})`);
+    });
+
+    console.log('\nCANDIDATES');
+    trace.candidates.forEach(c => {
+        const words = Object.entries(c.words).map(([w, weight]) => `${w}:${f(weight, 3)}`).join(' ');
+        console.log(`  [${c.kind}] ${c.id.slice(0, 8)} score ${f(c.score)}` +
+            (c.novelty !== null ? ` novelty ${f(c.novelty)}` : '') + `  (${c.episode})`);
+        console.log(`      words ${words}`);
+        console.log(`      → ${c.outcome}`);
+    });
+
+    console.log(`\nSURFACE  ${trace.surface.vividNeighborhoods.length} vivid neighborhood(s), ` +
+        `${trace.surface.vividEpisodes.length} vivid episode(s), ${trace.surface.fragments} fragment(s)`);
+    console.log(`CONTEXT  con:${trace.metrics.conscious} sub:${trace.metrics.subconscious} novel:${trace.metrics.novel}, ` +
+        `${trace.metrics.chars} chars`);
+}
+
+// One case per line (JSONL) or a JSON array:
+//   { "query": "...", "ids": ["<id or prefix>"], "text": ["<fragment>"] }
+function readEvalCases(path) {
+    const raw = readFileSync(path, 'utf-8');
+    const cases = raw.trimStart().startsWith('[')
+        ? JSON.parse(raw)
+        : raw.split('\n').map((line, i) => [line, i + 1]).filter(([line]) => line.trim()).map(([line, n]) => {
+            try {
+                return JSON.parse(line);
+            } catch (e) {
+                throw new Error(`${path}:${n}: ${e.message}`);
+            }
+        });
+    cases.forEach((c, i) => {
+        if (typeof c.query !== 'string' || !c.query.trim()) throw new Error(`Case ${i + 1} has no query`);
+        if ([].concat(c.ids || [], c.text || []).length === 0) throw new Error(`Case ${i + 1} ("${c.query}") expects no ids or text`);
+    });
+    return cases;
+}
+
+// A parameter set is engine params, plus optional composeContext "slots"
+function parameterSet(name) {
+    const v = option(name);
+    if (v === null) return { params: null, slots: null };
+    let set;
+    try {
+        set = JSON.parse(v);
+    } catch (e) {
+        throw new Error(`--${name} must be a JSON object: ${e.message}`);
+    }
+    const { slots = null, ...params } = set;
+    return { params, slots };
+}
+
+function evaluate() {
+    const casesPath = positionals('state', 'params', 'compare', 'budget-tokens')[0];
+    if (!casesPath) {
+        console.error('Usage: node dae-cli.mjs eval <cases.jsonl> [--state <file|snapshot>] ' +
+            "[--params '<json>'] [--compare '<json>'] [--budget-tokens <n>] [--cases] [--json]");
+        process.exit(1);
+    }
+    const cases = readEvalCases(casesPath);
+    const { system } = loadStateOption();
+
+    const run = ({ params, slots }) => evaluateRetrieval(system, cases, {
+        params,
+        context: { ...contextOptions(), ...(slots ? { slots } : {}) },
+    });
+    const sets = [parameterSet('params')];
+    if (option('compare') !== null) sets.push(parameterSet('compare'));
+    const reports = sets.map(run);
+
+    if (flag('json')) {
+        console.log(JSON.stringify(reports.length > 1 ? { a: reports[0], b: reports[1] } : reports[0], null, 2));
+        return;
+    }
+
+    const pct = (x) => (x === null ? '—' : `${(x * 100).toFixed(1)}%`);
+    const signed = (x, fmt) => (x >= 0 ? '+' : '−') + fmt(Math.abs(x));
+    const row = (label, values, delta) => console.log(label.padEnd(24) + values.map(v => v.padStart(14)).join('') +
+        (delta !== undefined ? delta.padStart(12) : ''));
+    const [a, b] = reports;
+
+    console.log(`${cases.length} case(s)`);
+    if (b) {
+        row('', ['A', 'B'], 'Δ');
+        const changed = Object.entries(b.params).filter(([k, v]) => a.params[k] !== v).map(([k, v]) => `${k} ${a.params[k]} → ${v}`);
+        sets.forEach((set, i) => set.slots && changed.push(`${'AB'[i]} slots ${JSON.stringify(set.slots)}`));
+        if (changed.length > 0) console.log(`  ${changed.join(', ')}`);
+    }
+    row('hit rate', reports.map(r => pct(r.hitRate)), b && signed(b.hitRate - a.hitRate, pct));
+    row('MRR', reports.map(r => r.mrr.toFixed(3)), b && signed(b.mrr - a.mrr, x => x.toFixed(3)));
+    for (const slot of Object.keys(a.precision)) {
+        row(`precision ${slot}`, reports.map(r => {
+            const p = r.precision[slot];
+            return `${pct(p.precision)} ${p.relevant}/${p.shown}`;
+        }), b && (a.precision[slot].precision !== null && b.precision[slot].precision !== null
+            ? signed(b.precision[slot].precision - a.precision[slot].precision, pct) : '—'));
+    }
+
+    const rank = (r) => (r.rank ? `rank ${r.rank}/${r.candidates}` : 'not found');
+    if (b) {
+        const moved = a.results.map((r, i) => [r, b.results[i]]).filter(([x, y]) => x.rank !== y.rank || x.hit !== y.hit);
+        if (moved.length > 0) console.log('\nCHANGED');
+        moved.forEach(([x, y]) => console.log(`  ${rank(x)}${x.hit ? ' (hit)' : ''} → ${rank(y)}${y.hit ? ' (hit)' : ''}  "${x.query}"`));
+    } else {
+        const shown = flag('cases') ? a.results : a.results.filter(r => !r.hit);
+        if (shown.length > 0) console.log(flag('cases') ? '\nCASES' : '\nMISSES');
+        shown.forEach(r => console.log(`  ${r.hit ? 'hit ' : 'miss'}  ${rank(r)}  "${r.query}"`));
+    }
+}
+
+function exportCommand() {
+    const [format] = positionals('out', 'state');
+    if (!EXPORT_FORMATS[format]) {
+        console.error(`Usage: node dae-cli.mjs export ${Object.keys(EXPORT_FORMATS).join('|')} [--out <file|->] [--state <file|snapshot>] [--all]`);
+        process.exit(1);
+    }
+    const { system } = loadStateOption();
+    const text = exportSystem(system, format, { all: flag('all') });
+
+    const out = option('out', join(stateDir, 'exports', `${format === 'book' ? 'memory-book' : 'memory'}${EXPORT_FORMATS[format]}`));
+    if (out === '-') {
+        process.stdout.write(text);
+        return;
+    }
+    mkdirSync(dirname(out), { recursive: true });
+    writeFileSync(out, text);
+    console.log(`Written to ${out} (${(Buffer.byteLength(text) / 1024).toFixed(1)} KB)`);
+}
+
+function ledger() {
+    const outcome = option('outcome');
+    if (outcome && !LEDGER_OUTCOMES.includes(outcome)) {
+        console.error(`--outcome must be one of: ${LEDGER_OUTCOMES.join(', ')}`);
+        process.exit(1);
+    }
+    const author = option('author');
+    const { entries, skipped } = readLedger(stateDir);
+    const matching = entries.filter(e => (!outcome || e.outcome === outcome) && (!author || e.author === author));
+    const shown = matching.slice(-numberOption('limit', 50));
+
+    if (flag('json')) {
+        console.log(JSON.stringify(shown, null, 2));
+        return;
+    }
+    for (const e of shown) {
+        const detail = e.outcome === 'failed' ? `${e.error} (attempt ${e.attempts})${e.note ? ` — ${e.note}` : ''}`
+            : e.reason || (e.replyId ? `reply ${e.replyId}` : '');
+        console.log(`${e.time}  ${e.outcome.padEnd(7)}  ${e.key.padEnd(24)}  ${String(e.author).padEnd(16)}  ${detail}`);
+    }
+    const counts = LEDGER_OUTCOMES.map(o => `${entries.filter(e => e.outcome === o).length} ${o}`).join(', ');
+    console.log(`${shown.length} of ${matching.length} shown — ledger: ${counts}` +
+        (skipped > 0 ? ` (${skipped} unreadable line(s) ignored)` : ''));
+}
+
+function policy() {
+    const rule = option('rule');
+    if (rule && rule !== 'reply' && !(rule in DEFAULT_POLICY)) {
+        console.error(`--rule must be reply or one of: ${Object.keys(DEFAULT_POLICY).join(', ')}`);
+        process.exit(1);
+    }
+    const author = option('author');
+    const { decisions, skipped } = readDecisions(stateDir);
+    const matching = decisions.filter(d =>
+        (!rule || (rule === 'reply' ? d.decision === 'reply' : d.rule === rule)) && (!author || d.author === author));
+    const shown = matching.slice(-numberOption('limit', 20));
+
+    if (flag('json')) {
+        console.log(JSON.stringify(shown, null, 2));
+        return;
+    }
+    const replies = decisions.filter(d => d.decision === 'reply').length;
+    console.log(`${decisions.length} decisions: ${replies} replied, ${decisions.length - replies} declined` +
+        (skipped > 0 ? ` (${skipped} unreadable line(s) ignored)` : ''));
+    for (const r of Object.keys(DEFAULT_POLICY)) {
+        const count = decisions.filter(d => d.rule === r).length;
+        if (count > 0) console.log(`  ${r.padEnd(20)} ${String(count).padStart(6)}`);
+    }
+    console.log('');
+    for (const d of shown) {
+        const s = d.signals;
+        const recall = s.activated === undefined ? '' : `  act ${s.activated} rec ${s.recalled}`;
+        console.log(`${d.time}  ${d.decision.padEnd(5)}  ${String(d.author).padEnd(16)}  len ${String(s.length).padStart(5)}${recall}  ${d.reason}`);
+    }
+    console.log(`${shown.length} of ${matching.length} shown`);
+}
+
+const COMMANDS = {
+    consolidate, conscious, replay, snapshot, stats, peek, explain, eval: evaluate, export: exportCommand, ledger, policy,
+};
+
+if (!COMMANDS[command]) {
+    console.error('Usage: node dae-cli.mjs <command> [options]');
+    console.error(`Commands: ${Object.keys(COMMANDS).join(', ')}`);
+    process.exit(1);
+}
+
+try {
+    await COMMANDS[command]();
+} catch (e) {
+    console.error(`${command} failed: ${e.message}`);
+    process.exit(1);
+}
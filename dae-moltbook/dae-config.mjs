@@ -0,0 +1,122 @@
+// DAE memory configuration — the environment variables the agent and the
+// memory service share
+// Created by smaxforn
+//
+// Both read these the same way, so one DAE_STATE_DIR means the same memory
+// whichever of them opens it. Settings that only one of them has (Moltbook
+// and LLM keys, server port and token) stay in that file's own CONFIG.
+
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createChunker, createParams } from './dae-core.mjs';
+import { STATE_FORMATS, DEFAULT_SNAPSHOT_KEEP } from './dae-state.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const SLOT_NAMES = ['conscious', 'subconscious', 'novel'];
+
+// NaN from a bad env value reads as NaN, a bad JSON value as itself
+const shown = (value) => typeof value === 'number' ? String(value) : JSON.stringify(value);
+
+function memoryConfig(env = process.env) {
+    return {
+        agentName:        env.DAE_AGENT_NAME || 'dae-agent',
+        episodeThreshold: parseInt(env.EPISODE_THRESHOLD || '5'),  // exchanges before episode
+        stateDir:         env.DAE_STATE_DIR || join(__dirname, '.dae-state'),
+        stateFormat:      env.DAE_STATE_FORMAT || 'json',         // json | binary
+        occurrenceBudget: parseInt(env.DAE_OCCURRENCE_BUDGET || '0'),  // 0 = unlimited
+        snapshotEveryHours: parseFloat(env.DAE_SNAPSHOT_EVERY_HOURS || '24'),   // 0 = only before risky ops
+        snapshotKeep:     parseInt(env.DAE_SNAPSHOT_KEEP || String(DEFAULT_SNAPSHOT_KEEP)),
+        journal:          env.DAE_JOURNAL !== '0',                 // append-only journal.jsonl
+
+        // Tokenizer for a fresh state (a saved state keeps the one it was built with)
+        tokenizer: {
+            type:      env.DAE_TOKENIZER || 'unicode',               // unicode | legacy
+            stopwords: env.DAE_STOPWORDS                              // en | comma list
+                ? (env.DAE_STOPWORDS.includes(',')
+                    ? env.DAE_STOPWORDS.split(',').map(s => s.trim())
+                    : env.DAE_STOPWORDS)
+                : null,
+            stem:      env.DAE_STEMMER || null,                        // light
+        },
+
+        // Memory context composition
+        contextBudgetTokens: parseInt(env.DAE_CONTEXT_BUDGET_TOKENS || '0'),  // 0 = unlimited
+        contextSlots: {
+            conscious:    parseInt(env.DAE_SLOTS_CONSCIOUS || '1'),
+            subconscious: parseInt(env.DAE_SLOTS_SUBCONSCIOUS || '2'),
+            novel:        parseInt(env.DAE_SLOTS_NOVEL || '1'),
+        },
+
+        // Token overlap at which a new <salient> mark reinforces an existing one
+        salientDedupe: parseFloat(env.DAE_SALIENT_DEDUPE ?? '0.7'),    // 0 = off
+
+        // How posts, comments and exchanges are split into neighborhoods
+        chunker: {
+            strategy: env.DAE_CHUNK_STRATEGY || 'sentences',         // sentences | markdown
+            unit:     env.DAE_CHUNK_UNIT || 'sentences',             // sentences | tokens
+            size:     parseInt(env.DAE_CHUNK_SIZE || '3'),
+            overlap:  parseInt(env.DAE_CHUNK_OVERLAP || '0'),
+        },
+
+        // Engine parameters — only the ones set here override the engine defaults
+        // (or, for a saved state, the values it was saved with)
+        engineParams: Object.fromEntries(Object.entries({
+            threshold:          env.DAE_THRESHOLD,
+            neighborhoodRadius: env.DAE_NEIGHBORHOOD_RADIUS,
+            centroidDriftAt:    env.DAE_CENTROID_DRIFT_AT,
+            longQueryTokens:    env.DAE_LONG_QUERY_TOKENS,
+            weightFloorShare:   env.DAE_WEIGHT_FLOOR_SHARE,
+            novelMaxActivated:  env.DAE_NOVEL_MAX_ACTIVATED,
+        }).filter(([, v]) => v !== undefined && v !== '').map(([k, v]) => [k, Number(v)])),
+    };
+}
+
+// Throws on the first setting that would fail later, with the variable to fix
+function validateMemoryConfig(config) {
+    if (!STATE_FORMATS.includes(config.stateFormat)) {
+        throw new Error(`DAE_STATE_FORMAT must be one of: ${STATE_FORMATS.join(', ')}`);
+    }
+    if (!(config.salientDedupe >= 0 && config.salientDedupe <= 1)) {
+        throw new Error('DAE_SALIENT_DEDUPE must be a number between 0 and 1');
+    }
+    try {
+        createChunker(config.chunker);
+    } catch (e) {
+        throw new Error(`Invalid chunking config: ${e.message}`);
+    }
+    try {
+        createParams(config.engineParams);
+    } catch (e) {
+        throw new Error(`Invalid engine parameters: ${e.message}`);
+    }
+    try {
+        contextOptions(config);
+    } catch (e) {
+        throw new Error(`Invalid context config (DAE_SLOTS_*, DAE_CONTEXT_BUDGET_TOKENS): ${e.message}`);
+    }
+}
+
+/*
+ * composeContext options for the configured slots and token budget, with
+ * per-request overrides: { slots?, budgetTokens? }. Slot counts and the
+ * budget must be whole numbers from 0 up; a budget of 0 means unlimited.
+ */
+function contextOptions(config, overrides = {}) {
+    const budgetTokens = overrides.budgetTokens ?? config.contextBudgetTokens;
+    if (!Number.isInteger(budgetTokens) || budgetTokens < 0) {
+        throw new Error(`budgetTokens must be a whole number of 0 or more, got ${shown(budgetTokens)}`);
+    }
+    const extra = overrides.slots ?? {};
+    if (!extra || typeof extra !== 'object' || Array.isArray(extra)) throw new Error('slots must be an object');
+    const slots = { ...config.contextSlots, ...extra };
+    for (const [name, count] of Object.entries(slots)) {
+        if (!SLOT_NAMES.includes(name)) throw new Error(`Unknown slot "${name}" (${SLOT_NAMES.join(', ')})`);
+        if (!Number.isInteger(count) || count < 0) {
+            throw new Error(`slots.${name} must be a whole number of 0 or more, got ${shown(count)}`);
+        }
+    }
+    return { slots, budget: budgetTokens > 0 ? { tokens: budgetTokens } : null };
+}
+
+export { memoryConfig, validateMemoryConfig, contextOptions };
@@ -35,6 +35,228 @@ const THRESHOLD = 0.5;
 const M = 1;
 const EPSILON = 1e-10;
 
+// ============================================================
+// ENTROPY — Injectable randomness, IDs and clock
+// ============================================================
+/*
+ * Every source of nondeterminism in the engine goes through an entropy
+ * object: { random, generateId, now }. The default uses Math.random,
+ * crypto.randomUUID and the wall clock. A seeded entropy replaces all
+ * three, so the same seed plus the same inputs gives an identical manifold.
+ */
+
+// cyrb53-style string hash → 32-bit seed
+function hashSeed(seed) {
+    if (typeof seed === 'number') return seed >>> 0;
+    const str = String(seed);
+    let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    return h1 >>> 0;
+}
+
+// mulberry32 — small, fast, good enough for positions and phases
+function createRandom(seed) {
+    let a = hashSeed(seed);
+    return function random() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// RFC 4122 v4-shaped IDs drawn from the given PRNG
+function createIdGenerator(random) {
+    const hex = '0123456789abcdef';
+    return function generateId() {
+        let id = '';
+        for (let i = 0; i < 36; i++) {
+            if (i === 8 || i === 13 || i === 18 || i === 23) { id += '-'; continue; }
+            if (i === 14) { id += '4'; continue; }
+            const r = Math.floor(random() * 16);
+            id += hex[i === 19 ? (r & 0x3) | 0x8 : r];
+        }
+        return id;
+    };
+}
+
+// Logical clock: one millisecond per call from a fixed epoch
+function createLogicalClock(epoch = 0) {
+    let t = typeof epoch === 'number' ? epoch : Date.parse(epoch);
+    return function now() {
+        return new Date(t++).toISOString();
+    };
+}
+
+const DEFAULT_ENTROPY = Object.freeze({
+    random: Math.random,
+    generateId: () => crypto.randomUUID(),
+    now: () => new Date().toISOString(),
+});
+
+// Options: { seed, random, generateId, now, epoch }. With a seed, anything
+// not given explicitly is derived from it (including a logical clock).
+function createEntropy(options = {}) {
+    if (options.seed === undefined || options.seed === null) {
+        return {
+            random: options.random || DEFAULT_ENTROPY.random,
+            generateId: options.generateId || DEFAULT_ENTROPY.generateId,
+            now: options.now || DEFAULT_ENTROPY.now,
+        };
+    }
+    const random = options.random || createRandom(options.seed);
+    return {
+        random,
+        generateId: options.generateId || createIdGenerator(createRandom(`${options.seed}:id`)),
+        now: options.now || createLogicalClock(options.epoch),
+    };
+}
+
+// ============================================================
+// ENGINE PARAMETERS — Tunable constants, saved with the state
+// ============================================================
+/*
+ *   threshold           anchoring ratio (c/C above it stops drifting), the
+ *                       vivid-surface ratio, and the pairwise drift step scale
+ *   neighborhoodRadius  how far new occurrences scatter around their seed
+ *   centroidDriftAt     batches this large drift toward a shared centroid,
+ *                       O(n), instead of pairwise, O(n²)
+ *   longQueryTokens     queries longer than this only drift words at or above
+ *                       the weight floor
+ *   weightFloorShare    weight floor = 1 / (share × neighborhood count); also
+ *                       applied to every reply (processResponse)
+ *   novelMaxActivated   a novel connection has at most this many activated
+ *                       occurrences
+ *
+ * Chunk size is not here: it belongs to the chunker (see CHUNKING).
+ * DAESystem keeps its params in toJSON/toBinary, but only the ones that
+ * differ from the defaults, so default states look exactly as before.
+ */
+
+const DEFAULT_PARAMS = Object.freeze({
+    threshold: THRESHOLD,
+    neighborhoodRadius: NEIGHBORHOOD_RADIUS,
+    centroidDriftAt: 200,
+    longQueryTokens: 50,
+    weightFloorShare: 0.1,
+    novelMaxActivated: 2,
+});
+
+const PARAM_RULES = {
+    threshold:          { min: 0, max: 1, exclusiveMin: true },
+    neighborhoodRadius: { min: 0, max: Math.PI, exclusiveMin: true },
+    centroidDriftAt:    { min: 2, integer: true },
+    longQueryTokens:    { min: 0, integer: true },
+    weightFloorShare:   { min: 0, max: 1, exclusiveMin: true },
+    novelMaxActivated:  { min: 1, integer: true },
+};
+
+// Validated, frozen params: defaults overlaid with the given values
+function createParams(params = {}) {
+    const result = { ...DEFAULT_PARAMS };
+    for (const [key, value] of Object.entries(params || {})) {
+        const rule = PARAM_RULES[key];
+        if (!rule) throw new Error(`Unknown engine parameter "${key}" (known: ${Object.keys(PARAM_RULES).join(', ')})`);
+        if (value === undefined || value === null) continue;
+        const ok = typeof value === 'number' && Number.isFinite(value)
+            && (rule.exclusiveMin ? value > rule.min : value >= rule.min)
+            && (rule.max === undefined || value <= rule.max)
+            && (!rule.integer || Number.isInteger(value));
+        if (!ok) {
+            const range = `${rule.exclusiveMin ? '>' : '≥'} ${rule.min}` + (rule.max !== undefined ? ` and ≤ ${rule.max}` : '');
+            throw new Error(`Engine parameter ${key} must be ${rule.integer ? 'an integer' : 'a number'} ${range} (got ${value})`);
+        }
+        result[key] = value;
+    }
+    return Object.freeze(result);
+}
+
+// Only the params that differ from the defaults, or null
+function changedParams(params) {
+    const changed = Object.fromEntries(Object.entries(params).filter(([k, v]) => DEFAULT_PARAMS[k] !== v));
+    return Object.keys(changed).length > 0 ? changed : null;
+}
+
+// ============================================================
+// EVENTS — Typed hooks for plugins and integrations
+// ============================================================
+/*
+ * createEmitter(types) → { on, once, off, emit, listenerCount }
+ * on/once return an unsubscribe function and throw for a type not in types,
+ * so a misspelt event fails at subscription instead of never firing.
+ * A throwing (or rejecting, if async) handler never breaks the caller: its
+ * error goes to the 'error' handlers ({ type, error }) or, when there are
+ * none, to console.error. Handlers are not awaited.
+ *
+ * DAESystem (system.on):
+ *   episode           { episode } — an episode was added
+ *   salient           { neighborhood, repeat } — a conscious memory was added,
+ *                     or reinforced when repeat is true
+ *   consciousRemoved  { neighborhood } — deleted, expired, forgotten or deduped
+ *   forget            { report } — a budget pruning pass (see enforceBudget)
+ *   consolidate       { report } — a consolidation pass that merged episodes
+ * QueryEngine (engine.on):
+ *   query             { query, activation, surface } — processQuery finished
+ *   response          { reply, activation } — processResponse finished
+ *   anchored          { occurrence, neighborhood, ratio } — an activated
+ *                     occurrence's share of its neighborhood's activation
+ *                     crossed params.threshold; it stops drifting
+ * Peeks emit nothing.
+ */
+
+const SYSTEM_EVENTS = Object.freeze(['episode', 'salient', 'consciousRemoved', 'forget', 'consolidate', 'error']);
+const QUERY_EVENTS = Object.freeze(['query', 'response', 'anchored', 'error']);
+
+function createEmitter(types) {
+    const handlers = new Map(types.map(t => [t, new Set()]));
+    const check = (type) => {
+        if (!handlers.has(type)) throw new Error(`Unknown event "${type}" (known: ${types.join(', ')})`);
+        return handlers.get(type);
+    };
+
+    const emitter = {
+        types,
+        on(type, handler) {
+            check(type).add(handler);
+            return () => emitter.off(type, handler);
+        },
+        once(type, handler) {
+            const off = emitter.on(type, (payload) => {
+                off();
+                return handler(payload);
+            });
+            return off;
+        },
+        off(type, handler) {
+            check(type).delete(handler);
+        },
+        listenerCount(type) {
+            return check(type).size;
+        },
+        emit(type, payload = {}) {
+            const failed = (error) => {
+                if (type !== 'error' && handlers.get('error')?.size > 0) emitter.emit('error', { type, error });
+                else console.error(`[DAE] ${type} handler failed: ${error?.message ?? error}`);
+            };
+            for (const handler of [...check(type)]) {
+                try {
+                    const result = handler(payload);
+                    if (typeof result?.then === 'function') result.then(null, failed);
+                } catch (error) {
+                    failed(error);
+                }
+            }
+        },
+    };
+    return emitter;
+}
+
 // ============================================================
 // QUATERNION — Points on S³
 // ============================================================
@@ -54,12 +276,11 @@ class Quaternion {
         return this.w*other.w + this.x*other.x + this.y*other.y + this.z*other.z;
     }
 
-    static random() {
-        const s1 = Math.random();
-        const s2 = Math.random();
-        const t1 = 2 * Math.PI * Math.random();
-        const t2 = 2 * Math.PI * Math.random();
-        const sqrtTerm = Math.sqrt((1 - s1) / s2);
+    static random(random = Math.random) {
+        const s1 = random();
+        random();   // unused, but drawn: every quaternion takes four numbers, as it always has
+        const t1 = 2 * Math.PI * random();
+        const t2 = 2 * Math.PI * random();
         return new Quaternion(
             Math.sqrt(1 - s1) * Math.sin(t1),
             Math.sqrt(1 - s1) * Math.cos(t1),
@@ -68,13 +289,13 @@ class Quaternion {
         ).normalize();
     }
 
-    static randomNear(center, angularRadius) {
-        let ax = gaussRandom(), ay = gaussRandom(), az = gaussRandom();
+    static randomNear(center, angularRadius, random = Math.random) {
+        let ax = gaussRandom(random), ay = gaussRandom(random), az = gaussRandom(random);
         const axNorm = Math.sqrt(ax*ax + ay*ay + az*az);
         if (axNorm < EPSILON) return center;
         ax /= axNorm; ay /= axNorm; az /= axNorm;
 
-        const angle = angularRadius * Math.sqrt(Math.random());
+        const angle = angularRadius * Math.sqrt(random());
         const halfAngle = angle / 2;
         const sinHalf = Math.sin(halfAngle);
         const cosHalf = Math.cos(halfAngle);
@@ -125,9 +346,9 @@ class Quaternion {
     }
 }
 
-function gaussRandom() {
-    const u1 = Math.random();
-    const u2 = Math.random();
+function gaussRandom(random = Math.random) {
+    const u1 = random() || EPSILON;
+    const u2 = random();
     return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
 }
 
@@ -169,11 +390,11 @@ class Occurrence {
 
     activate() { this.activationCount++; }
 
-    getDriftRate(containerActivation) {
+    getDriftRate(containerActivation, threshold = THRESHOLD) {
         if (containerActivation === 0) return 0;
         const ratio = this.activationCount / containerActivation;
-        if (ratio > THRESHOLD) return 0;
-        return ratio / THRESHOLD;
+        if (ratio > threshold) return 0;
+        return ratio / threshold;
     }
 
     get plasticity() {
@@ -181,9 +402,9 @@ class Occurrence {
         return 1 / (1 + Math.log(1 + c));
     }
 
-    isAnchored(containerActivation) {
+    isAnchored(containerActivation, threshold = THRESHOLD) {
         const ratio = this.activationCount / containerActivation;
-        return ratio > THRESHOLD;
+        return ratio > threshold;
     }
 
     mass(N) {
@@ -191,13 +412,21 @@ class Occurrence {
         return N > 0 ? (c / N) * M : 0;
     }
 
-    driftToward(target, containerActivation) {
-        const t = this.getDriftRate(containerActivation);
+    driftToward(target, containerActivation, threshold = THRESHOLD) {
+        const t = this.getDriftRate(containerActivation, threshold);
         if (t <= 0) return;
         this.position = this.position.slerp(target.position, t);
         this.phasor = this.phasor.slerp(target.phasor, t);
     }
 
+    // Detached copy for read-only simulation; positions are never mutated
+    // in place, but phasors are (Kuramoto), so the phasor is copied.
+    clone() {
+        const occ = new Occurrence(this.word, this.position, new DaemonPhasor(this.phasor.theta), this.neighborhoodId);
+        occ.activationCount = this.activationCount;
+        return occ;
+    }
+
     toJSON() {
         return {
             word: this.word,
@@ -230,12 +459,19 @@ class Neighborhood {
         this.id = id || crypto.randomUUID();
         this.occurrences = [];
         this.text = sourceText;
+        this.createdAt = null;   // set for conscious entries (age in listConscious)
+        this.pinned = false;     // pinned entries are never forgotten
+        this.importance = null;  // 1–5 from <salient importance>, conscious only
+        this.tags = [];
+        this.expiresAt = null;   // removed by expireConscious() after this
     }
 
-    static fromTokens(tokens, seed = null, sourceText = '') {
-        const neighborhood = new Neighborhood(seed || Quaternion.random(), null, sourceText);
+    static fromTokens(tokens, seed = null, sourceText = '', entropy = DEFAULT_ENTROPY, radius = NEIGHBORHOOD_RADIUS) {
+        const neighborhood = new Neighborhood(
+            seed || Quaternion.random(entropy.random), entropy.generateId(), sourceText
+        );
         tokens.forEach((token, i) => {
-            const position = Quaternion.randomNear(neighborhood.seed, NEIGHBORHOOD_RADIUS);
+            const position = Quaternion.randomNear(neighborhood.seed, radius, entropy.random);
             const phasor = DaemonPhasor.fromIndex(i);
             const occ = new Occurrence(token, position, phasor);
             occ.neighborhoodId = neighborhood.id;
@@ -266,23 +502,44 @@ class Neighborhood {
         return activated;
     }
 
-    isVivid(episodeCount) {
-        return this.count > episodeCount * THRESHOLD;
+    isVivid(episodeCount, threshold = THRESHOLD) {
+        return this.count > episodeCount * threshold;
     }
 
-    driftAll() {
+    driftAll(threshold = THRESHOLD) {
         const C = this.totalActivation;
         this.occurrences.forEach(o => {
-            if (o.activationCount > 0) o.driftToward(this.occurrences[0], C);
+            if (o.activationCount > 0) o.driftToward(this.occurrences[0], C, threshold);
         });
     }
 
+    // Optional fields, only present when set so older states stay byte-identical
+    get meta() {
+        const meta = {};
+        if (this.createdAt) meta.createdAt = this.createdAt;
+        if (this.pinned) meta.pinned = true;
+        if (this.importance) meta.importance = this.importance;
+        if (this.tags.length > 0) meta.tags = [...this.tags];
+        if (this.expiresAt) meta.expiresAt = this.expiresAt;
+        return Object.keys(meta).length > 0 ? meta : null;
+    }
+
+    applyMeta(meta) {
+        if (!meta) return;
+        this.createdAt = meta.createdAt || null;
+        this.pinned = !!meta.pinned;
+        this.importance = meta.importance || null;
+        this.tags = meta.tags ? [...meta.tags] : [];
+        this.expiresAt = meta.expiresAt || null;
+    }
+
     toJSON() {
         const C = this.totalActivation;
         return {
             seed: this.seed.toArray(),
             id: this.id,
             sourceText: this.text,
+            ...this.meta,
             occurrences: this.occurrences.map(o => {
                 const base = o.toJSON();
                 base.neighborhoodId = this.id;
@@ -293,6 +550,7 @@ class Neighborhood {
 
     static fromJSON(data) {
         const n = new Neighborhood(Quaternion.fromArray(data.seed), data.id, data.sourceText);
+        n.applyMeta(data);
         n.occurrences = (data.occurrences || []).map(o => Occurrence.fromJSON(o));
         return n;
     }
@@ -347,8 +605,8 @@ class Episode {
         return activated;
     }
 
-    isVivid(systemCount) {
-        return this.count > systemCount * THRESHOLD;
+    isVivid(systemCount, threshold = THRESHOLD) {
+        return this.count > systemCount * threshold;
     }
 
     toJSON() {
@@ -371,9 +629,20 @@ class Episode {
 // ============================================================
 
 class DAESystem {
-    constructor() {
+    // options: { seed, random, generateId, now, epoch } — see createEntropy
+    //          { occurrenceBudget } — max N before enforceBudget() forgets
+    //          { tokenizer } — tokenizer or descriptor (default: unicode)
+    //          { chunker } — chunker or descriptor (default: 3 sentences)
+    //          { params } — engine parameters, see ENGINE PARAMETERS
+    constructor(options = {}) {
+        this.entropy = createEntropy(options);
+        this.params = createParams(options.params);
+        this.events = createEmitter(SYSTEM_EVENTS);
+        this.tokenizer = resolveTokenizer(options.tokenizer);
+        this.chunker = resolveChunker(options.chunker);
+        this.occurrenceBudget = options.occurrenceBudget || null;
         this.episodes = [];
-        this.consciousEpisode = new Episode('conscious', true);
+        this.consciousEpisode = this.createEpisode('conscious', true);
         this._indexDirty = true;
         this._wordNeighborhoodIndex = new Map();
         this._wordOccurrenceIndex = new Map();
@@ -382,39 +651,218 @@ class DAESystem {
         this.agentName = 'DAE';
     }
 
+    createEpisode(name = 'Untitled', isConscious = false) {
+        return new Episode(name, isConscious, this.entropy.generateId(), this.entropy.now());
+    }
+
+    // Subscribe to a SYSTEM_EVENTS event; returns the unsubscribe function
+    on(type, handler) {
+        return this.events.on(type, handler);
+    }
+
     addEpisode(episode) {
         this.episodes.push(episode);
-        this._indexDirty = true;
+        if (!this._indexDirty) {
+            // New subconscious occurrences go ahead of the conscious tail
+            // so every word list keeps the order a full rebuild would give.
+            this._indexNeighborhoods(episode.neighborhoods, episode, true);
+        }
+        this.events.emit('episode', { episode });
     }
 
-    _rebuildIndexes() {
-        if (!this._indexDirty) return;
-        this._wordNeighborhoodIndex.clear();
-        this._wordOccurrenceIndex.clear();
-        this._neighborhoodIndex.clear();
-        this._neighborhoodEpisodeIndex.clear();
+    // Add a neighborhood to an episode already in the system
+    addNeighborhood(episode, neighborhood) {
+        episode.addNeighborhood(neighborhood);
+        if (this._indexDirty) return;
+        const isLastSubconscious = !episode.isConscious
+            && this.episodes[this.episodes.length - 1] === episode;
+        if (episode.isConscious || isLastSubconscious) {
+            this._indexNeighborhoods([neighborhood], episode, !episode.isConscious);
+        } else {
+            // Mid-list insertion has no cheap ordered position
+            this._indexDirty = true;
+        }
+    }
 
+    removeEpisode(episodeOrId) {
+        const id = typeof episodeOrId === 'string' ? episodeOrId : episodeOrId.id;
+        const idx = this.episodes.findIndex(e => e.id === id);
+        if (idx === -1) return null;
+        const [episode] = this.episodes.splice(idx, 1);
+        if (!this._indexDirty) this._unindexNeighborhoods(episode.neighborhoods);
+        return episode;
+    }
+
+    removeNeighborhood(neighborhoodId) {
+        const episode = [...this.episodes, this.consciousEpisode]
+            .find(e => e.neighborhoods.some(n => n.id === neighborhoodId));
+        if (!episode) return null;
+        const idx = episode.neighborhoods.findIndex(n => n.id === neighborhoodId);
+        const [neighborhood] = episode.neighborhoods.splice(idx, 1);
+        if (!this._indexDirty) this._unindexNeighborhoods([neighborhood]);
+        if (episode === this.consciousEpisode) this.events.emit('consciousRemoved', { neighborhood });
+        return neighborhood;
+    }
+
+    _indexNeighborhoods(neighborhoods, episode, beforeConscious = false) {
+        const byWord = new Map();
+        for (const n of neighborhoods) {
+            this._neighborhoodIndex.set(n.id, n);
+            this._neighborhoodEpisodeIndex.set(n.id, episode);
+            for (const occ of n.occurrences) {
+                const w = occ.word.toLowerCase();
+                if (!this._wordNeighborhoodIndex.has(w)) {
+                    this._wordNeighborhoodIndex.set(w, new Set());
+                }
+                this._wordNeighborhoodIndex.get(w).add(n.id);
+                if (!byWord.has(w)) byWord.set(w, []);
+                byWord.get(w).push(occ);
+            }
+        }
+        for (const [w, occs] of byWord) {
+            if (!this._wordOccurrenceIndex.has(w)) {
+                this._wordOccurrenceIndex.set(w, occs);
+                continue;
+            }
+            const list = this._wordOccurrenceIndex.get(w);
+            let at = list.length;
+            if (beforeConscious) {
+                while (at > 0 && this._neighborhoodEpisodeIndex.get(list[at - 1].neighborhoodId)?.isConscious) at--;
+            }
+            list.splice(at, 0, ...occs);
+        }
+    }
+
+    _unindexNeighborhoods(neighborhoods) {
+        const removed = new Set();
+        const words = new Set();
+        for (const n of neighborhoods) {
+            this._neighborhoodIndex.delete(n.id);
+            this._neighborhoodEpisodeIndex.delete(n.id);
+            for (const occ of n.occurrences) {
+                const w = occ.word.toLowerCase();
+                removed.add(occ);
+                words.add(w);
+                const nids = this._wordNeighborhoodIndex.get(w);
+                if (nids) {
+                    nids.delete(n.id);
+                    if (nids.size === 0) this._wordNeighborhoodIndex.delete(w);
+                }
+            }
+        }
+        for (const w of words) {
+            const list = this._wordOccurrenceIndex.get(w);
+            if (!list) continue;
+            const kept = list.filter(o => !removed.has(o));
+            if (kept.length > 0) this._wordOccurrenceIndex.set(w, kept);
+            else this._wordOccurrenceIndex.delete(w);
+        }
+    }
+
+    // Remove some occurrences from a neighborhood without reordering the rest
+    _dropOccurrences(neighborhood, dropped) {
+        const removed = new Set(dropped);
+        neighborhood.occurrences = neighborhood.occurrences.filter(o => !removed.has(o));
+        if (this._indexDirty) return;
+        const remainingWords = new Set(neighborhood.occurrences.map(o => o.word.toLowerCase()));
+        const words = new Set(dropped.map(o => o.word.toLowerCase()));
+        for (const w of words) {
+            if (!remainingWords.has(w)) {
+                const nids = this._wordNeighborhoodIndex.get(w);
+                if (nids) {
+                    nids.delete(neighborhood.id);
+                    if (nids.size === 0) this._wordNeighborhoodIndex.delete(w);
+                }
+            }
+            const list = this._wordOccurrenceIndex.get(w);
+            if (!list) continue;
+            const kept = list.filter(o => !removed.has(o));
+            if (kept.length > 0) this._wordOccurrenceIndex.set(w, kept);
+            else this._wordOccurrenceIndex.delete(w);
+        }
+    }
+
+    _buildIndexes() {
+        const indexes = {
+            wordNeighborhood: new Map(),
+            wordOccurrence: new Map(),
+            neighborhood: new Map(),
+            neighborhoodEpisode: new Map(),
+        };
         const allEpisodes = [...this.episodes, this.consciousEpisode];
         for (const ep of allEpisodes) {
             for (const n of ep.neighborhoods) {
-                this._neighborhoodIndex.set(n.id, n);
-                this._neighborhoodEpisodeIndex.set(n.id, ep);
+                indexes.neighborhood.set(n.id, n);
+                indexes.neighborhoodEpisode.set(n.id, ep);
                 for (const occ of n.occurrences) {
                     const w = occ.word.toLowerCase();
-                    if (!this._wordNeighborhoodIndex.has(w)) {
-                        this._wordNeighborhoodIndex.set(w, new Set());
+                    if (!indexes.wordNeighborhood.has(w)) {
+                        indexes.wordNeighborhood.set(w, new Set());
                     }
-                    this._wordNeighborhoodIndex.get(w).add(n.id);
-                    if (!this._wordOccurrenceIndex.has(w)) {
-                        this._wordOccurrenceIndex.set(w, []);
+                    indexes.wordNeighborhood.get(w).add(n.id);
+                    if (!indexes.wordOccurrence.has(w)) {
+                        indexes.wordOccurrence.set(w, []);
                     }
-                    this._wordOccurrenceIndex.get(w).push(occ);
+                    indexes.wordOccurrence.get(w).push(occ);
                 }
             }
         }
+        return indexes;
+    }
+
+    _rebuildIndexes() {
+        if (!this._indexDirty) return;
+        const indexes = this._buildIndexes();
+        this._wordNeighborhoodIndex = indexes.wordNeighborhood;
+        this._wordOccurrenceIndex = indexes.wordOccurrence;
+        this._neighborhoodIndex = indexes.neighborhood;
+        this._neighborhoodEpisodeIndex = indexes.neighborhoodEpisode;
         this._indexDirty = false;
     }
 
+    // Compare the live indexes against a full rebuild.
+    // Returns a list of human-readable mismatches (empty when consistent).
+    checkIndexes() {
+        this._rebuildIndexes();
+        const fresh = this._buildIndexes();
+        const errors = [];
+
+        const compareKeys = (name, live, built) => {
+            for (const k of built.keys()) if (!live.has(k)) errors.push(`${name}: missing ${k}`);
+            for (const k of live.keys()) if (!built.has(k)) errors.push(`${name}: stale ${k}`);
+        };
+
+        compareKeys('neighborhoodIndex', this._neighborhoodIndex, fresh.neighborhood);
+        for (const [id, n] of fresh.neighborhood) {
+            if (this._neighborhoodIndex.has(id) && this._neighborhoodIndex.get(id) !== n) {
+                errors.push(`neighborhoodIndex: ${id} points at a different neighborhood`);
+            }
+            if (this._neighborhoodEpisodeIndex.get(id) !== fresh.neighborhoodEpisode.get(id)) {
+                errors.push(`neighborhoodEpisodeIndex: ${id} points at the wrong episode`);
+            }
+        }
+        compareKeys('neighborhoodEpisodeIndex', this._neighborhoodEpisodeIndex, fresh.neighborhoodEpisode);
+
+        compareKeys('wordNeighborhoodIndex', this._wordNeighborhoodIndex, fresh.wordNeighborhood);
+        for (const [w, nids] of fresh.wordNeighborhood) {
+            const live = this._wordNeighborhoodIndex.get(w);
+            if (!live) continue;
+            if (live.size !== nids.size || [...nids].some(id => !live.has(id))) {
+                errors.push(`wordNeighborhoodIndex: "${w}" has ${live.size} neighborhoods, expected ${nids.size}`);
+            }
+        }
+
+        compareKeys('wordOccurrenceIndex', this._wordOccurrenceIndex, fresh.wordOccurrence);
+        for (const [w, occs] of fresh.wordOccurrence) {
+            const live = this._wordOccurrenceIndex.get(w);
+            if (!live) continue;
+            if (live.length !== occs.length || occs.some((o, i) => live[i] !== o)) {
+                errors.push(`wordOccurrenceIndex: "${w}" differs from rebuild (${live.length} vs ${occs.length})`);
+            }
+        }
+        return errors;
+    }
+
     get N() {
         return this.episodes.reduce((sum, e) => sum + e.count, 0) + this.consciousEpisode.count;
     }
@@ -436,6 +884,11 @@ class DAESystem {
         yield* this.consciousEpisode.allOccurrences();
     }
 
+    getNeighborhood(id) {
+        this._rebuildIndexes();
+        return this._neighborhoodIndex.get(id) || null;
+    }
+
     getNeighborhoodForOccurrence(occ) {
         this._rebuildIndexes();
         return this._neighborhoodIndex.get(occ.neighborhoodId) || null;
@@ -447,6 +900,14 @@ class DAESystem {
     }
 
     activateWord(word) {
+        const result = this.lookupWord(word);
+        result.subconscious.forEach(o => o.activate());
+        result.conscious.forEach(o => o.activate());
+        return result;
+    }
+
+    // activateWord without activating: the same split, nothing changes
+    lookupWord(word) {
         this._rebuildIndexes();
         const subconscious = [];
         const conscious = [];
@@ -456,7 +917,6 @@ class DAESystem {
         if (!occs) return { subconscious, conscious };
 
         for (const occ of occs) {
-            occ.activate();
             const ep = this._neighborhoodEpisodeIndex.get(occ.neighborhoodId);
             if (ep && ep.isConscious) {
                 conscious.push(occ);
@@ -467,38 +927,740 @@ class DAESystem {
         return { subconscious, conscious };
     }
 
-    addToConscious(text) {
-        const tokens = tokenize(text);
-        const neighborhood = Neighborhood.fromTokens(tokens, null, text);
-        neighborhood.occurrences.forEach(o => o.activate());
-        this.consciousEpisode.addNeighborhood(neighborhood);
-        this._indexDirty = true;
+    tokenize(text) {
+        return this.tokenizer.tokenize(text);
+    }
+
+    // Chunk and tokenize text into neighborhoods with this system's settings
+    neighborhoodsFromText(text) {
+        return textToNeighborhoods(text, this);
+    }
+
+    // options: { dedupe } — token-overlap threshold for treating the text as
+    // a repeat of an existing entry (default DEFAULT_DEDUPE_THRESHOLD, 0 = off).
+    // A repeat reinforces the existing entry instead of adding a new one.
+    //          { importance, tags, expiresAt } — see MEMORY MARKUP; importance
+    // (1–5) is how many times each occurrence starts activated.
+    addToConscious(text, options = {}) {
+        const importance = options.importance || 1;
+        const duplicate = this.findConsciousDuplicate(text, options.dedupe);
+        if (duplicate) {
+            const n = duplicate.neighborhood;
+            n.occurrences.forEach(o => { for (let i = 0; i < importance; i++) o.activate(); });
+            if (options.importance) n.importance = Math.max(n.importance || 1, options.importance);
+            if (options.tags) n.tags = [...new Set([...n.tags, ...options.tags])];
+            // Re-marking without an expiry makes the entry permanent
+            n.expiresAt = n.expiresAt && options.expiresAt
+                ? (options.expiresAt > n.expiresAt ? options.expiresAt : n.expiresAt)
+                : null;
+            this.events.emit('salient', { neighborhood: n, repeat: true });
+            return n;
+        }
+        const tokens = this.tokenize(text);
+        const neighborhood = Neighborhood.fromTokens(tokens, null, text, this.entropy, this.params.neighborhoodRadius);
+        neighborhood.createdAt = this.entropy.now();
+        neighborhood.importance = options.importance || null;
+        neighborhood.tags = options.tags ? [...options.tags] : [];
+        neighborhood.expiresAt = options.expiresAt || null;
+        neighborhood.occurrences.forEach(o => { for (let i = 0; i < importance; i++) o.activate(); });
+        this.addNeighborhood(this.consciousEpisode, neighborhood);
+        this.events.emit('salient', { neighborhood, repeat: false });
         return neighborhood;
     }
 
+    // ---- Conscious memory management (see CONSCIOUS MEMORY) ----
+
+    // Most similar conscious entry at or above the threshold, or null
+    findConsciousDuplicate(text, threshold = DEFAULT_DEDUPE_THRESHOLD) {
+        if (!threshold) return null;
+        const tokens = this.tokenize(text);
+        let best = null;
+        for (const n of this.consciousEpisode.neighborhoods) {
+            const similarity = tokenOverlap(tokens, n.occurrences.map(o => o.word));
+            if (similarity >= threshold && (!best || similarity > best.similarity)) {
+                best = { neighborhood: n, similarity };
+            }
+        }
+        return best;
+    }
+
+    listConscious() {
+        const now = Date.parse(this.entropy.now());
+        return this.consciousEpisode.neighborhoods.map(n => consciousEntry(n, this.consciousEpisode, now));
+    }
+
+    // Look up a conscious entry by id or unambiguous id prefix
+    getConscious(idOrPrefix) {
+        const matches = this.consciousEpisode.neighborhoods.filter(n => n.id.startsWith(idOrPrefix));
+        if (matches.length > 1 && !matches.some(n => n.id === idOrPrefix)) {
+            throw new Error(`Ambiguous conscious id "${idOrPrefix}" (${matches.length} matches)`);
+        }
+        return matches.find(n => n.id === idOrPrefix) || matches[0] || null;
+    }
+
+    _requireConscious(idOrPrefix) {
+        const n = this.getConscious(idOrPrefix);
+        if (!n) throw new Error(`No conscious entry "${idOrPrefix}"`);
+        return n;
+    }
+
+    // Replace an entry's text. Re-tokenizes around the same seed; words that
+    // survive the edit keep their activation counts, new words start at 1.
+    editConscious(idOrPrefix, text) {
+        const old = this._requireConscious(idOrPrefix);
+        const edited = Neighborhood.fromTokens(this.tokenize(text), old.seed, text, this.entropy, this.params.neighborhoodRadius);
+        edited.id = old.id;
+        edited.applyMeta(old.meta);
+
+        const previous = new Map();
+        for (const o of old.occurrences) {
+            const w = o.word.toLowerCase();
+            if (!previous.has(w)) previous.set(w, []);
+            previous.get(w).push(o.activationCount);
+        }
+        for (const o of edited.occurrences) {
+            o.neighborhoodId = edited.id;
+            o.activationCount = previous.get(o.word.toLowerCase())?.shift() || 1;
+        }
+
+        const ns = this.consciousEpisode.neighborhoods;
+        const idx = ns.indexOf(old);
+        if (!this._indexDirty) this._unindexNeighborhoods([old]);
+        ns[idx] = edited;
+        if (!this._indexDirty) {
+            if (idx === ns.length - 1) this._indexNeighborhoods([edited], this.consciousEpisode);
+            else this._indexDirty = true;
+        }
+        return edited;
+    }
+
+    // Remove unpinned entries whose expiresAt has passed. Returns them.
+    expireConscious() {
+        const now = this.entropy.now();
+        const expired = this.consciousEpisode.neighborhoods
+            .filter(n => n.expiresAt && !n.pinned && Date.parse(n.expiresAt) <= Date.parse(now));
+        expired.forEach(n => this.removeNeighborhood(n.id));
+        return expired;
+    }
+
+    pinConscious(idOrPrefix, pinned = true) {
+        const n = this._requireConscious(idOrPrefix);
+        n.pinned = pinned;
+        return n;
+    }
+
+    // options: { force } — required to delete a pinned entry
+    deleteConscious(idOrPrefix, options = {}) {
+        const n = this._requireConscious(idOrPrefix);
+        if (n.pinned && !options.force) {
+            throw new Error(`Conscious entry ${n.id} is pinned; unpin it or force the delete`);
+        }
+        return this.removeNeighborhood(n.id);
+    }
+
+    /*
+     * Collapse near-duplicate conscious entries already in the state. Each
+     * later entry that matches an earlier one is folded into it: its
+     * activation counts are added word by word, then it is removed. Pinned
+     * entries are always kept; a pinned duplicate absorbs the other instead.
+     *
+     * options: { threshold, dryRun }
+     * Returns [{ kept, removed, similarity }]
+     */
+    dedupeConscious(options = {}) {
+        const threshold = options.threshold ?? DEFAULT_DEDUPE_THRESHOLD;
+        const entries = this.consciousEpisode.neighborhoods.map(n => ({
+            neighborhood: n, tokens: n.occurrences.map(o => o.word),
+        }));
+        const removed = new Set();
+        const merges = [];
+        for (let i = 0; i < entries.length; i++) {
+            if (removed.has(entries[i].neighborhood)) continue;
+            for (let j = i + 1; j < entries.length; j++) {
+                if (removed.has(entries[j].neighborhood)) continue;
+                const similarity = tokenOverlap(entries[i].tokens, entries[j].tokens);
+                if (similarity < threshold) continue;
+                let keep = entries[i].neighborhood, drop = entries[j].neighborhood;
+                if (drop.pinned && !keep.pinned) [keep, drop] = [drop, keep];
+                else if (drop.pinned) continue;
+                merges.push({ kept: keep.id, removed: drop.id, similarity });
+                removed.add(drop);
+                if (!options.dryRun) mergeActivation(keep, drop);
+                if (keep !== entries[i].neighborhood) break;
+            }
+        }
+        if (!options.dryRun) removed.forEach(n => this.removeNeighborhood(n.id));
+        return merges;
+    }
+
+    /*
+     * Forgetting pass. Ranks neighborhoods by retention (see
+     * neighborhoodRetention) and, coldest first, until N fits the budget:
+     *   1. compresses them — drops never-activated occurrences, keeping the
+     *      activated ones and the source text;
+     *   2. evicts them whole if compression was not enough.
+     * Episodes left empty are removed. The conscious episode is untouched
+     * unless includeConscious is set, and pinned neighborhoods never are.
+     *
+     * options: { budget, mode: 'auto' | 'compress' | 'evict', includeConscious,
+     *            protectEpisodes: [ids], protectRecentEpisodes, halfLifeDays, weights }
+     * Returns a report of what was forgotten.
+     */
+    forget(options = {}) {
+        const budget = options.budget ?? this.occurrenceBudget;
+        const mode = options.mode || 'auto';
+        const includeConscious = !!options.includeConscious;
+        const protectRecent = options.protectRecentEpisodes ?? 1;
+        const protectedIds = new Set(options.protectEpisodes || []);
+        this.episodes.slice(Math.max(0, this.episodes.length - protectRecent)).forEach(e => protectedIds.add(e.id));
+        if (!includeConscious) protectedIds.add(this.consciousEpisode.id);
+
+        this._rebuildIndexes();
+        const report = { budget, before: this.N, after: this.N, compressed: [], evicted: [], episodesRemoved: [] };
+        if (!budget || this.N <= budget) return report;
+
+        const now = Date.parse(this.entropy.now());
+        const totalActivation = this.totalActivation || 1;
+        const candidates = [];
+        for (const ep of [...this.episodes, this.consciousEpisode]) {
+            if (protectedIds.has(ep.id)) continue;
+            const episodeShare = ep.totalActivation / totalActivation;
+            for (const n of ep.neighborhoods) {
+                if (n.pinned) continue;
+                candidates.push({
+                    neighborhood: n, episode: ep,
+                    retention: neighborhoodRetention(n, ep, { now, episodeShare, ...options }),
+                });
+            }
+        }
+        candidates.sort((a, b) => a.retention - b.retention);
+
+        let N = this.N;
+        if (mode === 'auto' || mode === 'compress') {
+            for (const c of candidates) {
+                if (N <= budget) break;
+                const dropped = c.neighborhood.occurrences.filter(o => o.activationCount === 0);
+                // Keep at least one occurrence so the neighborhood stays addressable
+                if (dropped.length === c.neighborhood.count) dropped.shift();
+                if (dropped.length === 0) continue;
+                this._dropOccurrences(c.neighborhood, dropped);
+                N -= dropped.length;
+                report.compressed.push({
+                    id: c.neighborhood.id, episodeId: c.episode.id,
+                    removed: dropped.length, retention: c.retention,
+                });
+            }
+        }
+        if (mode === 'auto' || mode === 'evict') {
+            for (const c of candidates) {
+                if (N <= budget) break;
+                const count = c.neighborhood.count;
+                this.removeNeighborhood(c.neighborhood.id);
+                N -= count;
+                report.evicted.push({
+                    id: c.neighborhood.id, episodeId: c.episode.id,
+                    occurrences: count, retention: c.retention,
+                    text: (c.neighborhood.text || '').slice(0, 80),
+                });
+            }
+        }
+
+        for (const ep of [...this.episodes]) {
+            if (ep.neighborhoods.length === 0) {
+                this.removeEpisode(ep);
+                report.episodesRemoved.push({ id: ep.id, name: ep.name });
+            }
+        }
+        report.after = this.N;
+        return report;
+    }
+
+    // See DIAGNOSTICS
+    diagnostics(options = {}) {
+        return computeDiagnostics(this, options);
+    }
+
+    enforceBudget(options = {}) {
+        const budget = options.budget ?? this.occurrenceBudget;
+        if (!budget || this.N <= budget) return null;
+        const report = this.forget({ ...options, budget });
+        if (report && !options.dryRun) this.events.emit('forget', { report });
+        return report;
+    }
+
     toJSON() {
         return {
             episodes: this.episodes.map(e => e.toJSON()),
             consciousEpisode: this.consciousEpisode.toJSON(),
             N: this.N,
             totalActivation: this.totalActivation,
-            agentName: this.agentName
+            agentName: this.agentName,
+            tokenizer: this.tokenizer.toJSON(),
+            ...(changedParams(this.params) ? { params: changedParams(this.params) } : {}),
         };
     }
 
-    static fromJSON(data) {
-        const sys = new DAESystem();
+    // The saved tokenizer always wins; states without one predate tokenizers.
+    // Saved params apply unless options.params overrides them.
+    static fromJSON(data, options = {}) {
+        const sys = new DAESystem({
+            ...options,
+            tokenizer: data.tokenizer || LEGACY_TOKENIZER,
+            params: { ...(data.params || {}), ...(options.params || {}) },
+        });
         sys.episodes = data.episodes.map(e => Episode.fromJSON(e));
         sys.consciousEpisode = Episode.fromJSON(data.consciousEpisode);
         if (data.agentName) sys.agentName = data.agentName;
         return sys;
     }
+
+    // options: { precision: 'float64' | 'float32', extra } — see BINARY STATE FORMAT
+    toBinary(options = {}) {
+        return encodeBinary(this, options);
+    }
+
+    static fromBinary(bytes, options = {}) {
+        return decodeBinary(bytes, options);
+    }
+}
+
+// ============================================================
+// RETENTION — How strongly a neighborhood resists forgetting
+// ============================================================
+/*
+ * retention = wA·coverage + wP·(1 − plasticity) + wR·recency + wE·episodeShare
+ *   coverage     — fraction of occurrences ever activated
+ *   plasticity   — mean occurrence plasticity (1 = never touched)
+ *   recency      — 1/(1 + age/halfLife), age from the neighborhood's
+ *                  createdAt, else its episode's timestamp
+ *   episodeShare — episode activation / system activation
+ */
+
+const DEFAULT_RETENTION_WEIGHTS = { activation: 1, plasticity: 1, recency: 0.5, episode: 0.5 };
+
+function neighborhoodRetention(neighborhood, episode, options = {}) {
+    const weights = { ...DEFAULT_RETENTION_WEIGHTS, ...(options.weights || {}) };
+    const count = neighborhood.count || 1;
+    let activated = 0, plasticitySum = 0;
+    for (const o of neighborhood.occurrences) {
+        if (o.activationCount > 0) activated++;
+        plasticitySum += o.plasticity;
+    }
+    const coverage = activated / count;
+    const plasticity = neighborhood.count > 0 ? plasticitySum / count : 1;
+
+    const halfLifeDays = options.halfLifeDays || 30;
+    const now = options.now ?? Date.now();
+    const born = Date.parse(neighborhood.createdAt || episode.timestamp);
+    const ageDays = Number.isFinite(born) ? Math.max(0, (now - born) / 86400000) : 0;
+    const recency = 1 / (1 + ageDays / halfLifeDays);
+
+    return weights.activation * coverage
+        + weights.plasticity * (1 - plasticity)
+        + weights.recency * recency
+        + weights.episode * (options.episodeShare || 0);
+}
+
+// ============================================================
+// CONSCIOUS MEMORY — Listing, near-duplicate detection, merging
+// ============================================================
+/*
+ * Conscious entries are neighborhoods the LLM marked <salient>. The model
+ * tends to mark the same insight again in slightly different words, so
+ * inserts are compared against existing entries by token overlap
+ * (Jaccard over distinct words) and repeats reinforce the original.
+ */
+
+const DEFAULT_DEDUPE_THRESHOLD = 0.7;
+
+function tokenOverlap(a, b) {
+    const sa = new Set(a.map(w => w.toLowerCase()));
+    const sb = new Set(b.map(w => w.toLowerCase()));
+    if (sa.size === 0 || sb.size === 0) return 0;
+    let shared = 0;
+    for (const w of sa) if (sb.has(w)) shared++;
+    return shared / (sa.size + sb.size - shared);
+}
+
+// Add the duplicate's activation into the kept entry, word by word
+function mergeActivation(keep, drop) {
+    const counts = new Map();
+    for (const o of drop.occurrences) {
+        const w = o.word.toLowerCase();
+        counts.set(w, Math.max(counts.get(w) || 0, o.activationCount));
+    }
+    for (const o of keep.occurrences) {
+        const w = o.word.toLowerCase();
+        if (counts.has(w)) {
+            o.activationCount += counts.get(w);
+            counts.delete(w);
+        }
+    }
+}
+
+function consciousEntry(n, episode, now) {
+    const born = Date.parse(n.createdAt || episode.timestamp);
+    return {
+        id: n.id,
+        text: n.text,
+        pinned: n.pinned,
+        importance: n.importance,
+        tags: n.tags,
+        createdAt: n.createdAt,
+        expiresAt: n.expiresAt,
+        ageDays: Number.isFinite(born) ? Math.max(0, (now - born) / 86400000) : null,
+        occurrences: n.count,
+        activation: n.totalActivation,
+    };
+}
+
+// ============================================================
+// BINARY STATE FORMAT — Compact, versioned alternative to toJSON
+// ============================================================
+/*
+ * Layout (all integers little-endian, "var" = unsigned LEB128):
+ *
+ *   magic "DAEB" | u16 version | u8 flags | u8 reserved
+ *   section*     — u8 tag | u32 byteLength | payload
+ *   END          — tag 0, payload var count of the sections before it
+ *
+ * Sections:
+ *   META      agentName, tokenizer descriptor (JSON), changed engine
+ *             params (JSON, only when some differ from the defaults)
+ *   DICT      var count, then every distinct word once
+ *   EPISODE   one per subconscious episode, in order
+ *   CONSCIOUS the conscious episode (same payload as EPISODE)
+ *   EXTRA     optional JSON blob carried alongside the system
+ *   NOTES     JSON map of neighborhood id → optional fields (createdAt,
+ *             pinned, importance, tags, expiresAt); written only when
+ *             some neighborhood has them
+ *   CHECKSUM  SHA-256 of every byte before it; a trailer appended after
+ *             END by dae-state.mjs when saving (ignored here)
+ *
+ * Episode payload: name, isConscious, id, timestamp, var neighborhoodCount,
+ * then per neighborhood: id, sourceText, seed (4×f64), var occurrenceCount,
+ * then per occurrence: var wordIndex, position (4×f32|f64), phase (f32|f64),
+ * var activationCount. Strings are var byteLength+1 then UTF-8 (0 = null).
+ *
+ * flags bit 0: positions stored as Float32; bit 1: phases stored as Float32.
+ * With both clear (the default) the round trip through toJSON is lossless.
+ * Unknown section tags are skipped, so newer writers stay readable.
+ * A file without END, or whose END count disagrees, was cut short and does not
+ * load. Anything after END is a trailer for other readers and is walked the same way.
+ */
+
+const BINARY_MAGIC = 'DAEB';
+const BINARY_VERSION = 1;
+const BINARY_FLAG_POSITION_F32 = 1;
+const BINARY_FLAG_PHASE_F32 = 2;
+const SECTION = { END: 0, META: 1, DICT: 2, EPISODE: 3, CONSCIOUS: 4, EXTRA: 5, NOTES: 6, CHECKSUM: 7 };
+
+class BinaryWriter {
+    constructor(initialSize = 1 << 16) {
+        this.buffer = new ArrayBuffer(initialSize);
+        this.view = new DataView(this.buffer);
+        this.bytes = new Uint8Array(this.buffer);
+        this.offset = 0;
+        this.sections = 0;
+        this.encoder = new TextEncoder();
+    }
+
+    _ensure(n) {
+        if (this.offset + n <= this.buffer.byteLength) return;
+        let size = this.buffer.byteLength * 2;
+        while (size < this.offset + n) size *= 2;
+        const next = new ArrayBuffer(size);
+        new Uint8Array(next).set(this.bytes.subarray(0, this.offset));
+        this.buffer = next;
+        this.view = new DataView(next);
+        this.bytes = new Uint8Array(next);
+    }
+
+    u8(v) { this._ensure(1); this.view.setUint8(this.offset, v); this.offset += 1; }
+    u16(v) { this._ensure(2); this.view.setUint16(this.offset, v, true); this.offset += 2; }
+    u32(v) { this._ensure(4); this.view.setUint32(this.offset, v, true); this.offset += 4; }
+    f32(v) { this._ensure(4); this.view.setFloat32(this.offset, v, true); this.offset += 4; }
+    f64(v) { this._ensure(8); this.view.setFloat64(this.offset, v, true); this.offset += 8; }
+
+    // Arithmetic rather than bitwise so counts above 2^31 survive
+    varuint(v) {
+        do {
+            let byte = v % 128;
+            v = Math.floor(v / 128);
+            if (v > 0) byte |= 0x80;
+            this.u8(byte);
+        } while (v > 0);
+    }
+
+    raw(bytes) {
+        this._ensure(bytes.length);
+        this.bytes.set(bytes, this.offset);
+        this.offset += bytes.length;
+    }
+
+    string(s) {
+        if (s === null || s === undefined) { this.varuint(0); return; }
+        const encoded = this.encoder.encode(String(s));
+        this.varuint(encoded.length + 1);
+        this.raw(encoded);
+    }
+
+    section(tag, writeBody) {
+        this.u8(tag);
+        const lengthAt = this.offset;
+        this.u32(0);
+        writeBody();
+        this.view.setUint32(lengthAt, this.offset - lengthAt - 4, true);
+        this.sections++;
+    }
+
+    finish() { return new Uint8Array(this.buffer, 0, this.offset); }
+}
+
+class BinaryReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+        this.decoder = new TextDecoder();
+    }
+
+    _check(n) {
+        if (this.offset + n > this.bytes.byteLength) {
+            throw new Error(`Truncated DAE binary at byte ${this.offset}`);
+        }
+    }
+
+    u8() { this._check(1); const v = this.view.getUint8(this.offset); this.offset += 1; return v; }
+    u16() { this._check(2); const v = this.view.getUint16(this.offset, true); this.offset += 2; return v; }
+    u32() { this._check(4); const v = this.view.getUint32(this.offset, true); this.offset += 4; return v; }
+    f32() { this._check(4); const v = this.view.getFloat32(this.offset, true); this.offset += 4; return v; }
+    f64() { this._check(8); const v = this.view.getFloat64(this.offset, true); this.offset += 8; return v; }
+
+    varuint() {
+        let result = 0, scale = 1, byte;
+        do {
+            byte = this.u8();
+            result += (byte & 0x7f) * scale;
+            scale *= 128;
+        } while (byte & 0x80);
+        return result;
+    }
+
+    string() {
+        const len = this.varuint();
+        if (len === 0) return null;
+        this._check(len - 1);
+        const s = this.decoder.decode(this.bytes.subarray(this.offset, this.offset + len - 1));
+        this.offset += len - 1;
+        return s;
+    }
+
+    get done() { return this.offset >= this.bytes.byteLength; }
+}
+
+function encodeBinary(system, options = {}) {
+    const positionF32 = options.precision === 'float32' || options.positionPrecision === 'float32';
+    const phaseF32 = options.precision === 'float32' || options.phasePrecision === 'float32';
+    const flags = (positionF32 ? BINARY_FLAG_POSITION_F32 : 0) | (phaseF32 ? BINARY_FLAG_PHASE_F32 : 0);
+
+    const dictionary = new Map();
+    for (const occ of system.allOccurrences()) {
+        if (!dictionary.has(occ.word)) dictionary.set(occ.word, dictionary.size);
+    }
+
+    const w = new BinaryWriter();
+    for (let i = 0; i < 4; i++) w.u8(BINARY_MAGIC.charCodeAt(i));
+    w.u16(BINARY_VERSION);
+    w.u8(flags);
+    w.u8(0);
+
+    w.section(SECTION.META, () => {
+        w.string(system.agentName);
+        w.string(JSON.stringify(system.tokenizer.toJSON()));
+        const params = changedParams(system.params);
+        if (params) w.string(JSON.stringify(params));
+    });
+    w.section(SECTION.DICT, () => {
+        w.varuint(dictionary.size);
+        for (const word of dictionary.keys()) w.string(word);
+    });
+
+    const writeEpisode = (ep) => {
+        w.string(ep.name);
+        w.u8(ep.isConscious ? 1 : 0);
+        w.string(ep.id);
+        w.string(ep.timestamp);
+        w.varuint(ep.neighborhoods.length);
+        for (const n of ep.neighborhoods) {
+            w.string(n.id);
+            w.string(n.text);
+            n.seed.toArray().forEach(v => w.f64(v));
+            w.varuint(n.occurrences.length);
+            for (const occ of n.occurrences) {
+                w.varuint(dictionary.get(occ.word));
+                occ.position.toArray().forEach(v => positionF32 ? w.f32(v) : w.f64(v));
+                if (phaseF32) w.f32(occ.phasor.theta); else w.f64(occ.phasor.theta);
+                w.varuint(occ.activationCount);
+            }
+        }
+    };
+
+    for (const ep of system.episodes) w.section(SECTION.EPISODE, () => writeEpisode(ep));
+    w.section(SECTION.CONSCIOUS, () => writeEpisode(system.consciousEpisode));
+
+    const notes = {};
+    for (const ep of [...system.episodes, system.consciousEpisode]) {
+        for (const n of ep.neighborhoods) if (n.meta) notes[n.id] = n.meta;
+    }
+    if (Object.keys(notes).length > 0) {
+        w.section(SECTION.NOTES, () => w.string(JSON.stringify(notes)));
+    }
+    if (options.extra !== undefined) {
+        w.section(SECTION.EXTRA, () => w.string(JSON.stringify(options.extra)));
+    }
+    const count = w.sections;
+    w.section(SECTION.END, () => w.varuint(count));
+    return w.finish();
+}
+
+function isDAEBinary(bytes) {
+    if (!bytes || bytes.byteLength < 8) return false;
+    for (let i = 0; i < 4; i++) {
+        if (bytes[i] !== BINARY_MAGIC.charCodeAt(i)) return false;
+    }
+    return true;
+}
+
+// Walk the section table, handing each known section to its reader
+function readBinarySections(bytes, handlers) {
+    if (!(bytes instanceof Uint8Array)) bytes = new Uint8Array(bytes);
+    if (!isDAEBinary(bytes)) throw new Error('Not a DAE binary state (bad magic)');
+    const r = new BinaryReader(bytes);
+    r.offset = 4;
+    const version = r.u16();
+    if (version > BINARY_VERSION) {
+        throw new Error(`DAE binary version ${version} is newer than supported (${BINARY_VERSION})`);
+    }
+    const flags = r.u8();
+    r.u8();
+
+    let sections = 0;
+    let ended = false;
+    while (!r.done) {
+        if (r.offset + 5 > bytes.byteLength) throw new Error('Truncated DAE binary section header');
+        const tag = r.u8();
+        const length = r.u32();
+        const end = r.offset + length;
+        if (end > bytes.byteLength) throw new Error(`Truncated DAE binary section ${tag}`);
+        if (tag === SECTION.END && !ended) {
+            const count = new BinaryReader(bytes.subarray(r.offset, end)).varuint();
+            if (count !== sections) {
+                throw new Error(`DAE binary end marker counts ${count} sections, found ${sections}`);
+            }
+            ended = true;
+            r.offset = end;
+            continue;
+        }
+        if (!ended) sections++;
+        const handler = handlers[tag];
+        if (handler) {
+            const sub = new BinaryReader(bytes.subarray(r.offset, end));
+            handler(sub, flags);
+        }
+        r.offset = end;
+    }
+    if (!ended) throw new Error('Truncated DAE binary (no end marker)');
+    return { version, flags };
+}
+
+function decodeBinary(bytes, options = {}) {
+    const system = new DAESystem(options);
+    let dictionary = [];
+    let notes = {};
+
+    const readEpisode = (r, flags) => {
+        const positionF32 = flags & BINARY_FLAG_POSITION_F32;
+        const phaseF32 = flags & BINARY_FLAG_PHASE_F32;
+        const name = r.string();
+        const isConscious = r.u8() === 1;
+        const ep = new Episode(name, isConscious, r.string(), r.string());
+        const nCount = r.varuint();
+        for (let i = 0; i < nCount; i++) {
+            const id = r.string();
+            const text = r.string();
+            const seed = new Quaternion(r.f64(), r.f64(), r.f64(), r.f64());
+            const n = new Neighborhood(seed, id, text ?? undefined);
+            const oCount = r.varuint();
+            for (let j = 0; j < oCount; j++) {
+                const word = dictionary[r.varuint()];
+                const position = positionF32
+                    ? new Quaternion(r.f32(), r.f32(), r.f32(), r.f32())
+                    : new Quaternion(r.f64(), r.f64(), r.f64(), r.f64());
+                const occ = new Occurrence(word, position, new DaemonPhasor(phaseF32 ? r.f32() : r.f64()), id);
+                occ.activationCount = r.varuint();
+                n.occurrences.push(occ);
+            }
+            ep.neighborhoods.push(n);
+        }
+        return ep;
+    };
+
+    readBinarySections(bytes, {
+        [SECTION.META]: (r) => {
+            const name = r.string();
+            if (name) system.agentName = name;
+            const tokenizer = r.done ? null : r.string();
+            system.tokenizer = resolveTokenizer(tokenizer ? JSON.parse(tokenizer) : LEGACY_TOKENIZER);
+            const params = r.done ? null : JSON.parse(r.string());
+            system.params = createParams({ ...(params || {}), ...(options.params || {}) });
+        },
+        [SECTION.DICT]: (r) => {
+            const count = r.varuint();
+            dictionary = new Array(count);
+            for (let i = 0; i < count; i++) dictionary[i] = r.string();
+        },
+        [SECTION.EPISODE]: (r, flags) => { system.episodes.push(readEpisode(r, flags)); },
+        [SECTION.CONSCIOUS]: (r, flags) => { system.consciousEpisode = readEpisode(r, flags); },
+        [SECTION.NOTES]: (r) => { notes = JSON.parse(r.string()); },
+    });
+    for (const ep of [...system.episodes, system.consciousEpisode]) {
+        for (const n of ep.neighborhoods) n.applyMeta(notes[n.id]);
+    }
+    system._indexDirty = true;
+    return system;
+}
+
+// The EXTRA section, parsed, or null when the file has none
+function readBinaryExtra(bytes) {
+    let extra = null;
+    readBinarySections(bytes, {
+        [SECTION.EXTRA]: (r) => { extra = JSON.parse(r.string()); },
+    });
+    return extra;
 }
 
 // ============================================================
 // TOKENIZATION
 // ============================================================
+/*
+ * A tokenizer is { type, stopwords, stem, tokenize(text), toJSON() }.
+ * DAESystem owns one and uses it for every ingest, query and salient
+ * memory; its descriptor (toJSON) is saved with the state so a reloaded
+ * system splits queries exactly the way it split the stored text.
+ *
+ *   legacy  — the original \w splitter; states saved before tokenizers
+ *             existed load with this one
+ *   unicode — NFKC-normalized letter/mark/number runs in any script;
+ *             scripts written without spaces (CJK, Thai…) are segmented
+ *             with Intl.Segmenter when available, else per character
+ *
+ * Stopwords ('en' or an array) are dropped after splitting; stem: 'light'
+ * strips common English suffixes from Latin-script words.
+ * registerTokenizer(type, split) adds a splitter: split(text, descriptor).
+ */
 
+// Original tokenizer, kept verbatim for states ingested with it
 function tokenize(text) {
     return text
         .replace(/[^\w\s']/g, ' ')
@@ -508,53 +1670,695 @@ function tokenize(text) {
         .filter(t => t.length > 0);
 }
 
+const UNICODE_WORD = /[\p{L}\p{M}\p{N}]+(?:['’][\p{L}\p{M}\p{N}]+)*/gu;
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+let wordSegmenter = null;
+function segmentUnspaced(run) {
+    if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+        wordSegmenter = wordSegmenter || new Intl.Segmenter(undefined, { granularity: 'word' });
+        return [...wordSegmenter.segment(run)].filter(s => s.isWordLike).map(s => s.segment);
+    }
+    return [...run];
+}
+
+function unicodeSplit(text) {
+    const tokens = [];
+    const matches = text.normalize('NFKC').toLowerCase().match(UNICODE_WORD) || [];
+    for (const m of matches) {
+        const word = m.replace(/’/g, "'");
+        if (UNSPACED_SCRIPT.test(word)) tokens.push(...segmentUnspaced(word));
+        else tokens.push(word);
+    }
+    return tokens;
+}
+
+const TOKENIZERS = new Map([
+    ['legacy', tokenize],
+    ['unicode', unicodeSplit],
+]);
+
+function registerTokenizer(type, split) {
+    TOKENIZERS.set(type, split);
+}
+
+const STOPWORDS = {
+    en: [
+        'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any', 'are',
+        'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but',
+        'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for',
+        'from', 'further', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'herself',
+        'him', 'himself', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', "it's", 'its', 'itself',
+        'just', 'me', 'more', 'most', 'my', 'myself', 'no', 'nor', 'not', 'now', 'of', 'off', 'on',
+        'once', 'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out', 'over', 'own', 'same',
+        'she', 'should', 'so', 'some', 'such', 'than', 'that', "that's", 'the', 'their', 'theirs',
+        'them', 'themselves', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to',
+        'too', 'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which',
+        'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours', 'yourself',
+        'yourselves',
+    ],
+};
+
+// Light English suffix stripping — plurals, -ing, -ed, -ly
+function lightStem(word) {
+    if (word.length <= 3 || !/^[a-z']+$/.test(word)) return word;
+    let w = word;
+    if (w.endsWith('ies') && w.length > 4) return w.slice(0, -3) + 'y';
+    if (/(sses|xes|zes|ches|shes)$/.test(w)) return w.slice(0, -2);
+    if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) return w.slice(0, -1);
+    if (w.endsWith('ly') && w.length > 5) return w.slice(0, -2);
+    if (w.endsWith('ing') && w.length > 5) w = w.slice(0, -3);
+    else if (w.endsWith('ed') && w.length > 4) w = w.slice(0, -2);
+    else return w;
+    // running → runn → run
+    if (/([b-df-hj-np-tv-z])\1$/.test(w) && !/(ll|ss|zz)$/.test(w)) w = w.slice(0, -1);
+    return w;
+}
+
+function createTokenizer(descriptor = {}) {
+    const type = descriptor.type || 'unicode';
+    const split = TOKENIZERS.get(type);
+    if (!split) throw new Error(`Unknown tokenizer: ${type}`);
+    const stopwords = descriptor.stopwords ?? null;
+    const stem = descriptor.stem ?? null;
+    if (stem !== null && stem !== 'light') throw new Error(`Unknown stemmer: ${stem}`);
+
+    let stopSet = null;
+    if (stopwords) {
+        const list = Array.isArray(stopwords) ? stopwords : STOPWORDS[stopwords];
+        if (!list) throw new Error(`Unknown stopword list: ${stopwords}`);
+        stopSet = new Set(list.map(w => w.toLowerCase()));
+    }
+
+    return {
+        type, stopwords, stem,
+        tokenize(text) {
+            let tokens = split(text, descriptor);
+            if (stopSet) tokens = tokens.filter(t => !stopSet.has(t));
+            if (stem === 'light') tokens = tokens.map(lightStem);
+            return tokens;
+        },
+        toJSON() { return { type, stopwords, stem }; },
+    };
+}
+
+// Accepts a tokenizer, a descriptor, or nothing (the unicode default)
+function resolveTokenizer(tokenizer) {
+    if (tokenizer && typeof tokenizer.tokenize === 'function') return tokenizer;
+    return createTokenizer(tokenizer || {});
+}
+
+function sameTokenizer(a, b) {
+    return JSON.stringify(resolveTokenizer(a).toJSON()) === JSON.stringify(resolveTokenizer(b).toJSON());
+}
+
+const DEFAULT_TOKENIZER = createTokenizer();
+const LEGACY_TOKENIZER = createTokenizer({ type: 'legacy' });
+
 // ============================================================
-// INGESTION
+// CHUNKING — Text → neighborhood-sized pieces
 // ============================================================
+/*
+ * A chunker is { strategy, unit, size, overlap, chunk(text, tokenizer), toJSON() }.
+ *
+ *   sentences — split on . ! ? and group; the original behavior
+ *   markdown  — structure-aware: headings open a section and lead its first
+ *               chunk, fenced code blocks stay whole, quoted replies (> …)
+ *               are chunked apart from the reply, list items group as units,
+ *               and paragraphs group by sentence within their section
+ *
+ * size and overlap count sentences (unit: 'sentences') or approximate
+ * tokens (unit: 'tokens'). With tokens, a sentence longer than size is cut
+ * at whitespace, and a piece still too long (CJK text, a long URL) by code
+ * points, so no chunk runs away.
+ */
+
+const DEFAULT_CHUNKING = { strategy: 'sentences', unit: 'sentences', size: 3, overlap: 0 };
+
+function splitSentences(text) {
+    return text.split(/(?<=[.!?])\s+/).filter(s => s.trim());
+}
+
+function markdownBlocks(text) {
+    const blocks = [];
+    let para = [], fence = null, current = null;
+
+    const flushPara = () => {
+        if (para.length > 0) blocks.push({ type: 'paragraph', text: para.join(' ') });
+        para = [];
+    };
+    const closeBlock = () => { flushPara(); current = null; };
+
+    for (const line of text.split(/\r?\n/)) {
+        if (fence) {
+            fence.lines.push(line);
+            if (/^\s*(```|~~~)/.test(line)) {
+                blocks.push({ type: 'code', text: fence.lines.join('\n') });
+                fence = null;
+            }
+            continue;
+        }
+        if (/^\s*(```|~~~)/.test(line)) {
+            closeBlock();
+            fence = { lines: [line] };
+            continue;
+        }
+        if (/^\s{0,3}#{1,6}\s/.test(line)) {
+            closeBlock();
+            blocks.push({ type: 'heading', text: line.replace(/^\s*#+\s*/, '').replace(/\s*#+\s*$/, '') });
+            continue;
+        }
+        if (/^\s*>/.test(line)) {
+            const body = line.replace(/^\s*(>\s?)+/, '');
+            if (current?.type !== 'quote') {
+                closeBlock();
+                current = { type: 'quote', lines: [] };
+                blocks.push(current);
+            }
+            current.lines.push(body);
+            continue;
+        }
+        const item = line.match(/^\s*(?:[-*+]|\d+[.)])\s+(.*)$/);
+        if (item) {
+            if (current?.type !== 'list') {
+                closeBlock();
+                current = { type: 'list', items: [] };
+                blocks.push(current);
+            }
+            current.items.push(item[1]);
+            continue;
+        }
+        if (!line.trim()) {
+            closeBlock();
+            continue;
+        }
+        // Indented continuation of a list item
+        if (current?.type === 'list' && /^\s+/.test(line)) {
+            current.items[current.items.length - 1] += ' ' + line.trim();
+            continue;
+        }
+        if (current) current = null;
+        para.push(line.trim());
+    }
+    if (fence) blocks.push({ type: 'code', text: fence.lines.join('\n') });
+    flushPara();
+
+    return blocks.map(b => b.type === 'quote' ? { type: 'quote', text: b.lines.join(' ') }
+        : b.type === 'list' ? { type: 'list', items: b.items }
+        : b);
+}
+
+function createChunker(descriptor = {}) {
+    const opts = { ...DEFAULT_CHUNKING, ...descriptor };
+    const { strategy, unit, size, overlap } = opts;
+    if (!['sentences', 'markdown'].includes(strategy)) throw new Error(`Unknown chunking strategy: ${strategy}`);
+    if (!['sentences', 'tokens'].includes(unit)) throw new Error(`Unknown chunk unit: ${unit}`);
+    if (!(size >= 1)) throw new Error(`Chunk size must be at least 1 (got ${size})`);
+    if (!(overlap >= 0 && overlap < size)) throw new Error(`Chunk overlap must be in [0, size) (got ${overlap})`);
+
+    // Halve by code points until each piece is within `size` tokens
+    const splitHard = (text, tokenizer) => {
+        if (!text) return [];
+        const n = tokenizer.tokenize(text).length;
+        const points = [...text];
+        if (n <= size || points.length < 2) return [{ text, n }];
+        const mid = Math.ceil(points.length / 2);
+        return [
+            ...splitHard(points.slice(0, mid).join('').trim(), tokenizer),
+            ...splitHard(points.slice(mid).join('').trim(), tokenizer),
+        ];
+    };
+
+    // Group units (sentences or list items) into chunks of `size`
+    const group = (units, tokenizer, joiner = ' ') => {
+        if (unit === 'sentences') {
+            const chunks = [];
+            const step = size - overlap;
+            for (let i = 0; i < units.length; i += step) {
+                chunks.push(units.slice(i, i + size).join(joiner));
+                if (i + size >= units.length) break;
+            }
+            return chunks;
+        }
 
-function ingestText(text, name = null) {
-    const episode = new Episode(name);
-    const sentences = text.split(/(?<=[.!?])\s+/).filter(s => s.trim());
-    const chunkSize = 3;
+        const sized = [];
+        for (const u of units) {
+            const n = tokenizer.tokenize(u).length;
+            if (n <= size) { sized.push({ text: u, n }); continue; }
+            const words = u.split(/\s+/);
+            for (let i = 0; i < words.length; i += size) {
+                sized.push(...splitHard(words.slice(i, i + size).join(' '), tokenizer));
+            }
+        }
+
+        const chunks = [];
+        let start = 0;
+        while (start < sized.length) {
+            let end = start, total = 0;
+            while (end < sized.length && (end === start || total + sized[end].n <= size)) {
+                total += sized[end].n;
+                end++;
+            }
+            chunks.push(sized.slice(start, end).map(s => s.text).join(joiner));
+            if (end >= sized.length) break;
+            // Step back over trailing units until the overlap is covered
+            let next = end, carried = 0;
+            while (next - 1 > start && carried < overlap) {
+                next--;
+                carried += sized[next].n;
+            }
+            start = next;
+        }
+        return chunks;
+    };
+
+    const chunkMarkdown = (text, tokenizer) => {
+        const chunks = [];
+        let heading = null;
+        let sentences = [];
+
+        const emit = (pieces) => {
+            pieces.forEach(p => {
+                chunks.push(heading ? `${heading}\n${p}` : p);
+                heading = null;
+            });
+        };
+        const flushSentences = () => {
+            if (sentences.length > 0) emit(group(sentences, tokenizer));
+            sentences = [];
+        };
 
-    for (let i = 0; i < sentences.length; i += chunkSize) {
-        const chunk = sentences.slice(i, i + chunkSize).join(' ');
-        const tokens = tokenize(chunk);
+        for (const block of markdownBlocks(text)) {
+            if (block.type === 'paragraph') {
+                sentences.push(...splitSentences(block.text));
+                continue;
+            }
+            flushSentences();
+            if (block.type === 'heading') {
+                if (heading) chunks.push(heading);
+                heading = block.text;
+            } else if (block.type === 'code') {
+                emit([block.text]);
+            } else if (block.type === 'quote') {
+                emit(group(splitSentences(block.text), tokenizer));
+            } else if (block.type === 'list') {
+                emit(group(block.items, tokenizer, '\n'));
+            }
+        }
+        flushSentences();
+        if (heading) chunks.push(heading);
+        return chunks;
+    };
+
+    return {
+        strategy, unit, size, overlap,
+        chunk(text, tokenizer = DEFAULT_TOKENIZER) {
+            if (strategy === 'markdown') return chunkMarkdown(text, tokenizer);
+            return group(splitSentences(text), tokenizer);
+        },
+        toJSON() { return { strategy, unit, size, overlap }; },
+    };
+}
+
+function resolveChunker(chunker) {
+    if (chunker && typeof chunker.chunk === 'function') return chunker;
+    return createChunker(chunker || {});
+}
+
+const DEFAULT_CHUNKER = createChunker();
+
+// ============================================================
+// INGESTION
+// ============================================================
+
+// source: { entropy, tokenizer, chunker, params } — passing a DAESystem supplies all four
+function textToNeighborhoods(text, { entropy = DEFAULT_ENTROPY, tokenizer = DEFAULT_TOKENIZER, chunker = DEFAULT_CHUNKER, params = DEFAULT_PARAMS } = {}) {
+    const neighborhoods = [];
+    for (const chunk of chunker.chunk(text, tokenizer)) {
+        const tokens = tokenizer.tokenize(chunk);
         if (tokens.length > 0) {
-            const neighborhood = Neighborhood.fromTokens(tokens, null, chunk);
-            episode.addNeighborhood(neighborhood);
+            neighborhoods.push(Neighborhood.fromTokens(tokens, null, chunk, entropy, params.neighborhoodRadius));
         }
     }
+    return neighborhoods;
+}
+
+function ingestText(text, name = null, source = {}) {
+    const entropy = source.entropy || DEFAULT_ENTROPY;
+    const episode = new Episode(name, false, entropy.generateId(), entropy.now());
+    textToNeighborhoods(text, source).forEach(n => episode.addNeighborhood(n));
     return episode;
 }
 
+// ============================================================
+// CONSOLIDATION — "Sleep": merge related episodes into topics
+// ============================================================
+/*
+ * Small episodes (the agent makes one every few exchanges) rarely reach
+ * vivid mass. Consolidation groups episodes that share distinctive words
+ * and sit close on S³, then merges each group into one topical episode.
+ * Neighborhoods move as-is: activation counts, positions and phases are
+ * untouched, so N and every occurrence stay exactly as they were.
+ *
+ * Signature: the episode's top words by tf·log(neighborhoods/df), skipping
+ * words that appear in a single neighborhood (cannot be shared) or in more
+ * than commonWordShare of all neighborhoods (too common to mean anything;
+ * a word in just two neighborhoods always qualifies).
+ * Similarity: wordWeight·jaccard(signatures) + geometryWeight·(1 − d/π),
+ * d = geodesic distance between occurrence centroids.
+ * Grouping: greedy, strongest pairs first, while similarity ≥ threshold
+ * and the merged group stays within maxGroupSize episodes.
+ */
+
+const DEFAULT_CONSOLIDATION = {
+    threshold: 0.3,
+    signatureSize: 12,
+    commonWordShare: 0.1,
+    wordWeight: 0.7,
+    geometryWeight: 0.3,
+    maxGroupSize: 20,
+    match: null,      // RegExp or string: only consider episodes whose name matches
+    dryRun: false,    // report the groups without merging; their ids stay null
+};
+
+function episodeCentroid(episode) {
+    let ref = null, w = 0, x = 0, y = 0, z = 0;
+    for (const occ of episode.allOccurrences()) {
+        const p = occ.position;
+        if (!ref) ref = p;
+        // q and −q are the same rotation; align to the first before averaging
+        const s = ref.dot(p) < 0 ? -1 : 1;
+        w += s * p.w; x += s * p.x; y += s * p.y; z += s * p.z;
+    }
+    return ref ? new Quaternion(w, x, y, z).normalize() : null;
+}
+
+function episodeSignature(system, episode, options) {
+    system._rebuildIndexes();
+    const totalNbhd = system._neighborhoodIndex.size || 1;
+    const tf = new Map();
+    for (const occ of episode.allOccurrences()) {
+        const w = occ.word.toLowerCase();
+        tf.set(w, (tf.get(w) || 0) + 1);
+    }
+    const scored = [];
+    for (const [w, count] of tf) {
+        const df = system._wordNeighborhoodIndex.get(w)?.size || 1;
+        if (df < 2 || df > Math.max(2, totalNbhd * options.commonWordShare)) continue;
+        scored.push({ word: w, score: count * Math.log(totalNbhd / df) });
+    }
+    scored.sort((a, b) => b.score - a.score || (a.word < b.word ? -1 : 1));
+    return scored.slice(0, options.signatureSize).map(s => s.word);
+}
+
+function consolidateEpisodes(system, options = {}) {
+    const opts = { ...DEFAULT_CONSOLIDATION, ...options };
+    const match = typeof opts.match === 'string' ? new RegExp(opts.match) : opts.match;
+    const candidates = system.episodes
+        .filter(ep => ep.neighborhoods.length > 0 && (!match || match.test(ep.name || '')))
+        .map(ep => ({
+            episode: ep,
+            signature: new Set(episodeSignature(system, ep, opts)),
+            centroid: episodeCentroid(ep),
+        }));
+
+    const pairs = [];
+    for (let i = 0; i < candidates.length; i++) {
+        for (let j = i + 1; j < candidates.length; j++) {
+            const a = candidates[i], b = candidates[j];
+            let shared = 0;
+            for (const w of a.signature) if (b.signature.has(w)) shared++;
+            const union = a.signature.size + b.signature.size - shared;
+            const jaccard = union > 0 ? shared / union : 0;
+            const geometry = a.centroid && b.centroid
+                ? 1 - a.centroid.geodesicDistance(b.centroid) / Math.PI : 0;
+            const similarity = opts.wordWeight * jaccard + opts.geometryWeight * geometry;
+            if (shared > 0 && similarity >= opts.threshold) pairs.push({ i, j, similarity });
+        }
+    }
+    pairs.sort((a, b) => b.similarity - a.similarity);
+
+    // Greedy grouping, strongest links first
+    const groupOf = candidates.map((_, i) => [i]);
+    for (const { i, j } of pairs) {
+        const gi = groupOf[i], gj = groupOf[j];
+        if (gi === gj || gi.length + gj.length > opts.maxGroupSize) continue;
+        gi.push(...gj);
+        gj.forEach(k => { groupOf[k] = gi; });
+    }
+    const groups = [...new Set(groupOf)].filter(g => g.length > 1);
+
+    const report = { before: system.episodes.length, after: system.episodes.length, groups: [] };
+    for (const group of groups) {
+        group.sort((a, b) => system.episodes.indexOf(candidates[a].episode) - system.episodes.indexOf(candidates[b].episode));
+        const members = group.map(k => candidates[k].episode);
+
+        // Name the topic by the words most of its members share
+        const votes = new Map();
+        group.forEach(k => candidates[k].signature.forEach(w => votes.set(w, (votes.get(w) || 0) + 1)));
+        const topWords = [...votes.entries()]
+            .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+            .slice(0, 3).map(([w]) => w);
+
+        const name = `Topic: ${topWords.join(', ')}`;
+        const entry = {
+            id: null, name,
+            members: members.map(m => ({ id: m.id, name: m.name })),
+            neighborhoods: members.reduce((sum, m) => sum + m.neighborhoods.length, 0),
+            occurrences: members.reduce((sum, m) => sum + m.count, 0),
+        };
+        report.groups.push(entry);
+
+        // A dry run creates nothing, so it uses up no IDs or entropy
+        if (opts.dryRun) continue;
+        const merged = system.createEpisode(name);
+        merged.timestamp = members.map(m => m.timestamp).sort()[0];
+        members.forEach(m => merged.neighborhoods.push(...m.neighborhoods));
+        entry.id = merged.id;
+        const at = system.episodes.indexOf(members[0]);
+        const memberSet = new Set(members);
+        system.episodes[at] = merged;
+        system.episodes = system.episodes.filter(ep => !memberSet.has(ep));
+    }
+
+    if (!opts.dryRun && report.groups.length > 0) system._indexDirty = true;
+    report.after = opts.dryRun ? report.before : system.episodes.length;
+    if (!opts.dryRun && report.groups.length > 0) system.events.emit('consolidate', { report });
+    return report;
+}
+
+// ============================================================
+// DIAGNOSTICS — Manifold health on demand
+// ============================================================
+/*
+ * Read-only metrics for spotting collapse (everything drifting into one
+ * place or phase) and saturation (everything anchored or activated):
+ *   kuramoto   — order parameter R = |⟨e^{iθ}⟩|, overall and per word;
+ *                R → 1 means phases have locked together
+ *   anchoring  — anchored (c/C > THRESHOLD), mobile (activated, drifting)
+ *                and dormant (never activated) occurrence fractions
+ *   activation — distribution of occurrence activation counts
+ *   spread     — mean geodesic distance of occurrences from their
+ *                neighborhood seed, per neighborhood (fresh ≈ 2/3 radius)
+ *   idf        — distribution of word weights 1/df
+ *   episodes   — mass share (count/N) and activation share per episode
+ */
+
+function summarize(values) {
+    if (values.length === 0) return { count: 0, min: 0, max: 0, mean: 0, median: 0, p90: 0, p99: 0 };
+    const sorted = [...values].sort((a, b) => a - b);
+    const at = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+    return {
+        count: sorted.length,
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        mean: sorted.reduce((s, v) => s + v, 0) / sorted.length,
+        median: at(0.5), p90: at(0.9), p99: at(0.99),
+    };
+}
+
+function orderParameter(thetas) {
+    if (thetas.length === 0) return 0;
+    let sin = 0, cos = 0;
+    for (const t of thetas) { sin += Math.sin(t); cos += Math.cos(t); }
+    return Math.sqrt(sin * sin + cos * cos) / thetas.length;
+}
+
+// Power-of-two buckets: 0, 1, 2–3, 4–7, …
+function histogram(values) {
+    const buckets = new Map();
+    for (const v of values) {
+        const label = v === 0 ? '0' : (() => {
+            const lo = 2 ** Math.floor(Math.log2(v));
+            return lo === 1 ? '1' : `${lo}-${lo * 2 - 1}`;
+        })();
+        buckets.set(label, (buckets.get(label) || 0) + 1);
+    }
+    return Object.fromEntries(buckets);
+}
+
+// options: { topWords: 20, minWordOccurrences: 2 }
+function computeDiagnostics(system, options = {}) {
+    const topWords = options.topWords ?? 20;
+    const minWordOccurrences = options.minWordOccurrences ?? 2;
+    system._rebuildIndexes();
+
+    const N = system.N;
+    const thetas = [];
+    const counts = [];
+    let anchored = 0, mobile = 0, dormant = 0;
+    const spreads = [];
+
+    for (const ep of [...system.episodes, system.consciousEpisode]) {
+        for (const n of ep.neighborhoods) {
+            const C = n.totalActivation;
+            let spread = 0;
+            for (const occ of n.occurrences) {
+                thetas.push(occ.phasor.theta);
+                counts.push(occ.activationCount);
+                if (occ.activationCount === 0) dormant++;
+                else if (occ.isAnchored(C, system.params.threshold)) anchored++;
+                else mobile++;
+                spread += n.seed.geodesicDistance(occ.position);
+            }
+            if (n.count > 0) spreads.push(spread / n.count);
+        }
+    }
+
+    const words = [];
+    for (const [word, occs] of system._wordOccurrenceIndex) {
+        if (occs.length < minWordOccurrences) continue;
+        words.push({ word, occurrences: occs.length, R: orderParameter(occs.map(o => o.phasor.theta)) });
+    }
+    words.sort((a, b) => b.occurrences - a.occurrences || (a.word < b.word ? -1 : 1));
+    const weightedR = words.reduce((s, w) => s + w.R * w.occurrences, 0)
+        / Math.max(1, words.reduce((s, w) => s + w.occurrences, 0));
+
+    const dfs = [...system._wordNeighborhoodIndex.values()].map(nids => nids.size);
+    const totalActivation = system.totalActivation || 1;
+    const episodes = [...system.episodes, system.consciousEpisode].map(ep => ({
+        id: ep.id, name: ep.isConscious ? 'conscious' : ep.name,
+        neighborhoods: ep.neighborhoods.length, occurrences: ep.count,
+        mass: ep.mass(N), activationShare: ep.totalActivation / totalActivation,
+    })).sort((a, b) => b.mass - a.mass);
+
+    const diagnostics = {
+        N,
+        episodes: system.episodes.length,
+        neighborhoods: system._neighborhoodIndex.size,
+        conscious: system.consciousEpisode.neighborhoods.length,
+        distinctWords: system._wordOccurrenceIndex.size,
+        totalActivation: system.totalActivation,
+        kuramoto: {
+            overall: orderParameter(thetas),
+            meanWordR: weightedR,
+            words: words.slice(0, topWords),
+        },
+        anchoring: {
+            anchored: N > 0 ? anchored / N : 0,
+            mobile: N > 0 ? mobile / N : 0,
+            dormant: N > 0 ? dormant / N : 0,
+        },
+        activation: { ...summarize(counts), histogram: histogram(counts) },
+        spread: { ...summarize(spreads), radius: system.params.neighborhoodRadius },
+        idf: { ...summarize(dfs.map(df => 1 / df)), dfHistogram: histogram(dfs) },
+        episodeMass: episodes,
+        warnings: [],
+    };
+
+    // Heuristics, deliberately loose — these are prompts to look, not verdicts
+    if (diagnostics.kuramoto.meanWordR > 0.95 && words.length > 0) {
+        diagnostics.warnings.push('phase collapse: word phases have nearly all locked together');
+    }
+    if (spreads.length > 0 && diagnostics.spread.mean < system.params.neighborhoodRadius * 0.1) {
+        diagnostics.warnings.push('spatial collapse: neighborhoods have drifted onto their seeds');
+    }
+    if (diagnostics.anchoring.anchored > 0.5) {
+        diagnostics.warnings.push('saturation: over half of all occurrences are anchored');
+    }
+    if (episodes.length > 1 && episodes[0].mass > 0.9) {
+        diagnostics.warnings.push(`imbalance: "${episodes[0].name}" holds over 90% of N`);
+    }
+    return diagnostics;
+}
+
 // ============================================================
 // QUERY ENGINE
 // ============================================================
 
 class QueryEngine {
-    constructor(system) {
+    // params: overrides for this engine only; the system's params otherwise
+    constructor(system, params = null) {
         this.system = system;
+        this._params = params ? createParams({ ...system.params, ...params }) : null;
+        this.events = createEmitter(QUERY_EVENTS);
     }
 
-    activate(query) {
-        const tokens = tokenize(query);
+    get params() { return this._params || this.system.params; }
+
+    // Subscribe to a QUERY_EVENTS event; returns the unsubscribe function
+    on(type, handler) {
+        return this.events.on(type, handler);
+    }
+
+    // 'anchored' for activated occurrences whose c/C just crossed the threshold
+    _emitAnchored(activation) {
+        if (this.events.listenerCount('anchored') === 0) return;
+        const threshold = this.params.threshold;
+        const byNeighborhood = new Map();
+        for (const occ of [...activation.subconscious, ...activation.conscious]) {
+            if (!byNeighborhood.has(occ.neighborhoodId)) byNeighborhood.set(occ.neighborhoodId, []);
+            byNeighborhood.get(occ.neighborhoodId).push(occ);
+        }
+        for (const [id, occs] of byNeighborhood) {
+            const neighborhood = this.system.getNeighborhood(id);
+            if (!neighborhood) continue;
+            const C = neighborhood.totalActivation;
+            const before = C - occs.length;   // each occurrence activates once per call
+            for (const occurrence of occs) {
+                const ratio = occurrence.activationCount / C;
+                const wasAnchored = before > 0 && (occurrence.activationCount - 1) / before > threshold;
+                if (ratio > threshold && !wasAnchored) this.events.emit('anchored', { occurrence, neighborhood, ratio });
+            }
+        }
+    }
+
+    // With peek, returns activated clones (count + 1) and leaves the originals alone
+    activate(query, trace = null, peek = false) {
+        const tokens = this.system.tokenize(query);
         const uniqueTokens = [...new Set(tokens.map(t => t.toLowerCase()))];
         const result = { subconscious: [], conscious: [] };
+        const shadow = (o) => { const c = o.clone(); c.activate(); return c; };
 
         uniqueTokens.forEach(token => {
-            const { subconscious, conscious } = this.system.activateWord(token);
+            let { subconscious, conscious } = peek
+                ? this.system.lookupWord(token)
+                : this.system.activateWord(token);
+            if (peek) {
+                subconscious = subconscious.map(shadow);
+                conscious = conscious.map(shadow);
+            }
             result.subconscious.push(...subconscious);
             result.conscious.push(...conscious);
+            if (trace) {
+                trace.tokens.push({
+                    token,
+                    weight: this.system.getWordWeight(token),
+                    subconscious: subconscious.length,
+                    conscious: conscious.length,
+                    neighborhoods: [...new Set([...subconscious, ...conscious].map(o => o.neighborhoodId))],
+                });
+            }
         });
 
         return result;
     }
 
-    driftAndConsolidate(activated) {
+    // containerActivations: optional Map of neighborhoodId → total activation,
+    // for callers simulating counts that are not in the neighborhoods (peek)
+    driftAndConsolidate(activated, containerActivations = new Map()) {
         if (activated.length < 2) return;
 
-        const containerActivations = new Map();
         activated.forEach(occ => {
             if (!containerActivations.has(occ.neighborhoodId)) {
                 const neighborhood = this.system.getNeighborhoodForOccurrence(occ);
@@ -565,12 +2369,12 @@ class QueryEngine {
         // Layer 1: Pre-filter anchored occurrences
         const mobile = activated.filter(occ => {
             const C = containerActivations.get(occ.neighborhoodId) || 0;
-            return occ.getDriftRate(C) > 0;
+            return occ.getDriftRate(C, this.params.threshold) > 0;
         });
 
         if (mobile.length < 2) return;
 
-        if (mobile.length >= 200) {
+        if (mobile.length >= this.params.centroidDriftAt) {
             // O(n) centroid drift for large batches
             this._centroidDrift(mobile, containerActivations);
         } else {
@@ -580,6 +2384,7 @@ class QueryEngine {
     }
 
     _pairwiseDrift(mobile, containerActivations) {
+        const threshold = this.params.threshold;
         for (let i = 0; i < mobile.length; i++) {
             const occ1 = mobile[i];
             const C1 = containerActivations.get(occ1.neighborhoodId) || 0;
@@ -590,8 +2395,8 @@ class QueryEngine {
                 const C2 = containerActivations.get(occ2.neighborhoodId) || 0;
                 const w2 = this.system.getWordWeight(occ2.word);
 
-                const t1 = occ1.getDriftRate(C1) * w1;
-                const t2 = occ2.getDriftRate(C2) * w2;
+                const t1 = occ1.getDriftRate(C1, threshold) * w1;
+                const t2 = occ2.getDriftRate(C2, threshold) * w2;
 
                 if (t1 > 0 || t2 > 0) {
                     const total = t1 + t2;
@@ -599,12 +2404,12 @@ class QueryEngine {
                         const weight = t1 / total;
                         const meeting = occ1.position.slerp(occ2.position, weight);
                         if (t1 > 0) {
-                            occ1.position = occ1.position.slerp(meeting, t1 * THRESHOLD);
-                            occ1.phasor = occ1.phasor.slerp(occ2.phasor, t1 * THRESHOLD);
+                            occ1.position = occ1.position.slerp(meeting, t1 * threshold);
+                            occ1.phasor = occ1.phasor.slerp(occ2.phasor, t1 * threshold);
                         }
                         if (t2 > 0) {
-                            occ2.position = occ2.position.slerp(meeting, t2 * THRESHOLD);
-                            occ2.phasor = occ2.phasor.slerp(occ1.phasor, t2 * THRESHOLD);
+                            occ2.position = occ2.position.slerp(meeting, t2 * threshold);
+                            occ2.phasor = occ2.phasor.slerp(occ1.phasor, t2 * threshold);
                         }
                     }
                 }
@@ -639,7 +2444,7 @@ class QueryEngine {
 
             const target = new Quaternion(tw/n, tx/n, ty/n, tz/n);
             const C = containerActivations.get(occ.neighborhoodId) || 0;
-            const factor = occ.getDriftRate(C) * w * 0.5;
+            const factor = occ.getDriftRate(C, this.params.threshold) * w * 0.5;
 
             if (factor > 0) {
                 occ.position = occ.position.slerp(target, factor);
@@ -647,7 +2452,7 @@ class QueryEngine {
         });
     }
 
-    computeInterference(subconscious, conscious) {
+    computeInterference(subconscious, conscious, trace = null) {
         const subByWord = new Map();
         subconscious.forEach(occ => {
             const w = occ.word.toLowerCase();
@@ -688,11 +2493,11 @@ class QueryEngine {
             wordGroups.push({ word, subOccs, conOccs });
         }
 
-        this.applyKuramotoCoupling(wordGroups);
+        this.applyKuramotoCoupling(wordGroups, trace);
         return results;
     }
 
-    applyKuramotoCoupling(wordGroups) {
+    applyKuramotoCoupling(wordGroups, trace = null) {
         if (wordGroups.length === 0) return;
 
         const N_con = this.system.consciousEpisode.count || 1;
@@ -723,6 +2528,15 @@ class QueryEngine {
             const baseDeltaSub = K_CON * coupling * sinDiff;
             const baseDeltaCon = -K_SUB * coupling * sinDiff;
 
+            if (trace) {
+                trace.kuramoto.push({
+                    word, coupling, K_CON, K_SUB,
+                    subOccurrences: subOccs.length, conOccurrences: conOccs.length,
+                    meanPhaseSub, meanPhaseCon, phaseDiff,
+                    baseDeltaSub, baseDeltaCon,
+                });
+            }
+
             subOccs.forEach(occ => {
                 const plasticity = 1 / (1 + Math.log(1 + occ.activationCount));
                 occ.phasor.theta = ((occ.phasor.theta + baseDeltaSub * plasticity) % TWO_PI + TWO_PI) % TWO_PI;
@@ -767,7 +2581,7 @@ class QueryEngine {
                 episodeActivated += nActivated;
                 if (neighborhood.count > 0) {
                     const nRatio = nActivated / neighborhood.count;
-                    if (nRatio > THRESHOLD) {
+                    if (nRatio > this.params.threshold) {
                         vividNeighborhoods.push(neighborhood);
                         vividNeighborhoodIds.add(neighborhood.id);
                     }
@@ -775,7 +2589,7 @@ class QueryEngine {
             });
             if (episode.count > 0 && N > 0) {
                 const eRatio = episodeActivated / episode.count;
-                if (eRatio > THRESHOLD && episode.mass(N) > THRESHOLD) {
+                if (eRatio > this.params.threshold && episode.mass(N) > this.params.threshold) {
                     vividEpisodes.push(episode);
                     vividEpisodeIds.add(episode.id);
                 }
@@ -794,38 +2608,195 @@ class QueryEngine {
         return { fragments, vividNeighborhoods, vividEpisodes };
     }
 
-    processQuery(query) {
-        const activation = this.activate(query);
+    // options: { explain } — also return a trace of how the query was processed
+    processQuery(query, options = {}) {
+        const trace = options.explain ? createQueryTrace(query) : null;
+        const activation = this.activate(query, trace);
+        this._emitAnchored(activation);
+        const result = this._processActivation(query, activation, trace);
+        this.events.emit('query', { query, activation: result.activation, surface: result.surface });
+        return result;
+    }
+
+    /*
+     * Feed the LLM's reply back into memory: its words activate and drift
+     * existing occurrences, then Kuramoto coupling runs as for a query.
+     * Only words with IDF weight at or above the weight floor (see
+     * weightFloorShare) drift, which keeps long replies cheap. Returns the
+     * activation.
+     */
+    processResponse(reply) {
+        const activation = this.activate(reply);
+        this._emitAnchored(activation);
+        const totalNbhd = this.system.episodes.reduce((s, ep) => s + ep.neighborhoods.length, 0)
+            + this.system.consciousEpisode.neighborhoods.length;
+        const weightFloor = 1 / Math.max(1, Math.floor(totalNbhd * this.params.weightFloorShare));
+        const heavy = (occ) => this.system.getWordWeight(occ.word) >= weightFloor;
+
+        this.driftAndConsolidate(activation.subconscious.filter(heavy));
+        this.driftAndConsolidate(activation.conscious.filter(heavy));
+        this.computeInterference(activation.subconscious, activation.conscious);
+        this.events.emit('response', { reply, activation });
+        return activation;
+    }
+
+    /*
+     * Read-only processQuery: what would surface for this query, and the
+     * context composeContext would build from it, with no Occurrence changed.
+     * Activated occurrences are cloned with their count + 1, and drift,
+     * interference and Kuramoto run on the clones.
+     * options: { explain, context: composeContext options }
+     */
+    peek(query, options = {}) {
+        const trace = options.explain ? createQueryTrace(query) : null;
+        const activation = this.activate(query, trace, true);
+
+        // Container totals as they would be after activation
+        const containers = new Map();
+        for (const occ of [...activation.subconscious, ...activation.conscious]) {
+            if (!containers.has(occ.neighborhoodId)) {
+                const n = this.system.getNeighborhoodForOccurrence(occ);
+                containers.set(occ.neighborhoodId, n ? n.totalActivation : 0);
+            }
+            containers.set(occ.neighborhoodId, containers.get(occ.neighborhoodId) + 1);
+        }
+
+        const result = this._processActivation(query, activation, trace, containers);
+        const composed = composeContext(this.system, result.surface, result.activation, result.interference, {
+            ...(options.context || {}), explain: !!options.explain, params: this.params,
+        });
+        if (trace) trace.candidates = composed.trace.candidates;
+        return { ...result, context: composed.context, metrics: composed.metrics };
+    }
 
+    _processActivation(query, activation, trace = null, containers = null) {
         const totalNbhd = this.system.episodes.reduce((s, ep) => s + ep.neighborhoods.length, 0)
             + (this.system.consciousEpisode ? this.system.consciousEpisode.neighborhoods.length : 0);
-        const queryTokenCount = tokenize(query).length;
-
-        if (queryTokenCount > 50) {
-            const weightFloor = 1 / Math.max(1, Math.floor(totalNbhd * 0.1));
-            const driftSub = activation.subconscious.filter(occ => this.system.getWordWeight(occ.word) >= weightFloor);
-            const driftCon = activation.conscious.filter(occ => this.system.getWordWeight(occ.word) >= weightFloor);
-            this.driftAndConsolidate(driftSub);
-            this.driftAndConsolidate(driftCon);
-        } else {
-            this.driftAndConsolidate(activation.subconscious);
-            this.driftAndConsolidate(activation.conscious);
+        const queryTokenCount = this.system.tokenize(query).length;
+
+        let driftSub = activation.subconscious;
+        let driftCon = activation.conscious;
+        let weightFloor = null;
+        if (queryTokenCount > this.params.longQueryTokens) {
+            weightFloor = 1 / Math.max(1, Math.floor(totalNbhd * this.params.weightFloorShare));
+            driftSub = activation.subconscious.filter(occ => this.system.getWordWeight(occ.word) >= weightFloor);
+            driftCon = activation.conscious.filter(occ => this.system.getWordWeight(occ.word) >= weightFloor);
         }
+        this.driftAndConsolidate(driftSub, containers ? new Map(containers) : undefined);
+        this.driftAndConsolidate(driftCon, containers ? new Map(containers) : undefined);
 
-        const interference = this.computeInterference(activation.subconscious, activation.conscious);
+        const interference = this.computeInterference(activation.subconscious, activation.conscious, trace);
         const surface = this.computeSurface(activation, interference);
 
-        return { activation, interference, surface };
+        if (!trace) return { activation, interference, surface };
+
+        trace.drift = {
+            queryTokens: queryTokenCount, weightFloor,
+            subconscious: driftSub.length, conscious: driftCon.length,
+        };
+        trace.interference = interference.map(({ subOcc, interference: value }) => ({
+            word: subOcc.word, neighborhoodId: subOcc.neighborhoodId, value,
+        }));
+        trace.surface = {
+            fragments: surface.fragments.length,
+            vividNeighborhoods: surface.vividNeighborhoods.map(n => n.id),
+            vividEpisodes: surface.vividEpisodes.map(e => e.id),
+        };
+        return { activation, interference, surface, trace };
     }
 }
 
+// ============================================================
+// EXPLAIN — Structured traces of query processing
+// ============================================================
+/*
+ * processQuery(query, { explain: true }) fills:
+ *   tokens       — each unique query token, its IDF weight, how many
+ *                  occurrences it activated and in which neighborhoods
+ *   drift        — whether the long-query weight floor applied
+ *   interference — cos(Δθ) per activated subconscious occurrence
+ *   kuramoto     — per shared word: means, phase difference and the
+ *                  base phase shifts applied (before plasticity)
+ *   surface      — vivid neighborhoods/episodes and fragment count
+ * composeContext(..., { explain: true }) adds candidates: every scored
+ * neighborhood with its words, weights, score, novelty and outcome.
+ */
+
+function createQueryTrace(query) {
+    return { query, tokens: [], drift: null, interference: [], kuramoto: [], surface: null, candidates: [] };
+}
+
 // ============================================================
 // CONTEXT COMPOSITION — Builds the memory context for the LLM
 // ============================================================
 
-function composeContext(system, surface, activation, interference) {
+/*
+ * options: {
+ *   slots:  { conscious: 1, subconscious: 2, novel: 1 }  — max recalls per type
+ *   budget: { chars } or { tokens }                      — whole-context cap;
+ *           tokens are approximated as chars / CHARS_PER_TOKEN
+ *   minExcerptChars: 80                                  — below this, drop
+ *   explain: false                                       — return trace.candidates
+ *   params: system.params                                — engine parameters
+ *           (novelMaxActivated); pass the QueryEngine's own
+ * }
+ * Over budget, each recall gets a fair share of what is left and its text
+ * is cut to the window with the most activated words. Recalls that cannot
+ * get minExcerptChars are dropped; metrics.trimmed / metrics.dropped say which.
+ * metrics.recalled lists what was shown, as { slot, id }.
+ */
+
+const CHARS_PER_TOKEN = 4;
+const DEFAULT_SLOTS = { conscious: 1, subconscious: 2, novel: 1 };
+
+function budgetChars(budget) {
+    if (!budget) return Infinity;
+    if (budget.chars) return budget.chars;
+    if (budget.tokens) return budget.tokens * CHARS_PER_TOKEN;
+    return Infinity;
+}
+
+// Cut text to maxChars around the densest run of activated words
+function excerptAround(text, words, maxChars) {
+    if (text.length <= maxChars) return text;
+    const lower = text.toLowerCase();
+    const hits = [];
+    for (const w of words) {
+        let at = lower.indexOf(w);
+        while (at !== -1) {
+            hits.push(at);
+            at = lower.indexOf(w, at + w.length);
+        }
+    }
+    hits.sort((a, b) => a - b);
+
+    const width = Math.max(1, maxChars - 2);  // room for the ellipses
+    let bestStart = 0, bestCount = -1;
+    for (let i = 0, j = 0; i < hits.length; i++) {
+        while (j < hits.length && hits[j] < hits[i] + width) j++;
+        if (j - i > bestCount) { bestCount = j - i; bestStart = hits[i]; }
+    }
+    // Center the window on its hits, then snap to word boundaries
+    let start = Math.max(0, Math.min(text.length - width, bestStart - Math.floor(width / 4)));
+    let end = Math.min(text.length, start + width);
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        if (space !== -1 && space < start + 20) start = space + 1;
+    }
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        if (space > end - 20 && space > start) end = space;
+    }
+    return (start > 0 ? '…' : '') + text.slice(start, end).trim() + (end < text.length ? '…' : '');
+}
+
+function composeContext(system, surface, activation, interference, options = {}) {
     const parts = [];
-    let metrics = { conscious: 0, subconscious: 0, novel: 0 };
+    const slots = { ...DEFAULT_SLOTS, ...(options.slots || {}) };
+    const maxChars = budgetChars(options.budget);
+    const minExcerptChars = options.minExcerptChars ?? 80;
+    const params = options.params || system.params;
+    let metrics = { conscious: 0, subconscious: 0, novel: 0, recalled: [], trimmed: [], dropped: [] };
 
     const consciousWords = new Set(activation.conscious.map(o => o.word.toLowerCase()));
 
@@ -877,36 +2848,31 @@ function composeContext(system, surface, activation, interference) {
     const selectedIds = new Set();
 
     // 1. CONSCIOUS RECALL
+    const selected = [];
     const conRanked = [...conNeighborhoods.values()].sort((a, b) => b.score - a.score);
-    if (conRanked.length > 0) {
-        const best = conRanked[0];
-        selectedIds.add(best.neighborhood.id);
-        const text = best.neighborhood.text || best.neighborhood.occurrences.map(o => o.word).join(' ');
-        parts.push('CONSCIOUS RECALL:');
-        parts.push('[Source: Previously marked salient]');
-        parts.push(`"${text}"`);
-        metrics.conscious = 1;
-    }
+    conRanked.slice(0, slots.conscious).forEach((entry, i) => {
+        selectedIds.add(entry.neighborhood.id);
+        const label = slots.conscious > 1 ? `CONSCIOUS RECALL ${i + 1}:` : 'CONSCIOUS RECALL:';
+        const tags = entry.neighborhood.tags;
+        const source = 'Previously marked salient' + (tags.length > 0 ? ` [${tags.join(', ')}]` : '');
+        selected.push({ slot: 'conscious', label, source, entry });
+    });
 
-    // 2. SUBCONSCIOUS RECALL (top 2)
+    // 2. SUBCONSCIOUS RECALL (top N)
     const subRanked = [...subNeighborhoods.values()]
         .filter(entry => !selectedIds.has(entry.neighborhood.id))
         .sort((a, b) => b.score - a.score);
-    subRanked.slice(0, 2).forEach((entry, i) => {
+    subRanked.slice(0, slots.subconscious).forEach((entry, i) => {
         selectedIds.add(entry.neighborhood.id);
-        const text = entry.neighborhood.text || entry.neighborhood.occurrences.map(o => o.word).join(' ');
         const epName = entry.episode.displayName || entry.episode.name || 'Memory';
-        parts.push(`\nSUBCONSCIOUS RECALL ${i + 1}:`);
-        parts.push(`[Source: ${epName}]`);
-        parts.push(`"${text}"`);
-        metrics.subconscious++;
+        selected.push({ slot: 'subconscious', label: `SUBCONSCIOUS RECALL ${i + 1}:`, source: epName, entry });
     });
 
     // 3. NOVEL CONNECTION
     const novelCandidates = [...subNeighborhoods.values()]
         .filter(entry => {
             if (selectedIds.has(entry.neighborhood.id)) return false;
-            if (entry.activatedCount > 2) return false;
+            if (entry.activatedCount > params.novelMaxActivated) return false;
             const hasConsciousMatch = [...entry.words].some(w => consciousWords.has(w));
             if (hasConsciousMatch) return false;
             return true;
@@ -914,23 +2880,171 @@ function composeContext(system, surface, activation, interference) {
         .map(entry => ({ ...entry, novelty: entry.maxWordWeight * entry.maxPlasticity * (1 / entry.activatedCount) }))
         .sort((a, b) => b.novelty - a.novelty);
 
-    if (novelCandidates.length > 0) {
-        const novel = novelCandidates[0];
-        selectedIds.add(novel.neighborhood.id);
-        const text = novel.neighborhood.text || novel.neighborhood.occurrences.map(o => o.word).join(' ');
-        const epName = novel.episode.displayName || novel.episode.name || 'Memory';
-        parts.push('\nNOVEL CONNECTION:');
-        parts.push(`[Source: ${epName}]`);
-        parts.push(`"${text}"`);
-        metrics.novel = 1;
-    }
+    novelCandidates.slice(0, slots.novel).forEach((entry, i) => {
+        selectedIds.add(entry.neighborhood.id);
+        const epName = entry.episode.displayName || entry.episode.name || 'Memory';
+        const label = slots.novel > 1 ? `NOVEL CONNECTION ${i + 1}:` : 'NOVEL CONNECTION:';
+        selected.push({ slot: 'novel', label, source: epName, entry });
+    });
+
+    // Water-fill the budget: short recalls take what they need, long ones
+    // split the rest. Room is reserved for the summary line.
+    const FOOTER_RESERVE = 100;
+    const rendered = selected.map(sel => {
+        const n = sel.entry.neighborhood;
+        const text = n.text || n.occurrences.map(o => o.word).join(' ');
+        const overhead = sel.label.length + sel.source.length + 16;
+        return { ...sel, text, overhead, allowance: 0 };
+    });
+    let remaining = maxChars - FOOTER_RESERVE;
+    [...rendered].sort((a, b) => (a.text.length + a.overhead) - (b.text.length + b.overhead))
+        .forEach((r, i, arr) => {
+            const fair = remaining / (arr.length - i);
+            r.allowance = Math.min(r.text.length, Math.floor(fair - r.overhead));
+            remaining -= Math.max(0, r.allowance) + r.overhead;
+        });
+
+    const shownPerSlot = { conscious: 0, subconscious: 0, novel: 0 };
+    rendered.forEach(({ slot, label, source, entry, text, allowance }) => {
+        const n = entry.neighborhood;
+        let shown = text;
+        if (text.length > allowance) {
+            if (allowance < minExcerptChars) {
+                metrics.dropped.push({ slot, id: n.id, chars: text.length, reason: 'budget' });
+                return;
+            }
+            shown = excerptAround(text, entry.words, allowance);
+            metrics.trimmed.push({ slot, id: n.id, from: text.length, to: shown.length });
+        }
+
+        // Number by what is actually shown, so drops leave no gaps
+        shownPerSlot[slot]++;
+        const numbered = label.replace(/ \d+:$/, ` ${shownPerSlot[slot]}:`);
+        const lead = slot === 'conscious' && parts.length === 0 ? '' : '\n';
+        parts.push(`${lead}${numbered}`);
+        parts.push(`[Source: ${source}]`);
+        parts.push(`"${shown}"`);
+        metrics[slot]++;
+        metrics.recalled.push({ slot, id: n.id });
+    });
 
     const total = metrics.conscious + metrics.subconscious + metrics.novel;
     if (total > 0) {
         parts.push(`\n[Activated: ${total} neighborhoods | conscious:${metrics.conscious} subconscious:${metrics.subconscious} novel:${metrics.novel}]`);
     }
 
-    return { context: parts.join('\n'), metrics };
+    const context = parts.join('\n');
+    metrics.chars = context.length;
+    metrics.approxTokens = Math.ceil(context.length / CHARS_PER_TOKEN);
+    if (!options.explain) return { context, metrics };
+
+    // Why each scored neighborhood won or lost its slot
+    const slotOf = new Map(selected.map(sel => [sel.entry.neighborhood.id, sel.slot]));
+    const dropped = new Set(metrics.dropped.map(d => d.id));
+    const trimmed = new Set(metrics.trimmed.map(t => t.id));
+    const subRank = new Map(subRanked.map((e, i) => [e.neighborhood.id, i]));
+    const novelRank = new Map(novelCandidates.map((e, i) => [e.neighborhood.id, i]));
+    const novelty = new Map(novelCandidates.map(e => [e.neighborhood.id, e.novelty]));
+
+    const describe = (entry, kind, rank) => {
+        const id = entry.neighborhood.id;
+        let outcome;
+        const slot = slotOf.get(id);
+        if (slot) {
+            outcome = dropped.has(id) ? `selected as ${slot}, dropped for budget`
+                : trimmed.has(id) ? `selected as ${slot}, excerpted for budget`
+                : `selected as ${slot}`;
+        } else if (kind === 'conscious') {
+            outcome = `conscious rank ${rank + 1} outside ${slots.conscious} slot(s)`;
+        } else if (novelRank.has(id)) {
+            outcome = `subconscious rank ${subRank.get(id) + 1} outside ${slots.subconscious} slot(s); ` +
+                `novel rank ${novelRank.get(id) + 1} outside ${slots.novel} slot(s)`;
+        } else {
+            const why = entry.activatedCount > params.novelMaxActivated
+                ? `${entry.activatedCount} activated occurrences (novel needs ≤ ${params.novelMaxActivated})`
+                : 'shares a word with conscious recall';
+            outcome = `subconscious rank ${subRank.get(id) + 1} outside ${slots.subconscious} slot(s); not novel: ${why}`;
+        }
+        return {
+            id, kind,
+            episode: entry.episode ? (entry.episode.name || entry.episode.id) : 'conscious',
+            score: entry.score,
+            activatedCount: entry.activatedCount,
+            words: Object.fromEntries([...entry.words].map(w => [w, system.getWordWeight(w)])),
+            novelty: novelty.get(id) ?? null,
+            outcome,
+        };
+    };
+
+    const candidates = [
+        ...conRanked.map((e, i) => describe(e, 'conscious', i)),
+        ...[...subNeighborhoods.values()].sort((a, b) => b.score - a.score).map((e, i) => describe(e, 'subconscious', i)),
+    ];
+    return { context, metrics, trace: { candidates } };
+}
+
+// ============================================================
+// EVALUATION — Offline retrieval quality
+// ============================================================
+/*
+ * cases: [{ query, ids: [id or prefix], text: [fragment] }] — a recalled
+ * neighborhood is relevant when its id starts with one of ids or its text
+ * contains one of the fragments (case-insensitive).
+ *
+ * Each query runs through QueryEngine.peek, so cases are isolated and the
+ * system is unchanged. Candidates are ranked as the LLM would see them:
+ * recalls in context order, then every other scored neighborhood.
+ *
+ *   hitRate    — share of cases with a relevant recall in the context
+ *   mrr        — mean of 1 / rank of the first relevant candidate (0 if none)
+ *   precision  — per slot, relevant recalls / recalls shown, over all cases
+ *
+ * options: { params — engine parameters for this run, context — composeContext options }
+ */
+
+const EVAL_SLOTS = ['conscious', 'subconscious', 'novel'];
+
+function evaluateRetrieval(system, cases, options = {}) {
+    const engine = new QueryEngine(system, options.params || null);
+    const results = cases.map(c => evaluateCase(system, engine, c, options.context || {}));
+
+    const slots = Object.fromEntries(EVAL_SLOTS.map(slot => {
+        const shown = results.flatMap(r => r.recalled.filter(x => x.slot === slot));
+        const relevant = shown.filter(x => x.relevant).length;
+        return [slot, { shown: shown.length, relevant, precision: shown.length > 0 ? relevant / shown.length : null }];
+    }));
+    const n = Math.max(1, results.length);
+    return {
+        params: engine.params,
+        cases: results.length,
+        hitRate: results.filter(r => r.hit).length / n,
+        mrr: results.reduce((sum, r) => sum + (r.rank ? 1 / r.rank : 0), 0) / n,
+        precision: slots,
+        results,
+    };
+}
+
+function evaluateCase(system, engine, c, contextOptions) {
+    const ids = [].concat(c.ids || []);
+    const fragments = [].concat(c.text || []).map(t => t.toLowerCase());
+    const isRelevant = (id) => {
+        if (ids.some(prefix => id.startsWith(prefix))) return true;
+        if (fragments.length === 0) return false;
+        const text = (system.getNeighborhood(id)?.text || '').toLowerCase();
+        return fragments.some(f => text.includes(f));
+    };
+
+    const { trace, metrics } = engine.peek(c.query, { explain: true, context: contextOptions });
+    const recalled = metrics.recalled.map(({ slot, id }) => ({ slot, id, relevant: isRelevant(id) }));
+    const ranked = [...new Set([...recalled.map(r => r.id), ...trace.candidates.map(x => x.id)])];
+    const index = ranked.findIndex(isRelevant);
+    return {
+        query: c.query,
+        hit: recalled.some(r => r.relevant),
+        rank: index === -1 ? null : index + 1,
+        candidates: ranked.length,
+        recalled,
+    };
 }
 
 // ============================================================
@@ -954,18 +3068,154 @@ HOW TO USE MEMORIES:
 MARKING MEMORIES:
 When you produce a genuine insight, an important synthesis, or information worth remembering across conversations, wrap it in <salient>content</salient> tags. This stores it in your conscious memory for future recall. Be selective — only mark what you'd want to remember next week. Routine responses, pleasantries, and restatements of the user's own words should never be marked salient.
 
+Optional attributes on <salient>:
+- importance="1" to "5" (or low, medium, high) — how strongly to hold it; default 1
+- tags="topic, other topic" — short topic labels
+- expires="7d" (h, d, w, m or y) or an ISO date — for things that stop being true, like schedules or temporary states
+Example: <salient importance="4" tags="kuramoto, memory">Phase coupling only fires on words shared by both manifolds.</salient>
+
+CORRECTING MEMORIES:
+If a conscious recall turns out to be wrong or outdated, fix it:
+- <revise old="the earlier memory, quoted closely">the corrected statement</revise> replaces it (same attributes as <salient> allowed)
+- <forget>the earlier memory, quoted closely</forget> removes it outright
+Quote the earlier text closely enough to identify it. <salient> and <revise> content stays in your visible reply; <forget> blocks are removed before posting.
+
 CRITICAL: If any recall section (CONSCIOUS, SUBCONSCIOUS, NOVEL) is absent from your context below, it does not exist for this query. Do not reconstruct, simulate, or infer what it might have contained. Report only what is actually present. This applies even when the conversation suggests certain content should appear.
 
 ${context}`;
 
 // ============================================================
-// SALIENT EXTRACTION
+// MEMORY MARKUP — <salient>, <revise> and <forget> from the LLM
 // ============================================================
+/*
+ *   <salient importance="1-5|low|medium|high" tags="a, b" expires="7d|ISO">text</salient>
+ *   <revise old="earlier memory" ...salient attributes>corrected text</revise>
+ *   <forget>earlier memory</forget>
+ *
+ * <revise> and <forget> find their target among conscious entries by token
+ * overlap (at least `retract`, default DEFAULT_RETRACT_THRESHOLD). Pinned
+ * entries are never revised or forgotten by the model. A <revise> whose
+ * target is not found is stored as a new salient memory.
+ */
+
+const DEFAULT_RETRACT_THRESHOLD = 0.5;
+const IMPORTANCE_NAMES = { low: 1, medium: 3, high: 5 };
+const EXPIRY_UNITS = { h: 3600000, d: 86400000, w: 7 * 86400000, m: 30 * 86400000, y: 365 * 86400000 };
+
+// The body may not open another tag, so one left unclosed swallows nothing after it
+const MARKUP_PATTERN = /<(salient|revise|forget)\b([^>]*)>((?:(?!<(?:salient|revise|forget)\b).)*?)<\/\1>/gs;
+
+function parseAttributes(raw) {
+    const attrs = {};
+    for (const m of raw.matchAll(/([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attrs[m[1].toLowerCase()] = m[2] ?? m[3];
+    }
+    return attrs;
+}
+
+function parseImportance(value) {
+    if (value === undefined) return null;
+    const v = IMPORTANCE_NAMES[value.trim().toLowerCase()] ?? parseInt(value);
+    return Number.isFinite(v) ? Math.min(5, Math.max(1, v)) : null;
+}
+
+// "7d", "12h", "2w" relative to now, or an absolute date; null if unreadable
+function parseExpiry(value, now) {
+    if (value === undefined) return null;
+    const rel = value.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([hdwmy])$/);
+    const at = rel ? Date.parse(now) + parseFloat(rel[1]) * EXPIRY_UNITS[rel[2]] : Date.parse(value);
+    return Number.isFinite(at) ? new Date(at).toISOString() : null;
+}
+
+// Every directive in the reply, in order: { type, text, old?, importance, tags, expiresAt }
+function parseMemoryMarkup(text, now = new Date().toISOString()) {
+    const directives = [];
+    for (const m of text.matchAll(MARKUP_PATTERN)) {
+        const attrs = parseAttributes(m[2]);
+        directives.push({
+            type: m[1],
+            text: m[3].trim(),
+            old: attrs.old ?? null,
+            importance: parseImportance(attrs.importance),
+            tags: attrs.tags ? attrs.tags.split(',').map(t => t.trim()).filter(Boolean) : [],
+            expiresAt: parseExpiry(attrs.expires, now),
+        });
+    }
+    return directives;
+}
+
+// The reply as it should be shown: <forget> blocks removed, other tags unwrapped
+function stripMemoryMarkup(text) {
+    return text
+        .replace(/<forget\b[^>]*>.*?<\/forget>/gs, '')
+        .replace(/<\/?(salient|revise|forget)\b[^>]*>/g, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/*
+ * Apply every directive in a reply to the conscious episode.
+ * options: { dedupe, retract }
+ * Returns { salient, repeats, revised, forgotten, skipped: [{ type, text, reason }] }
+ */
+function applyMemoryMarkup(system, text, options = {}) {
+    const retract = options.retract ?? DEFAULT_RETRACT_THRESHOLD;
+    const report = { salient: 0, repeats: 0, revised: 0, forgotten: 0, skipped: [] };
+    const attributes = (d) => ({
+        dedupe: options.dedupe,
+        importance: d.importance,
+        tags: d.tags.length > 0 ? d.tags : null,
+        expiresAt: d.expiresAt,
+    });
+    const addSalient = (d) => {
+        const before = system.consciousEpisode.neighborhoods.length;
+        system.addToConscious(d.text, attributes(d));
+        report.salient++;
+        if (system.consciousEpisode.neighborhoods.length === before) report.repeats++;
+    };
+
+    for (const d of parseMemoryMarkup(text, system.entropy.now())) {
+        if (d.type === 'salient') {
+            if (d.text) addSalient(d);
+            continue;
+        }
+        const targetText = d.type === 'forget' ? d.text : d.old;
+        const target = targetText ? system.findConsciousDuplicate(targetText, retract) : null;
+        if (target?.neighborhood.pinned) {
+            report.skipped.push({ type: d.type, text: targetText, reason: 'target is pinned' });
+        } else if (d.type === 'forget') {
+            if (target) {
+                system.removeNeighborhood(target.neighborhood.id);
+                report.forgotten++;
+            } else {
+                report.skipped.push({ type: d.type, text: targetText, reason: 'no matching memory' });
+            }
+        } else if (!d.text) {
+            report.skipped.push({ type: d.type, text: targetText, reason: 'empty revision' });
+        } else if (target) {
+            const revised = system.editConscious(target.neighborhood.id, d.text);
+            if (d.importance) revised.importance = d.importance;
+            if (d.tags.length > 0) revised.tags = d.tags;
+            if (d.expiresAt) revised.expiresAt = d.expiresAt;
+            report.revised++;
+        } else {
+            addSalient(d);
+        }
+    }
+    return report;
+}
 
-function extractSalient(system, text) {
-    const m = text.match(/<salient>(.*?)<\/salient>/gs);
-    if (m) m.forEach(s => system.addToConscious(s.replace(/<\/?salient>/g, '')));
-    return m ? m.length : 0;
+// Salient marks only (no <revise>/<forget>). Returns how many were found.
+// options: passed to addToConscious ({ dedupe })
+function extractSalient(system, text, options = {}) {
+    const marks = parseMemoryMarkup(text, system.entropy.now()).filter(d => d.type === 'salient' && d.text);
+    marks.forEach(d => system.addToConscious(d.text, {
+        ...options,
+        importance: d.importance,
+        tags: d.tags.length > 0 ? d.tags : null,
+        expiresAt: d.expiresAt,
+    }));
+    return marks.length;
 }
 
 // ============================================================
@@ -974,11 +3224,17 @@ function extractSalient(system, text) {
 
 export {
     // Constants
-    PHI, GOLDEN_ANGLE, NEIGHBORHOOD_RADIUS, THRESHOLD, M, EPSILON,
+    PHI, GOLDEN_ANGLE, NEIGHBORHOOD_RADIUS, THRESHOLD, M, EPSILON, DEFAULT_DEDUPE_THRESHOLD,
+    DEFAULT_ENTROPY, DEFAULT_TOKENIZER, LEGACY_TOKENIZER, DEFAULT_PARAMS, SYSTEM_EVENTS, QUERY_EVENTS,
     // Classes
     Quaternion, DaemonPhasor, Occurrence, Neighborhood, Episode,
     DAESystem, QueryEngine,
     // Functions
-    tokenize, ingestText, composeContext, extractSalient,
+    tokenize, createTokenizer, registerTokenizer, sameTokenizer, lightStem, STOPWORDS,
+    createChunker, textToNeighborhoods,
+    ingestText, composeContext, extractSalient, consolidateEpisodes,
+    parseMemoryMarkup, applyMemoryMarkup, stripMemoryMarkup, computeDiagnostics, tokenOverlap,
+    createParams, createEmitter, createEntropy, createRandom, evaluateRetrieval, createIdGenerator, createLogicalClock,
+    isDAEBinary, readBinaryExtra, neighborhoodRetention,
     DAE_SYSTEM_PROMPT
 };
@@ -0,0 +1,437 @@
+#!/usr/bin/env node
+// DAE dashboard — read-only web view of a DAESystem, on localhost
+// Created by smaxforn
+//
+// Usage: node dae-dashboard.mjs [--state <file|snapshot>] [--port 8765]
+//        (or set DAE_DASHBOARD_PORT and the agent serves its live memory)
+//
+// Routes (GET only):
+//   /                 the dashboard page
+//   /api/summary      N, params, episodes and conscious memories
+//   /api/exchanges    recent exchanges with their recall metrics
+//   /api/points       occurrence positions on S³ projected to 3D
+//                     ?projection=hopf|stereographic  ?limit=<n>
+//   /api/peek?q=…     what would surface for a query (QueryEngine.peek)
+//
+// Nothing here changes memory. The server binds to 127.0.0.1 and refuses
+// requests whose Host header is not local, so neither other machines nor
+// web pages (DNS rebinding) can read it.
+
+import { createServer } from 'http';
+import { existsSync, statSync } from 'fs';
+import { join, dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { QueryEngine } from './dae-core.mjs';
+import { readStateFile, loadStateWithRecovery, findSnapshot } from './dae-state.mjs';
+import { readJournal } from './dae-journal.mjs';
+
+const DEFAULT_DASHBOARD_PORT = 8765;
+const DEFAULT_POINT_LIMIT = 5000;
+const MAX_POINT_LIMIT = 50000;
+const LOCAL_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+// ============================================================
+// PROJECTIONS — S³ → 3D
+// ============================================================
+/*
+ *   stereographic  from the pole (−1, 0, 0, 0): (x, y, z) / (1 + w), radius
+ *                  compressed by 2/π·atan(r) so the whole sphere fits in a ball
+ *   hopf           the Hopf map onto S², which collapses each great circle
+ *                  (fiber) to a point — positions that differ only by phase
+ *                  along a fiber land together
+ */
+
+function projectStereographic(q) {
+    const d = Math.max(1e-9, 1 + q.w);
+    const x = q.x / d, y = q.y / d, z = q.z / d;
+    const r = Math.hypot(x, y, z);
+    const s = r > 0 ? (2 / Math.PI) * Math.atan(r) / r : 0;
+    return [x * s, y * s, z * s];
+}
+
+function projectHopf(q) {
+    return [
+        q.w * q.w + q.x * q.x - q.y * q.y - q.z * q.z,
+        2 * (q.w * q.z + q.x * q.y),
+        2 * (q.x * q.z - q.w * q.y),
+    ];
+}
+
+const PROJECTIONS = { stereographic: projectStereographic, hopf: projectHopf };
+
+// ============================================================
+// VIEWS — JSON for each route
+// ============================================================
+
+function summaryView(system) {
+    const N = system.N;
+    return {
+        agentName: system.agentName || 'DAE',
+        N,
+        params: system.params,
+        episodes: system.episodes.map(ep => ({
+            id: ep.id,
+            name: ep.name,
+            timestamp: ep.timestamp,
+            neighborhoods: ep.neighborhoods.length,
+            occurrences: ep.count,
+            activation: ep.totalActivation,
+            mass: ep.mass(N),
+        })),
+        conscious: system.listConscious(),
+    };
+}
+
+// Every occurrence, or an even sample of limit of them
+function pointsView(system, projection = 'hopf', limit = DEFAULT_POINT_LIMIT) {
+    const project = PROJECTIONS[projection];
+    if (!project) throw new Error(`Unknown projection "${projection}" (known: ${Object.keys(PROJECTIONS).join(', ')})`);
+    const episodes = [...system.episodes, system.consciousEpisode];
+    const stride = Math.max(1, Math.ceil(system.N / Math.min(Math.max(1, limit), MAX_POINT_LIMIT)));
+    const round = (v) => Math.round(v * 1e4) / 1e4;
+
+    const points = [];
+    let i = 0;
+    episodes.forEach((ep, e) => {
+        for (const occ of ep.allOccurrences()) {
+            if (i++ % stride !== 0) continue;
+            const [x, y, z] = project(occ.position);
+            points.push([round(x), round(y), round(z), e, round(occ.phasor.theta), occ.activationCount]);
+        }
+    });
+    return {
+        projection,
+        total: system.N,
+        episodes: episodes.map(ep => (ep.isConscious ? 'Conscious' : ep.name)),
+        points,
+    };
+}
+
+function peekView(system, query, contextOptions = {}) {
+    const { context, metrics } = new QueryEngine(system).peek(query, { context: contextOptions });
+    return {
+        query,
+        context,
+        metrics,
+        recalled: metrics.recalled.map(({ slot, id }) => ({ slot, id, text: system.getNeighborhood(id)?.text || '' })),
+    };
+}
+
+// Recent exchanges out of the journal: query, reply and salient records joined by interaction
+function exchangesFromJournal(stateDir, limit = 50) {
+    const byId = new Map();
+    for (const r of readJournal(stateDir).records) {
+        if (!r.interactionId) continue;
+        if (r.type === 'query') {
+            byId.delete(r.interactionId);
+            byId.set(r.interactionId, {
+                time: r.time, author: r.author, query: r.query, reply: null,
+                recalled: r.recalled || [], markup: null,
+            });
+        } else if (byId.has(r.interactionId)) {
+            const x = byId.get(r.interactionId);
+            if (r.type === 'reply') x.reply = r.reply;
+            if (r.type === 'salient') x.markup = { salient: r.salient, repeats: r.repeats, revised: r.revised, forgotten: r.forgotten };
+        }
+    }
+    return [...byId.values()].slice(-limit).reverse();
+}
+
+// ============================================================
+// SERVER
+// ============================================================
+
+function isLocalHost(header, allowed) {
+    if (!header) return false;
+    const host = header.replace(/:\d+$/, '').toLowerCase();
+    return LOCAL_HOSTS.has(host) || host === allowed;
+}
+
+function sendJSON(res, status, body) {
+    const text = JSON.stringify(body);
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(text);
+}
+
+/*
+ * source: {
+ *   system()     — the DAESystem to show (called per request)
+ *   exchanges()  — recent exchanges, newest first:
+ *                  [{ time, author, query, reply, recalled, markup }]
+ *   context      — composeContext options for peek (slots, budget)
+ * }
+ * options: { port, host }
+ * Resolves to { server, url } once listening.
+ */
+function startDashboard(source, options = {}) {
+    const port = options.port ?? DEFAULT_DASHBOARD_PORT;
+    const host = options.host || '127.0.0.1';
+
+    const routes = {
+        '/': (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+            res.end(DASHBOARD_HTML);
+        },
+        '/api/summary': (req, res) => sendJSON(res, 200, summaryView(source.system())),
+        '/api/exchanges': (req, res) => sendJSON(res, 200, source.exchanges ? source.exchanges() : []),
+        '/api/points': (req, res, url) => {
+            const projection = url.searchParams.get('projection') || 'hopf';
+            if (!PROJECTIONS[projection]) return sendJSON(res, 400, { error: `Unknown projection "${projection}"` });
+            const limit = parseInt(url.searchParams.get('limit') || String(DEFAULT_POINT_LIMIT));
+            sendJSON(res, 200, pointsView(source.system(), projection, limit || DEFAULT_POINT_LIMIT));
+        },
+        '/api/peek': (req, res, url) => {
+            const q = (url.searchParams.get('q') || '').trim();
+            if (!q) return sendJSON(res, 400, { error: 'Missing ?q=' });
+            sendJSON(res, 200, peekView(source.system(), q, source.context || {}));
+        },
+    };
+
+    const server = createServer((req, res) => {
+        if (!isLocalHost(req.headers.host, host)) return sendJSON(res, 403, { error: 'Dashboard is local only' });
+        if (req.method !== 'GET') return sendJSON(res, 405, { error: 'Read-only: GET only' });
+        const url = new URL(req.url, 'http://localhost');
+        const route = routes[url.pathname];
+        if (!route) return sendJSON(res, 404, { error: `No route ${url.pathname}` });
+        try {
+            route(req, res, url);
+        } catch (e) {
+            sendJSON(res, 500, { error: e.message });
+        }
+    });
+
+    return new Promise((resolvePromise, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            const { port: bound } = server.address();
+            resolvePromise({ server, url: `http://${host.includes(':') ? `[${host}]` : host}:${bound}/` });
+        });
+    });
+}
+
+// ============================================================
+// PAGE
+// ============================================================
+
+const DASHBOARD_HTML = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>DAE dashboard</title>
+<style>
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 0; background: #111418; color: #d8dde3; }
+  header { padding: 12px 20px; background: #1a1f26; display: flex; gap: 24px; align-items: baseline; }
+  header h1 { font-size: 18px; margin: 0; }
+  main { display: grid; grid-template-columns: minmax(360px, 1fr) minmax(360px, 1fr); gap: 16px; padding: 16px 20px; }
+  section { background: #1a1f26; border-radius: 6px; padding: 12px 14px; overflow: auto; max-height: 560px; }
+  section.wide { grid-column: 1 / -1; }
+  h2 { font-size: 14px; text-transform: uppercase; letter-spacing: .06em; color: #8a96a3; margin: 0 0 8px; }
+  table { border-collapse: collapse; width: 100%; }
+  td, th { text-align: left; padding: 3px 8px 3px 0; vertical-align: top; border-bottom: 1px solid #262d36; }
+  th { color: #8a96a3; font-weight: normal; }
+  .num { text-align: right; font-variant-numeric: tabular-nums; }
+  .muted { color: #8a96a3; }
+  .tag { background: #2b3440; border-radius: 3px; padding: 0 4px; margin-right: 3px; font-size: 12px; }
+  pre { white-space: pre-wrap; background: #111418; padding: 8px; border-radius: 4px; }
+  input, select, button { font: inherit; background: #111418; color: inherit; border: 1px solid #2b3440; border-radius: 4px; padding: 4px 8px; }
+  input[type=text] { width: 70%; }
+  canvas { width: 100%; aspect-ratio: 1; background: #0b0d10; border-radius: 4px; cursor: grab; }
+</style>
+</head>
+<body>
+<header><h1 id="agent">DAE</h1><span id="stats" class="muted"></span></header>
+<main>
+  <section class="wide">
+    <h2>What would surface</h2>
+    <form id="peek"><input type="text" id="q" placeholder="Query — nothing in memory changes"> <button>Peek</button></form>
+    <div id="peek-result"></div>
+  </section>
+  <section>
+    <h2>Manifold</h2>
+    <select id="projection"><option value="hopf">Hopf → S²</option><option value="stereographic">Stereographic</option></select>
+    <select id="colour"><option value="episode">Colour by episode</option><option value="phase">Colour by phase</option></select>
+    <span id="points" class="muted"></span>
+    <canvas id="canvas" width="640" height="640"></canvas>
+  </section>
+  <section>
+    <h2>Conscious memories</h2>
+    <table id="conscious"></table>
+  </section>
+  <section>
+    <h2>Episodes</h2>
+    <table id="episodes"></table>
+  </section>
+  <section>
+    <h2>Recent exchanges</h2>
+    <table id="exchanges"></table>
+  </section>
+</main>
+<script>
+const $ = (id) => document.getElementById(id);
+const el = (tag, attrs = {}, ...children) => {
+  const e = document.createElement(tag);
+  Object.assign(e, attrs);
+  children.forEach(c => e.append(c));
+  return e;
+};
+const clip = (s, n) => (s || '').length > n ? s.slice(0, n - 1) + '…' : (s || '');
+const api = (path) => fetch(path).then(r => r.json().then(body => r.ok ? body : Promise.reject(new Error(body.error))));
+const row = (cells, header = false) => el('tr', {}, ...cells.map(c => el(header ? 'th' : 'td', typeof c === 'object' && c.cls ? { className: c.cls } : {}, typeof c === 'object' && c.cls ? c.text : c)));
+const num = (text) => ({ cls: 'num', text: String(text) });
+
+async function loadSummary() {
+  const s = await api('/api/summary');
+  $('agent').textContent = s.agentName;
+  $('stats').textContent = 'N=' + s.N + ' · ' + s.episodes.length + ' episodes · ' + s.conscious.length + ' conscious';
+  $('episodes').replaceChildren(row(['Episode', num('Nbhd'), num('Occ'), num('Activation'), num('Mass')], true),
+    ...s.episodes.map(e => row([e.name, num(e.neighborhoods), num(e.occurrences), num(e.activation), num(e.mass.toFixed(3))])));
+  $('conscious').replaceChildren(row(['Id', 'Memory', num('Activation')], true),
+    ...s.conscious.map(c => row([
+      c.id.slice(0, 8) + (c.pinned ? ' 📌' : ''),
+      el('span', {}, ...c.tags.map(t => el('span', { className: 'tag' }, t)), clip(c.text, 160)),
+      num(c.activation),
+    ])));
+}
+
+async function loadExchanges() {
+  const xs = await api('/api/exchanges');
+  const count = (x, slot) => x.recalled.filter(r => r.slot === slot).length;
+  $('exchanges').replaceChildren(row(['When', 'From', 'Query', num('con'), num('sub'), num('novel')], true),
+    ...xs.map(x => row([
+      new Date(x.time).toLocaleString(), x.author || '', el('span', { title: x.reply || '' }, clip(x.query, 120)),
+      num(count(x, 'conscious')), num(count(x, 'subconscious')), num(count(x, 'novel')),
+    ])));
+}
+
+$('peek').onsubmit = async (event) => {
+  event.preventDefault();
+  const q = $('q').value.trim();
+  if (!q) return;
+  try {
+    const p = await api('/api/peek?q=' + encodeURIComponent(q));
+    $('peek-result').replaceChildren(
+      el('table', {}, row(['Slot', 'Id', 'Text'], true), ...p.recalled.map(r => row([r.slot, r.id.slice(0, 8), clip(r.text, 200)]))),
+      el('pre', {}, p.context || '(nothing surfaced)'));
+  } catch (e) {
+    $('peek-result').replaceChildren(el('p', {}, 'Error: ' + e.message));
+  }
+};
+
+// 3D view: drag to rotate, points drawn back to front
+let cloud = null, yaw = 0.6, pitch = 0.3, dragging = null;
+async function loadPoints() {
+  cloud = await api('/api/points?projection=' + $('projection').value);
+  $('points').textContent = cloud.points.length + ' of ' + cloud.total + ' occurrences';
+  draw();
+}
+function colour(p) {
+  if ($('colour').value === 'phase') return 'hsl(' + Math.round(p[4] / (2 * Math.PI) * 360) + ',70%,55%)';
+  const conscious = p[3] === cloud.episodes.length - 1;
+  return conscious ? 'hsl(45,90%,60%)' : 'hsl(' + Math.round((p[3] * 137.5) % 360) + ',60%,55%)';
+}
+function draw() {
+  if (!cloud) return;
+  const c = $('canvas'), g = c.getContext('2d'), half = c.width / 2, scale = half * 0.8;
+  g.clearRect(0, 0, c.width, c.height);
+  const cy = Math.cos(yaw), sy = Math.sin(yaw), cp = Math.cos(pitch), sp = Math.sin(pitch);
+  const projected = cloud.points.map(p => {
+    const x = p[0] * cy + p[2] * sy, z0 = -p[0] * sy + p[2] * cy;
+    const y = p[1] * cp - z0 * sp, z = p[1] * sp + z0 * cp;
+    const f = 3 / (3 + z);
+    return [half + x * scale * f, half - y * scale * f, z, p];
+  }).sort((a, b) => b[2] - a[2]);
+  for (const [x, y, z, p] of projected) {
+    g.globalAlpha = 0.35 + 0.5 * (1 - (z + 1) / 2);
+    g.fillStyle = colour(p);
+    const r = p[5] > 0 ? 3 : 2;
+    g.fillRect(x - r / 2, y - r / 2, r, r);
+  }
+  g.globalAlpha = 1;
+}
+$('canvas').onpointerdown = (e) => { dragging = [e.clientX, e.clientY]; e.target.setPointerCapture(e.pointerId); };
+$('canvas').onpointerup = () => { dragging = null; };
+$('canvas').onpointermove = (e) => {
+  if (!dragging) return;
+  yaw += (e.clientX - dragging[0]) * 0.01;
+  pitch = Math.max(-1.5, Math.min(1.5, pitch + (e.clientY - dragging[1]) * 0.01));
+  dragging = [e.clientX, e.clientY];
+  draw();
+};
+$('projection').onchange = loadPoints;
+$('colour').onchange = draw;
+
+const refresh = () => Promise.all([loadSummary(), loadExchanges()]).catch(e => { $('stats').textContent = 'Error: ' + e.message; });
+refresh();
+loadPoints();
+setInterval(refresh, 10000);
+setInterval(loadPoints, 60000);
+</script>
+</body>
+</html>
+`;
+
+// ============================================================
+// STANDALONE — serve a saved state
+// ============================================================
+
+// Reloads when the state file changes on disk, so a running agent's saves show up
+function savedStateSource(stateDir, stateFormat, statePath = null) {
+    let loaded = null, path = null, mtime = 0, exchanges = [];
+    const load = () => {
+        if (statePath) {
+            path = existsSync(statePath) ? statePath : findSnapshot(stateDir, statePath)?.path;
+            if (!path) throw new Error(`No state file or snapshot "${statePath}"`);
+            loaded = readStateFile(path).system;
+        } else {
+            const result = loadStateWithRecovery(stateDir, stateFormat);
+            if (!result.data) throw new Error(`No readable state in ${stateDir}/`);
+            path = result.path;
+            loaded = result.data.system;
+        }
+        mtime = statSync(path).mtimeMs;
+        exchanges = exchangesFromJournal(stateDir);
+    };
+    return {
+        get path() { return path; },
+        system() {
+            if (!loaded || (!statePath && existsSync(path) && statSync(path).mtimeMs !== mtime)) load();
+            return loaded;
+        },
+        exchanges() {
+            this.system();
+            return exchanges;
+        },
+    };
+}
+
+async function runStandalone() {
+    const argv = process.argv.slice(2);
+    const option = (name) => {
+        const i = argv.indexOf(`--${name}`);
+        return i !== -1 ? argv[i + 1] : undefined;
+    };
+    const __dirname = dirname(fileURLToPath(import.meta.url));
+    const stateDir = process.env.DAE_STATE_DIR || join(__dirname, '.dae-state');
+    const port = parseInt(option('port') || process.env.DAE_DASHBOARD_PORT || String(DEFAULT_DASHBOARD_PORT));
+
+    const source = savedStateSource(stateDir, process.env.DAE_STATE_FORMAT || 'json', option('state'));
+    const system = source.system();
+    const { url } = await startDashboard(source, { port, host: process.env.DAE_DASHBOARD_HOST });
+    console.log(`DAE dashboard: ${url}`);
+    console.log(`  ${source.path} — N=${system.N}, ${system.episodes.length} episodes (read-only; Ctrl+C to stop)`);
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    runStandalone().catch(e => {
+        console.error(`Dashboard failed: ${e.message}`);
+        process.exit(1);
+    });
+}
+
+export {
+    DEFAULT_DASHBOARD_PORT, PROJECTIONS,
+    projectStereographic, projectHopf,
+    summaryView, pointsView, peekView, exchangesFromJournal,
+    isLocalHost, sendJSON, startDashboard, savedStateSource,
+};
@@ -0,0 +1,240 @@
+// DAE exports — memory as Markdown, CSV and graph files
+// Created by smaxforn
+//
+// Every exporter reads a DAESystem and returns text; none changes it.
+//
+//   book     Markdown memory book: conscious memories, then every episode
+//            with its neighborhoods' text and activation stats
+//   csv      one row per occurrence: word, episode, neighborhood, activation,
+//            position (w, x, y, z on S³) and phase
+//   graphml  word–neighborhood co-activation graph (GraphML, for Gephi,
+//            yEd, networkx)
+//   gexf     the same graph as GEXF 1.3
+//
+// The graph is bipartite: a word links to each neighborhood it occurs in,
+// weighted by the activation of its occurrences there. Only activated
+// occurrences count unless options.all is set.
+
+const EXPORT_FORMATS = {
+    book:    '.md',
+    csv:     '.csv',
+    graphml: '.graphml',
+    gexf:    '.gexf',
+};
+
+function exportSystem(system, format, options = {}) {
+    switch (format) {
+        case 'book': return memoryBook(system, options);
+        case 'csv': return occurrencesCsv(system);
+        case 'graphml': return graphML(coactivationGraph(system, options));
+        case 'gexf': return gexf(coactivationGraph(system, options));
+        default: throw new Error(`Unknown export format "${format}" (known: ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    }
+}
+
+// Conscious episode last, as in the system's own iteration order
+function allEpisodes(system) {
+    return [...system.episodes, system.consciousEpisode];
+}
+
+// ============================================================
+// MEMORY BOOK
+// ============================================================
+
+const quote = (text) => (text || '').trim().split('\n').map(line => `> ${line}`.trimEnd()).join('\n');
+
+function activationLine(n) {
+    const activated = n.occurrences.filter(o => o.activationCount > 0).length;
+    return `${n.count} occurrences, ${activated} activated, activation ${n.totalActivation}`;
+}
+
+// options: { now — ISO time printed as the export time }
+function memoryBook(system, options = {}) {
+    const N = system.N;
+    const neighborhoods = system.episodes.reduce((sum, ep) => sum + ep.neighborhoods.length, 0);
+    const conscious = system.consciousEpisode.neighborhoods;
+    const lines = [
+        `# Memory book — ${system.agentName || 'DAE'}`,
+        '',
+        `Exported ${options.now || new Date().toISOString()}. N=${N}, ${system.episodes.length} episodes, ` +
+            `${neighborhoods} neighborhoods, ${conscious.length} conscious memories.`,
+        '',
+        '## Conscious memories',
+        '',
+    ];
+
+    if (conscious.length === 0) lines.push('_None yet._', '');
+    for (const n of conscious) {
+        const marks = [
+            n.pinned ? 'pinned' : null,
+            n.importance ? `importance ${n.importance}` : null,
+            n.tags.length > 0 ? `tags ${n.tags.join(', ')}` : null,
+        ].filter(Boolean);
+        const dates = [
+            n.createdAt ? `created ${n.createdAt}` : null,
+            n.expiresAt ? `expires ${n.expiresAt}` : null,
+        ].filter(Boolean);
+        lines.push(`### ${n.id.slice(0, 8)}${marks.length > 0 ? ` · ${marks.join(' · ')}` : ''}`, '');
+        lines.push(`${[...dates, activationLine(n)].join(' · ')}`, '', quote(n.text), '');
+    }
+
+    lines.push('## Episodes', '');
+    for (const ep of system.episodes) {
+        lines.push(`### ${ep.name}`, '');
+        lines.push(`${ep.timestamp} · ${ep.neighborhoods.length} neighborhoods · ${ep.count} occurrences · ` +
+            `activation ${ep.totalActivation} · mass ${ep.mass(N).toFixed(3)}`, '');
+        for (const n of ep.neighborhoods) {
+            lines.push(`#### ${n.id.slice(0, 8)}`, '', activationLine(n), '', quote(n.text), '');
+        }
+    }
+    return lines.join('\n');
+}
+
+// ============================================================
+// OCCURRENCES CSV
+// ============================================================
+
+const CSV_COLUMNS = [
+    'word', 'episode_id', 'episode', 'neighborhood_id', 'activation',
+    'w', 'x', 'y', 'z', 'phase',
+];
+
+function csvField(value) {
+    const s = String(value ?? '');
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function occurrencesCsv(system) {
+    const rows = [CSV_COLUMNS.join(',')];
+    for (const ep of allEpisodes(system)) {
+        const name = ep.isConscious ? 'Conscious' : ep.name;
+        for (const n of ep.neighborhoods) {
+            for (const o of n.occurrences) {
+                const p = o.position;
+                rows.push([
+                    o.word, ep.id, name, n.id, o.activationCount,
+                    p.w, p.x, p.y, p.z, o.phasor.theta,
+                ].map(csvField).join(','));
+            }
+        }
+    }
+    return rows.join('\n') + '\n';
+}
+
+// ============================================================
+// CO-ACTIVATION GRAPH
+// ============================================================
+
+/*
+ * Returns { nodes, edges }:
+ *   nodes: { id, label, type: 'word' | 'neighborhood', episode, activation, weight }
+ *          (weight is the word's IDF weight; null for neighborhoods)
+ *   edges: { source, target, weight } — word → neighborhood, summed activation
+ * options: { all — include never-activated occurrences (edge weight 0) }
+ */
+function coactivationGraph(system, options = {}) {
+    const words = new Map();
+    const neighborhoods = [];
+    const edges = [];
+
+    for (const ep of allEpisodes(system)) {
+        const episode = ep.isConscious ? 'Conscious' : ep.name;
+        for (const n of ep.neighborhoods) {
+            const links = new Map();
+            for (const o of n.occurrences) {
+                if (o.activationCount === 0 && !options.all) continue;
+                const word = o.word.toLowerCase();
+                links.set(word, (links.get(word) || 0) + o.activationCount);
+            }
+            if (links.size === 0) continue;
+
+            const id = `n:${n.id}`;
+            const text = (n.text || '').replace(/\s+/g, ' ').trim();
+            neighborhoods.push({
+                id, label: text.length > 60 ? text.slice(0, 59) + '…' : text || n.id.slice(0, 8),
+                type: 'neighborhood', episode, activation: n.totalActivation, weight: null,
+            });
+            for (const [word, activation] of links) {
+                if (!words.has(word)) {
+                    words.set(word, {
+                        id: `w:${word}`, label: word, type: 'word', episode: '',
+                        activation: 0, weight: system.getWordWeight(word),
+                    });
+                }
+                words.get(word).activation += activation;
+                edges.push({ source: `w:${word}`, target: id, weight: activation });
+            }
+        }
+    }
+    return { nodes: [...words.values(), ...neighborhoods], edges };
+}
+
+// XML 1.0 allows no control characters besides tab, LF and CR
+function xml(value) {
+    return String(value ?? '')
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+const NODE_ATTRIBUTES = [
+    { key: 'label', type: 'string' },
+    { key: 'type', type: 'string' },
+    { key: 'episode', type: 'string' },
+    { key: 'activation', type: 'int' },
+    { key: 'weight', type: 'double' },
+];
+
+function graphML({ nodes, edges }) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+        ...NODE_ATTRIBUTES.map(a => `  <key id="${a.key}" for="node" attr.name="${a.key}" attr.type="${a.type}"/>`),
+        '  <key id="e_weight" for="edge" attr.name="weight" attr.type="double"/>',
+        '  <graph id="dae" edgedefault="undirected">',
+    ];
+    for (const node of nodes) {
+        lines.push(`    <node id="${xml(node.id)}">`);
+        for (const a of NODE_ATTRIBUTES) {
+            if (node[a.key] !== null && node[a.key] !== '') lines.push(`      <data key="${a.key}">${xml(node[a.key])}</data>`);
+        }
+        lines.push('    </node>');
+    }
+    edges.forEach((e, i) => {
+        lines.push(`    <edge id="e${i}" source="${xml(e.source)}" target="${xml(e.target)}">` +
+            `<data key="e_weight">${e.weight}</data></edge>`);
+    });
+    lines.push('  </graph>', '</graphml>', '');
+    return lines.join('\n');
+}
+
+function gexf({ nodes, edges }) {
+    const attributes = NODE_ATTRIBUTES.filter(a => a.key !== 'label');
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+        '  <meta><creator>DAE</creator><description>Word–neighborhood co-activation</description></meta>',
+        '  <graph defaultedgetype="undirected" mode="static">',
+        '    <attributes class="node">',
+        ...attributes.map((a, i) => `      <attribute id="${i}" title="${a.key}" type="${a.type === 'int' ? 'integer' : a.type}"/>`),
+        '    </attributes>',
+        '    <nodes>',
+    ];
+    for (const node of nodes) {
+        const values = attributes
+            .map((a, i) => (node[a.key] !== null && node[a.key] !== '' ? `<attvalue for="${i}" value="${xml(node[a.key])}"/>` : null))
+            .filter(Boolean);
+        lines.push(`      <node id="${xml(node.id)}" label="${xml(node.label)}"><attvalues>${values.join('')}</attvalues></node>`);
+    }
+    lines.push('    </nodes>', '    <edges>');
+    edges.forEach((e, i) => {
+        lines.push(`      <edge id="${i}" source="${xml(e.source)}" target="${xml(e.target)}" weight="${e.weight}"/>`);
+    });
+    lines.push('    </edges>', '  </graph>', '</gexf>', '');
+    return lines.join('\n');
+}
+
+export {
+    EXPORT_FORMATS, exportSystem,
+    memoryBook, occurrencesCsv, coactivationGraph, graphML, gexf,
+};
@@ -0,0 +1,105 @@
+// DAE HTTP — JSON requests with timeouts, retries and rate-limit handling
+// Created by smaxforn
+//
+// fetchJSON(url, init, policy, options) sends a request, reads the JSON
+// reply and retries according to a policy:
+//
+//   retries       extra attempts after the first
+//   timeoutMs     per attempt, body included (AbortController)
+//   baseDelayMs   backoff before retry n is a random wait in
+//   maxDelayMs    [0, min(maxDelayMs, baseDelayMs · 2^n)) — "full jitter"
+//   retryOn       statuses worth retrying
+//   retryNetwork  also retry network errors and timeouts. Leave it off for
+//                 writes: once a request was sent its effect is unknown
+//   maxWaitMs     longest Retry-After honoured; a 429 or 503 asking for
+//                 longer fails at once instead of stalling the caller
+//
+// A 429 or 503 with a Retry-After header waits that long instead of the
+// backoff. Errors carry { status (null for network errors and timeouts),
+// attempts, retryAfterMs, timedOut }.
+
+const RETRYABLE_STATUSES = Object.freeze([408, 425, 429, 500, 502, 503, 504]);
+
+const DEFAULT_RETRY_POLICY = Object.freeze({
+    retries: 3,
+    timeoutMs: 15000,
+    baseDelayMs: 500,
+    maxDelayMs: 10000,
+    retryOn: RETRYABLE_STATUSES,
+    retryNetwork: true,
+    maxWaitMs: 60000,
+});
+
+// Retry-After is either seconds or an HTTP date; returns ms or null
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === null || value === undefined || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function backoffDelay(attempt, policy, random = Math.random) {
+    return Math.floor(random() * Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt));
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function httpError(message, fields) {
+    return Object.assign(new Error(message), { status: null, retryAfterMs: null, timedOut: false, ...fields });
+}
+
+// Secrets never reach an error message
+function redactText(text, secrets) {
+    return secrets.filter(Boolean).reduce((t, s) => t.split(s).join('[REDACTED]'), text);
+}
+
+/*
+ * options: {
+ *   label    — error message prefix, e.g. 'Moltbook API /posts'
+ *   redact   — strings to blank out of error bodies (API keys)
+ *   onRetry  — ({ attempt, delayMs, error }) before each wait
+ *   sleep, random — for tools that drive time themselves
+ * }
+ */
+async function fetchJSON(url, init = {}, policy = DEFAULT_RETRY_POLICY, options = {}) {
+    const label = options.label || 'HTTP';
+    const wait = options.sleep || sleep;
+    const p = { ...DEFAULT_RETRY_POLICY, ...policy };
+
+    for (let attempt = 0; ; attempt++) {
+        let error, retryable;
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), p.timeoutMs);
+        try {
+            const res = await fetch(url, { ...init, signal: controller.signal });
+            if (res.ok) {
+                const text = await res.text();
+                return text ? JSON.parse(text) : null;
+            }
+            const body = redactText(await res.text().catch(() => ''), options.redact || []);
+            const retryAfterMs = [429, 503].includes(res.status) ? parseRetryAfter(res.headers.get('retry-after')) : null;
+            error = httpError(`${label} ${res.status}: ${body.slice(0, 200)}`, { status: res.status, retryAfterMs });
+            retryable = p.retryOn.includes(res.status) && !(retryAfterMs > p.maxWaitMs);
+        } catch (e) {
+            const timedOut = controller.signal.aborted;
+            error = e instanceof SyntaxError
+                ? httpError(`${label}: invalid JSON in response`, {})
+                : httpError(timedOut ? `${label} timed out after ${p.timeoutMs}ms` : `${label} failed: ${e.cause?.code || e.message}`, { timedOut });
+            retryable = !(e instanceof SyntaxError) && p.retryNetwork;
+        } finally {
+            clearTimeout(timer);
+        }
+
+        error.attempts = attempt + 1;
+        if (!retryable || attempt >= p.retries) throw error;
+        const delayMs = error.retryAfterMs ?? backoffDelay(attempt, p, options.random);
+        options.onRetry?.({ attempt: attempt + 1, delayMs, error });
+        await wait(delayMs);
+    }
+}
+
+export {
+    RETRYABLE_STATUSES, DEFAULT_RETRY_POLICY,
+    parseRetryAfter, backoffDelay, fetchJSON,
+};
@@ -0,0 +1,248 @@
+// DAE journal — append-only record of everything that changed memory
+// Created by smaxforn
+//
+// <stateDir>/journal/journal.jsonl holds one JSON object per line:
+//   { seq, id, time, type, ...fields }
+//
+//   init        tokenizer, chunker, params, agentName — memory started empty
+//   params      params — engine parameters changed on an existing state
+//   base        file — memory was replaced wholesale (journal started on
+//               existing state, import, restore); file is a copy kept in
+//               the journal directory
+//   ingest      episodeId, text — text chunked into a pending episode
+//   episode     episodeId, name, source — pending ingests become an episode
+//   query       interactionId, author, query, recalled: [{ slot, id }]
+//   reply       interactionId, reply
+//   salient     interactionId, salient, repeats, revised, forgotten —
+//               what the reply's memory markup did (informational)
+//   consolidate options, groups — an episode consolidation pass
+//   forget      budget, before, after — a budget pruning pass
+//   conscious   action, text, newText — offline edits from dae-cli
+//
+// replayJournal() rebuilds a DAESystem by reapplying the records in order,
+// with the journal's timestamps as the clock. Positions are re-drawn, so
+// a replay is equivalent to the original state, not byte-identical —
+// unless the original ran seeded and the replay uses the same seed.
+
+import { readFileSync, appendFileSync, copyFileSync, existsSync, mkdirSync, openSync, readSync, fstatSync, closeSync } from 'fs';
+import { randomUUID } from 'crypto';
+import { extname, join } from 'path';
+import { DAESystem, QueryEngine, applyMemoryMarkup, consolidateEpisodes, createChunker, createParams } from './dae-core.mjs';
+import { readStateFile } from './dae-state.mjs';
+
+const JOURNAL_FILE = 'journal.jsonl';
+
+function journalDir(stateDir) {
+    return join(stateDir, 'journal');
+}
+
+function journalPath(stateDir) {
+    return join(journalDir(stateDir), JOURNAL_FILE);
+}
+
+// seq of the last complete line, read from the end of the file
+function lastSeq(path) {
+    if (!existsSync(path)) return 0;
+    const fd = openSync(path, 'r');
+    try {
+        const size = fstatSync(fd).size;
+        for (let chunk = 1 << 16; ; chunk *= 4) {
+            const length = Math.min(size, chunk);
+            const buf = Buffer.alloc(length);
+            readSync(fd, buf, 0, length, size - length);
+            const lines = buf.toString('utf-8').split('\n').filter(Boolean);
+            // The first line of a partial read may be cut; skip it unless we read everything
+            for (let i = lines.length - 1; i >= (length < size ? 1 : 0); i--) {
+                try {
+                    return JSON.parse(lines[i]).seq || 0;
+                } catch { /* truncated write — try the line before */ }
+            }
+            if (length === size) return 0;
+        }
+    } finally {
+        closeSync(fd);
+    }
+}
+
+/*
+ * Open (or create) the journal in a state directory.
+ * Returns { path, seq, empty, append(type, fields), recordBase(stateFile) }.
+ */
+function openJournal(stateDir) {
+    const dir = journalDir(stateDir);
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    const path = journalPath(stateDir);
+    let seq = lastSeq(path);
+
+    const journal = {
+        path,
+        get seq() { return seq; },
+        get empty() { return seq === 0; },
+
+        append(type, fields = {}) {
+            const record = { seq: ++seq, id: randomUUID(), time: new Date().toISOString(), type, ...fields };
+            appendFileSync(path, JSON.stringify(record) + '\n');
+            return record;
+        },
+
+        // Keep a copy of a state file and mark it as the new starting point
+        recordBase(stateFile, fields = {}) {
+            const file = `base-${seq + 1}${extname(stateFile)}`;
+            copyFileSync(stateFile, join(dir, file));
+            return journal.append('base', { file, ...fields });
+        },
+    };
+    return journal;
+}
+
+// Returns { records, skipped } — skipped counts unreadable lines
+function readJournal(stateDir) {
+    const path = journalPath(stateDir);
+    if (!existsSync(path)) return { records: [], skipped: 0 };
+    const records = [];
+    let skipped = 0;
+    for (const line of readFileSync(path, 'utf-8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            records.push(JSON.parse(line));
+        } catch {
+            skipped++;
+        }
+    }
+    return { records, skipped };
+}
+
+// ============================================================
+// REPLAY
+// ============================================================
+
+/*
+ * Rebuild memory from journal records. Starts from the last base record
+ * (loading its state copy) or else from init with an empty system.
+ *
+ * options: {
+ *   stateDir            — where base copies live (required for base records)
+ *   seed                — deterministic positions (see createEntropy)
+ *   tokenizer, chunker  — override init's; tokenizer applies to init only
+ *   params              — engine parameters overriding the journal's
+ *   dedupe, retract     — applyMemoryMarkup thresholds
+ *   upTo                — stop after this seq
+ * }
+ * Returns { system, conversationHistory, conversationBuffer, from, stats }
+ */
+function replayJournal(records, options = {}) {
+    const upTo = options.upTo ?? Infinity;
+    let clock = new Date(0).toISOString();
+    const systemOptions = { seed: options.seed, now: () => clock, params: options.params };
+
+    const baseIndex = records.findLastIndex(r => r.type === 'base' && r.seq <= upTo);
+    const init = records.find(r => r.type === 'init');
+    let system, conversationHistory = [], conversationBuffer = [], start;
+
+    if (baseIndex !== -1) {
+        const base = records[baseIndex];
+        if (!options.stateDir) throw new Error('Replaying from a base record needs options.stateDir');
+        clock = base.time;
+        const loaded = readStateFile(join(journalDir(options.stateDir), base.file), systemOptions);
+        system = loaded.system;
+        conversationHistory = loaded.conversationHistory;
+        conversationBuffer = loaded.conversationBuffer;
+        start = baseIndex + 1;
+    } else if (init) {
+        clock = init.time;
+        system = new DAESystem({
+            ...systemOptions,
+            tokenizer: options.tokenizer || init.tokenizer,
+            chunker: options.chunker || init.chunker,
+            params: { ...(init.params || {}), ...(options.params || {}) },
+        });
+        if (init.agentName) system.agentName = init.agentName;
+        start = 0;
+    } else {
+        throw new Error('Journal has neither an init nor a base record');
+    }
+    if (options.chunker) system.chunker = createChunker(options.chunker);
+
+    const engine = new QueryEngine(system);
+    const markupOptions = { dedupe: options.dedupe, retract: options.retract };
+    const pending = new Map();
+    const queries = new Map();
+    const stats = { records: 0, ingests: 0, episodes: 0, queries: 0, replies: 0, skipped: [] };
+
+    for (const r of records.slice(start)) {
+        if (r.seq > upTo) break;
+        clock = r.time;
+        stats.records++;
+        switch (r.type) {
+            case 'ingest':
+                if (!pending.has(r.episodeId)) pending.set(r.episodeId, []);
+                pending.get(r.episodeId).push(r.text);
+                stats.ingests++;
+                break;
+            case 'episode': {
+                const ep = system.createEpisode(r.name);
+                for (const text of pending.get(r.episodeId) || []) {
+                    system.neighborhoodsFromText(text).forEach(n => ep.addNeighborhood(n));
+                }
+                pending.delete(r.episodeId);
+                system.addEpisode(ep);
+                if (r.source === 'conversation') conversationBuffer = [];
+                stats.episodes++;
+                break;
+            }
+            case 'query':
+                system.expireConscious();
+                engine.processQuery(r.query);
+                queries.set(r.interactionId, r.query);
+                stats.queries++;
+                break;
+            case 'reply': {
+                applyMemoryMarkup(system, r.reply, markupOptions);
+                engine.processResponse(r.reply);
+                const query = queries.get(r.interactionId) ?? '';
+                conversationHistory.push({ role: 'user', content: query }, { role: 'assistant', content: r.reply });
+                conversationBuffer.push([query, r.reply]);
+                stats.replies++;
+                break;
+            }
+            case 'consolidate':
+                consolidateEpisodes(system, r.options || {});
+                break;
+            case 'forget':
+                system.enforceBudget({ budget: r.budget });
+                break;
+            case 'conscious':
+                replayConsciousEdit(system, r, stats);
+                break;
+            case 'params':
+                system.params = createParams({ ...r.params, ...(options.params || {}) });
+                break;
+            default:
+                // init, salient and unknown types change nothing
+                break;
+        }
+    }
+
+    return { system, conversationHistory, conversationBuffer, from: baseIndex !== -1 ? 'base' : 'init', stats };
+}
+
+// Offline edits name their target by text, since ids differ between replays
+function replayConsciousEdit(system, r, stats) {
+    if (r.action === 'dedupe') {
+        system.dedupeConscious({ threshold: r.threshold });
+        return;
+    }
+    const target = system.consciousEpisode.neighborhoods.findLast(n => n.text === r.text);
+    if (!target) {
+        stats.skipped.push({ seq: r.seq, type: r.type, reason: `no conscious entry with text "${(r.text || '').slice(0, 40)}"` });
+        return;
+    }
+    if (r.action === 'edit') system.editConscious(target.id, r.newText);
+    else if (r.action === 'pin' || r.action === 'unpin') system.pinConscious(target.id, r.action === 'pin');
+    else if (r.action === 'delete') system.deleteConscious(target.id, { force: true });
+}
+
+export {
+    JOURNAL_FILE, journalDir, journalPath,
+    openJournal, readJournal, replayJournal,
+};
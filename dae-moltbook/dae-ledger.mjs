@@ -0,0 +1,134 @@
+// DAE ledger — which Moltbook posts, comments and notifications were handled
+// Created by smaxforn
+//
+// <stateDir>/ledger.jsonl holds one JSON object per line:
+//   { time, key, aliases, outcome, type, id, postId, author, ...fields }
+//
+//   outcome   replied — the reply was posted (replyId when Moltbook returned one)
+//             skipped — reason: own post, empty, backlog, or a plugin's reason
+//             failed  — error, attempts, retryAt; query, prompt once memory
+//                       was queried ({ systemPrompt, messages, metrics } for
+//                       the LLM), and reply when the reply was written but
+//                       not posted. Failed items are the dead-letter queue:
+//                       deadLetters() returns those due for another try.
+//                       retryAt is null once given up, and at once when the
+//                       comment may have been posted (note says so).
+//
+// A key names the item itself, not the listing it came from: post:<id>,
+// comment:<id>, or notification:<id> when a notification names no comment.
+// Aliases are other keys of the same item — a comment's notification id, or
+// post:<id> for a notification about the post itself — so the same post seen
+// as a post and as a notification is answered once (dae-poll.mjs builds
+// them). The last line for a key wins. The file is compacted to the newest
+// DEFAULT_LEDGER_KEEP keys when it grows to twice that.
+
+import { readFileSync, appendFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { writeFileAtomic } from './dae-state.mjs';
+
+const LEDGER_FILE = 'ledger.jsonl';
+const LEDGER_OUTCOMES = ['replied', 'skipped', 'failed'];
+const DEFAULT_LEDGER_KEEP = 10000;
+
+function ledgerPath(stateDir) {
+    return join(stateDir, LEDGER_FILE);
+}
+
+// Returns { entries, lines, skipped } — entries are the latest per key, oldest first
+function readLedger(stateDir) {
+    const path = ledgerPath(stateDir);
+    const latest = new Map();
+    let lines = 0, skipped = 0;
+    if (!existsSync(path)) return { entries: [], lines, skipped };
+    for (const line of readFileSync(path, 'utf-8').split('\n')) {
+        if (!line.trim()) continue;
+        lines++;
+        try {
+            const entry = JSON.parse(line);
+            latest.delete(entry.key);
+            latest.set(entry.key, entry);
+        } catch {
+            skipped++;
+        }
+    }
+    return { entries: [...latest.values()], lines, skipped };
+}
+
+// Ledger keys of a Moltbook item, built by the agent when it reads one
+function interactionKeys(interaction) {
+    return [interaction.key, ...(interaction.aliases || [])].filter(Boolean);
+}
+
+/*
+ * Open (or create) the ledger in a state directory.
+ * Returns { path, size, get(key), find(interaction), handled(interaction),
+ *           record(interaction, outcome, fields), deadLetters(now), entries() }.
+ * find() returns the interaction's entry under any of its keys; handled()
+ * only when it was replied to or skipped.
+ */
+function openLedger(stateDir, options = {}) {
+    const keep = options.keep || DEFAULT_LEDGER_KEEP;
+    if (!existsSync(stateDir)) mkdirSync(stateDir, { recursive: true });
+    const path = ledgerPath(stateDir);
+    let { entries, lines } = readLedger(stateDir);
+
+    if (lines > keep * 2) {
+        entries = entries.slice(-keep);
+        writeFileAtomic(path, entries.map(e => JSON.stringify(e) + '\n').join(''));
+    }
+
+    const index = new Map();
+    const remember = (entry) => [entry.key, ...(entry.aliases || [])].forEach(k => index.set(k, entry));
+    entries.forEach(remember);
+
+    const ledger = {
+        path,
+        get size() { return new Set(index.values()).size; },
+        get(key) {
+            return index.get(key) || null;
+        },
+        find(interaction) {
+            for (const key of interactionKeys(interaction)) {
+                if (index.has(key)) return index.get(key);
+            }
+            return null;
+        },
+        handled(interaction) {
+            const entry = ledger.find(interaction);
+            return entry && entry.outcome !== 'failed' ? entry : null;
+        },
+        record(interaction, outcome, fields = {}) {
+            if (!LEDGER_OUTCOMES.includes(outcome)) throw new Error(`Unknown ledger outcome "${outcome}"`);
+            const [key, ...aliases] = interactionKeys(interaction);
+            if (!key) throw new Error('Interaction has no ledger key');
+            const previous = index.get(key);
+            const entry = {
+                time: new Date().toISOString(), key, aliases, outcome,
+                type: interaction.type, id: interaction.id, postId: interaction.postId ?? null, author: interaction.author,
+                ...(outcome === 'failed' ? { attempts: (previous?.attempts || 0) + 1 } : {}),
+                ...fields,
+            };
+            appendFileSync(path, JSON.stringify(entry) + '\n');
+            remember(entry);
+            return entry;
+        },
+        // Failed items whose retryAt has come, oldest first, as interactions
+        deadLetters(now = Date.now()) {
+            return ledger.entries()
+                .filter(e => e.outcome === 'failed' && e.retryAt && Date.parse(e.retryAt) <= now)
+                .map(e => ({
+                    type: e.type, id: e.id, key: e.key, aliases: e.aliases, query: e.query,
+                    author: e.author, postId: e.postId, prompt: e.prompt ?? null, reply: e.reply ?? null, attempts: e.attempts,
+                }));
+        },
+        entries() {
+            return [...new Set(index.values())].sort((a, b) => a.time.localeCompare(b.time));
+        },
+    };
+    return ledger;
+}
+
+export {
+    LEDGER_OUTCOMES, DEFAULT_LEDGER_KEEP,
+    ledgerPath, readLedger, openLedger, interactionKeys,
+};
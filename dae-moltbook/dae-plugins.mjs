@@ -0,0 +1,39 @@
+// DAE plugins — load local modules that hook into the agent's events
+// Created by smaxforn
+//
+// A plugin is an ES module whose default export — or named export setup —
+// is called once with the api its host hands it. The agent's api is
+// { on, system, queryEngine, config, log }; see EVENTS AND PLUGINS in
+// moltbook-agent.mjs and EVENTS in dae-core.mjs.
+
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+
+/*
+ * specs: module paths, relative to options.baseDir (default: the working
+ *        directory)
+ * api:   the object passed to every setup, or a function (spec) → object
+ *        when each plugin needs its own (a log prefixed with its name)
+ * Loads and sets up the plugins one at a time, in order, awaiting async
+ * setups. Throws on the first that fails to import, exports no setup, or
+ * whose setup throws, naming it; plugins loaded before it stay loaded.
+ * Resolves to the specs loaded.
+ */
+async function loadPlugins(specs, api, options = {}) {
+    const baseDir = options.baseDir || process.cwd();
+    const loaded = [];
+    for (const spec of specs) {
+        try {
+            const mod = await import(pathToFileURL(resolve(baseDir, spec)).href);
+            const setup = typeof mod.default === 'function' ? mod.default : mod.setup;
+            if (typeof setup !== 'function') throw new Error('exports neither a default function nor setup()');
+            await setup(typeof api === 'function' ? api(spec) : api);
+        } catch (e) {
+            throw new Error(`Plugin ${spec} failed to load: ${e.message}`, { cause: e });
+        }
+        loaded.push(spec);
+    }
+    return loaded;
+}
+
+export { loadPlugins };
@@ -0,0 +1,179 @@
+// DAE reply policy — decide whether the agent answers an interaction
+// Created by smaxforn
+//
+// Rules, checked in this order; the first that fails skips the interaction:
+//
+//   denyAuthors          never answer these authors
+//   allowAuthors         if not empty, answer only these authors
+//   mentionsOnly         answer only posts that mention the agent (@name or
+//                        name as a word) and replies in its notifications
+//   minLength            characters of text, at least
+//   quietHours           { start, end } in minutes after local midnight —
+//                        no replies in between ("23:00-07:00" wraps midnight)
+//   maxPerThread         replies already posted to the same post (0 = no cap)
+//   maxPerAuthorPerHour  replies to the same author in the last hour (0 = no cap)
+//   minActivated         occurrences the query activates in memory
+//   minRecalled          memories it would recall into the context
+//
+// Author names compare case-insensitively. Activation and recall come from
+// a read-only peek, taken only when minActivated or minRecalled is set and
+// no rule before them decided already.
+// Every decision is appended to <stateDir>/policy.jsonl with its signals:
+//   { time, key, type, id, postId, author, decision: reply | skip, rule, reason, signals }
+
+import { appendFileSync, existsSync, mkdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+
+const DEFAULT_POLICY = Object.freeze({
+    denyAuthors: Object.freeze([]),
+    allowAuthors: Object.freeze([]),
+    mentionsOnly: false,
+    minLength: 0,
+    quietHours: null,
+    maxPerThread: 0,
+    maxPerAuthorPerHour: 0,
+    minActivated: 0,
+    minRecalled: 0,
+});
+
+const COUNT_RULES = ['minLength', 'maxPerThread', 'maxPerAuthorPerHour', 'minActivated', 'minRecalled'];
+
+// "23:00-07:00", "23-7" or { start, end } → { start, end } in minutes; null for an empty value
+function parseQuietHours(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'object') {
+        const minute = (v) => Number.isInteger(v) && v >= 0 && v < 24 * 60;
+        if (!minute(value.start) || !minute(value.end)) {
+            throw new Error(`Quiet hours start and end must be minutes from 0 to 1439 (got ${JSON.stringify(value)})`);
+        }
+        return { start: value.start, end: value.end };
+    }
+    const m = String(value).trim().match(/^(\d{1,2})(?::(\d{2}))?\s*-\s*(\d{1,2})(?::(\d{2}))?$/);
+    const minutes = (h, mm) => parseInt(h) * 60 + parseInt(mm || '0');
+    if (!m || parseInt(m[1]) > 23 || parseInt(m[3]) > 23 || parseInt(m[2] || 0) > 59 || parseInt(m[4] || 0) > 59) {
+        throw new Error(`Quiet hours must look like 23:00-07:00 (got "${value}")`);
+    }
+    return { start: minutes(m[1], m[2]), end: minutes(m[3], m[4]) };
+}
+
+function inQuietHours(quietHours, date = new Date()) {
+    if (!quietHours || quietHours.start === quietHours.end) return false;
+    const now = date.getHours() * 60 + date.getMinutes();
+    const { start, end } = quietHours;
+    return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+// Validated, frozen policy: defaults overlaid with the given rules
+function createPolicy(rules = {}) {
+    const result = { ...DEFAULT_POLICY };
+    for (const [key, value] of Object.entries(rules || {})) {
+        if (!(key in DEFAULT_POLICY)) throw new Error(`Unknown policy rule "${key}" (known: ${Object.keys(DEFAULT_POLICY).join(', ')})`);
+        if (value === undefined || value === null) continue;
+        if (COUNT_RULES.includes(key)) {
+            if (!Number.isInteger(value) || value < 0) throw new Error(`Policy rule ${key} must be an integer ≥ 0 (got ${value})`);
+            result[key] = value;
+        } else if (key === 'denyAuthors' || key === 'allowAuthors') {
+            if (!Array.isArray(value)) throw new Error(`Policy rule ${key} must be a list of author names`);
+            result[key] = Object.freeze(value.map(a => String(a).trim().toLowerCase()).filter(Boolean));
+        } else if (key === 'mentionsOnly') {
+            result[key] = !!value;
+        } else {
+            result[key] = parseQuietHours(value);
+        }
+    }
+    return Object.freeze(result);
+}
+
+function mentions(text, agentName) {
+    const name = agentName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\w-])@?${name}(?![\\w-])`, 'i').test(text);
+}
+
+/*
+ * input: {
+ *   interaction — { type, author, query }
+ *   agentName
+ *   now         — Date
+ *   history     — { threadReplies, authorRepliesLastHour }
+ *   recall()    — { activated, recalled }, called only when needed
+ * }
+ * Returns { reply, rule, reason, signals } — rule is null when it replies.
+ */
+function decideReply(policy, input) {
+    const { interaction, agentName, history = {} } = input;
+    const now = input.now || new Date();
+    const author = String(interaction.author || '').toLowerCase();
+    const text = (interaction.query || '').trim();
+    const signals = {
+        length: text.length,
+        mentioned: interaction.type === 'reply' || mentions(text, agentName),
+        threadReplies: history.threadReplies ?? 0,
+        authorRepliesLastHour: history.authorRepliesLastHour ?? 0,
+    };
+    const skip = (rule, reason) => ({ reply: false, rule, reason, signals });
+
+    if (policy.denyAuthors.includes(author)) return skip('denyAuthors', 'author is denied');
+    if (policy.allowAuthors.length > 0 && !policy.allowAuthors.includes(author)) return skip('allowAuthors', 'author is not allowed');
+    if (policy.mentionsOnly && !signals.mentioned) return skip('mentionsOnly', 'does not mention the agent');
+    if (signals.length < policy.minLength) return skip('minLength', `${signals.length} characters, fewer than ${policy.minLength}`);
+    if (inQuietHours(policy.quietHours, now)) return skip('quietHours', 'quiet hours');
+    if (policy.maxPerThread > 0 && signals.threadReplies >= policy.maxPerThread) {
+        return skip('maxPerThread', `${signals.threadReplies} replies in this thread already`);
+    }
+    if (policy.maxPerAuthorPerHour > 0 && signals.authorRepliesLastHour >= policy.maxPerAuthorPerHour) {
+        return skip('maxPerAuthorPerHour', `${signals.authorRepliesLastHour} replies to this author in the last hour`);
+    }
+
+    // Peek only when a rule needs it
+    if (input.recall && (policy.minActivated > 0 || policy.minRecalled > 0)) Object.assign(signals, input.recall());
+    if (signals.activated < policy.minActivated) {
+        return skip('minActivated', `${signals.activated} occurrences activated, fewer than ${policy.minActivated}`);
+    }
+    if (signals.recalled < policy.minRecalled) {
+        return skip('minRecalled', `${signals.recalled} memories recalled, fewer than ${policy.minRecalled}`);
+    }
+    return { reply: true, rule: null, reason: 'all rules passed', signals };
+}
+
+// ============================================================
+// DECISION LOG
+// ============================================================
+
+const DECISIONS_FILE = 'policy.jsonl';
+
+function decisionsPath(stateDir) {
+    return join(stateDir, DECISIONS_FILE);
+}
+
+function recordDecision(stateDir, interaction, decision) {
+    if (!existsSync(stateDir)) mkdirSync(stateDir, { recursive: true });
+    const entry = {
+        time: new Date().toISOString(), key: interaction.key, type: interaction.type, id: interaction.id,
+        postId: interaction.postId ?? null, author: interaction.author,
+        decision: decision.reply ? 'reply' : 'skip', rule: decision.rule, reason: decision.reason, signals: decision.signals,
+    };
+    appendFileSync(decisionsPath(stateDir), JSON.stringify(entry) + '\n');
+    return entry;
+}
+
+// Returns { decisions, skipped } — skipped counts unreadable lines
+function readDecisions(stateDir) {
+    const path = decisionsPath(stateDir);
+    if (!existsSync(path)) return { decisions: [], skipped: 0 };
+    const decisions = [];
+    let skipped = 0;
+    for (const line of readFileSync(path, 'utf-8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            decisions.push(JSON.parse(line));
+        } catch {
+            skipped++;
+        }
+    }
+    return { decisions, skipped };
+}
+
+export {
+    DEFAULT_POLICY, createPolicy, parseQuietHours, inQuietHours, decideReply,
+    decisionsPath, recordDecision, readDecisions,
+};
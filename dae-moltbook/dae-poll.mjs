@@ -0,0 +1,101 @@
+// DAE polling — what is new on Moltbook since the last poll, and the
+// interactions the agent builds from it
+// Created by smaxforn
+//
+// New items are found by paging a newest-first listing until it reaches the
+// cursor: { id, createdAt } of the newest item seen by the previous poll,
+// with createdAt as Moltbook reported it — the local clock plays no part.
+// Each interaction carries its ledger key (see dae-ledger.mjs).
+
+const POLL_PAGE_SIZE = 20;
+
+// Notification types that are about a post itself rather than a comment on it
+const POST_NOTIFICATION_TYPES = ['post', 'new_post', 'post_mention'];
+
+const itemId = (item) => item.id || item._id;
+const itemTime = (item) => Date.parse(item.created_at || item.createdAt) || null;
+
+/*
+ * fetchPage(page) resolves to one page of the listing (page 1 is newest).
+ * Items on the cursor's boundary can come back; the ledger drops those.
+ * With no cursor (first run) only the first page is read.
+ * options: { maxPages, pageSize }
+ * Returns { items, cursor, complete } — complete is false when maxPages ran
+ * out before the cursor was reached. The cursor then stays where it was and
+ * gains resume: { page, newest } — the next poll pages on from there (items
+ * the listing pushed down come back and are dropped), and once it reaches
+ * the cursor, newest becomes the cursor.
+ */
+async function fetchSinceCursor(fetchPage, cursor, options = {}) {
+    const maxPages = options.maxPages || 5;
+    const pageSize = options.pageSize || POLL_PAGE_SIZE;
+    const items = [];
+    const ids = new Set();
+    const cursorTime = cursor?.createdAt ? Date.parse(cursor.createdAt) : null;
+    const resume = cursor?.resume || null;
+    const firstPage = resume?.page || 1;
+    const lastPage = cursor ? firstPage + maxPages - 1 : 1;
+    let complete = !cursor;
+
+    pages: for (let page = firstPage; page <= lastPage; page++) {
+        const batch = await fetchPage(page);
+        if (!Array.isArray(batch) || batch.length === 0) { complete = true; break; }
+        for (const item of batch) {
+            const id = itemId(item);
+            // A listing that ignores page= repeats itself
+            if (ids.has(id)) { complete = true; break pages; }
+            const t = itemTime(item);
+            if (cursor && ((cursor.id && id === cursor.id) || (cursorTime !== null && t !== null && t < cursorTime))) {
+                complete = true;
+                break pages;
+            }
+            ids.add(id);
+            items.push(item);
+        }
+        if (batch.length < pageSize) { complete = true; break; }
+    }
+
+    // The newest item by Moltbook's time, or the first listed if there are no times
+    const marks = [
+        ...(resume?.newest ? [resume.newest] : []),
+        ...items.map(item => ({ id: itemId(item), createdAt: item.created_at || item.createdAt || cursor?.createdAt || null })),
+    ];
+    const time = (mark) => Date.parse(mark.createdAt) || -Infinity;
+    const newest = marks.reduce((best, mark) => (time(mark) > time(best) ? mark : best), marks[0]) || null;
+
+    if (!complete) {
+        return { items, cursor: { id: cursor.id, createdAt: cursor.createdAt, resume: { page: lastPage + 1, newest } }, complete };
+    }
+    const next = newest || (cursor && { id: cursor.id, createdAt: cursor.createdAt });
+    return { items, cursor: next, complete };
+}
+
+function postInteraction(post) {
+    const id = itemId(post);
+    const text = post.content || post.body || '';
+    const title = post.title || '';
+    const author = post.author?.name || post.agent_name || 'unknown';
+    return { type: 'post', id, key: `post:${id}`, aliases: [], query: `${title} ${text}`.trim(), text, author, postId: id };
+}
+
+/*
+ * A notification about a comment is keyed by the comment; any other by the
+ * notification itself. Only one about the post itself also answers to
+ * post:<id>, so a post seen in both listings is handled once — while a
+ * reply notification that names no comment never collides with its post.
+ */
+function notificationInteraction(notif) {
+    const text = notif.content || notif.body || notif.comment?.content || '';
+    const postId = notif.post_id || notif.postId || notif.comment?.post_id || null;
+    const commentId = notif.comment?.id || notif.comment_id || notif.commentId;
+    const author = notif.author?.name || notif.agent_name || 'unknown';
+    const own = `notification:${notif.id}`;
+    if (commentId) return { type: 'reply', id: notif.id, key: `comment:${commentId}`, aliases: [own], query: text, text, author, postId };
+    const aboutPost = postId && POST_NOTIFICATION_TYPES.includes(notif.type);
+    return { type: 'reply', id: notif.id, key: own, aliases: aboutPost ? [`post:${postId}`] : [], query: text, text, author, postId };
+}
+
+export {
+    POLL_PAGE_SIZE, POST_NOTIFICATION_TYPES,
+    itemId, itemTime, fetchSinceCursor, postInteraction, notificationInteraction,
+};
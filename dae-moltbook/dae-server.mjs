@@ -0,0 +1,380 @@
+#!/usr/bin/env node
+// DAE memory service — one persistent DAESystem over local HTTP/JSON
+// Created by smaxforn
+//
+// Usage: node dae-server.mjs [--port 8766] [--force-fresh]
+//
+// Lets other bots and scripts share one memory. Routes (JSON in and out):
+//
+//   GET  /health      N, episode and conscious counts, unsaved changes
+//   GET  /episodes    episodes with their sizes and activation
+//   GET  /conscious   conscious memories (as dae-cli conscious list)
+//   POST /ingest      { text, name? } — chunk text into a new episode
+//   POST /query       { query, author?, peek?, slots?, budgetTokens? }
+//                     → { interactionId, context, systemPrompt, metrics }
+//                     peek: true shows what would surface without changing memory
+//   POST /reply       { reply, interactionId?, query?, author? }
+//                     → { markup, cleaned, episode } — applies <salient>,
+//                     <revise> and <forget>, then response drift. The exchange
+//                     joins the conversation buffer, which becomes an episode
+//                     every EPISODE_THRESHOLD exchanges, as in the agent.
+//   POST /save        write the state now
+//
+// Every request runs through a single queue, one at a time, so concurrent
+// calls can never interleave their changes to the manifold or its saves.
+// Changes are journaled like the agent's and saved every
+// DAE_SERVER_SAVE_SECONDS, on /save and on shutdown. Don't run the agent on
+// the same DAE_STATE_DIR at the same time: each would overwrite the other.
+
+import { existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { createServer } from 'http';
+import {
+    DAESystem, QueryEngine,
+    composeContext, applyMemoryMarkup, stripMemoryMarkup, createChunker, createParams,
+    DAE_SYSTEM_PROMPT,
+} from './dae-core.mjs';
+import { stateFileName, writeStateFile, recoverState, listSnapshots, takeSnapshot } from './dae-state.mjs';
+import { openJournal } from './dae-journal.mjs';
+import { isLocalHost, sendJSON } from './dae-dashboard.mjs';
+import { memoryConfig, validateMemoryConfig, contextOptions } from './dae-config.mjs';
+
+const argv = process.argv.slice(2);
+const portArg = argv.includes('--port') ? argv[argv.indexOf('--port') + 1] : null;
+
+// ============================================================
+// CONFIGURATION — memory settings shared with the agent (dae-config.mjs)
+// ============================================================
+
+const CONFIG = {
+    port:             parseInt(portArg || process.env.DAE_SERVER_PORT || '8766'),  // 0 = any free port
+    host:             process.env.DAE_SERVER_HOST || '127.0.0.1',
+    token:            process.env.DAE_SERVER_TOKEN || null,           // optional bearer token
+    saveEverySeconds: parseInt(process.env.DAE_SERVER_SAVE_SECONDS || '30'),
+    maxBodyBytes:     parseInt(process.env.DAE_SERVER_MAX_BODY || String(5 * 1024 * 1024)),
+    forceFresh:       argv.includes('--force-fresh'),
+    ...memoryConfig(),
+};
+
+// Rejects a request with a status other than 500
+function httpError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+// ============================================================
+// MEMORY — the one DAESystem and everything that touches it
+// ============================================================
+
+function loadMemory() {
+    const { path, data, failures, quarantined, refused } = recoverState(
+        CONFIG.stateDir, CONFIG.stateFormat, { forceFresh: CONFIG.forceFresh });
+    failures.forEach(f => console.error(`State file ${f.path} failed to load: ${f.error}`));
+    if (refused) throw new Error('Refusing to start fresh over unreadable state; restore a file or use --force-fresh');
+    quarantined.forEach(q => console.error(`  Moved to ${q.to}`));
+
+    let system;
+    if (data) {
+        system = data.system;
+        system.params = createParams({ ...system.params, ...CONFIG.engineParams });
+        console.log(`State loaded from ${path}: N=${system.N}, Episodes=${system.episodes.length}, Conscious=${system.consciousEpisode.count}`);
+    } else {
+        system = new DAESystem({ tokenizer: CONFIG.tokenizer, chunker: CONFIG.chunker, params: CONFIG.engineParams });
+        system.agentName = CONFIG.agentName;
+        console.log('Fresh start — no prior state.');
+    }
+    system.chunker = createChunker(CONFIG.chunker);
+    system.occurrenceBudget = CONFIG.occurrenceBudget || null;
+
+    let journal = null;
+    if (CONFIG.journal) {
+        journal = openJournal(CONFIG.stateDir);
+        if (!data) {
+            journal.append('init', {
+                tokenizer: system.tokenizer.toJSON(), chunker: system.chunker.toJSON(),
+                params: system.params, agentName: system.agentName,
+            });
+        } else if (journal.empty || failures.length > 0) {
+            journal.recordBase(path, { reason: failures.length > 0 ? 'recovered' : 'existing state' });
+        }
+    }
+
+    const snapshots = listSnapshots(CONFIG.stateDir);
+    return {
+        system,
+        engine: new QueryEngine(system),
+        journal,
+        conversationHistory: data?.conversationHistory || [],
+        conversationBuffer: data?.conversationBuffer || [],
+        queries: new Map(),   // interactionId → query, until its reply arrives
+        dirty: false,
+        lastSave: null,
+        lastSnapshot: snapshots.length > 0 ? snapshots[snapshots.length - 1].timestamp : null,
+    };
+}
+
+function record(memory, type, fields) {
+    if (!memory.journal) return;
+    try {
+        memory.journal.append(type, fields);
+    } catch (e) {
+        console.error(`[Journal] write failed: ${e.message}`);
+    }
+}
+
+function saveMemory(memory) {
+    if (!existsSync(CONFIG.stateDir)) mkdirSync(CONFIG.stateDir, { recursive: true });
+    writeStateFile(join(CONFIG.stateDir, stateFileName(CONFIG.stateFormat)), {
+        system: memory.system,
+        conversationHistory: memory.conversationHistory,
+        conversationBuffer: memory.conversationBuffer,
+    }, CONFIG.stateFormat);
+    memory.dirty = false;
+    memory.lastSave = new Date().toISOString();
+
+    const due = CONFIG.snapshotEveryHours > 0 &&
+        Date.now() - (memory.lastSnapshot ? Date.parse(memory.lastSnapshot) : 0) >= CONFIG.snapshotEveryHours * 3600000;
+    if (due) {
+        const s = takeSnapshot(CONFIG.stateDir, { reason: 'scheduled', keep: CONFIG.snapshotKeep });
+        if (s) memory.lastSnapshot = s.timestamp;
+    }
+    return memory.lastSave;
+}
+
+// Forget cold neighborhoods once N exceeds DAE_OCCURRENCE_BUDGET
+function enforceBudget(memory) {
+    const { system } = memory;
+    if (!system.occurrenceBudget || system.N <= system.occurrenceBudget) return;
+    takeSnapshot(CONFIG.stateDir, { reason: 'prune', keep: CONFIG.snapshotKeep });
+    const report = system.enforceBudget();
+    if (report) record(memory, 'forget', { budget: report.budget, before: report.before, after: report.after });
+}
+
+function requestContext(body) {
+    try {
+        return contextOptions(CONFIG, { slots: body.slots, budgetTokens: body.budgetTokens });
+    } catch (e) {
+        throw httpError(400, e.message);
+    }
+}
+
+const requireText = (body, field) => {
+    if (typeof body[field] !== 'string' || !body[field].trim()) throw httpError(400, `"${field}" must be a non-empty string`);
+    return body[field];
+};
+
+// ============================================================
+// ROUTES
+// ============================================================
+
+const ROUTES = {
+    'GET /health': (memory) => ({
+        ok: true,
+        N: memory.system.N,
+        episodes: memory.system.episodes.length,
+        conscious: memory.system.consciousEpisode.neighborhoods.length,
+        buffered: memory.conversationBuffer.length,
+        dirty: memory.dirty,
+        lastSave: memory.lastSave,
+    }),
+
+    'GET /episodes': (memory) => memory.system.episodes.map(ep => ({
+        id: ep.id, name: ep.name, timestamp: ep.timestamp,
+        neighborhoods: ep.neighborhoods.length, occurrences: ep.count,
+        activation: ep.totalActivation, mass: ep.mass(memory.system.N),
+    })),
+
+    'GET /conscious': (memory) => memory.system.listConscious(),
+
+    'POST /ingest': (memory, body) => {
+        const text = requireText(body, 'text');
+        const { system } = memory;
+        const ep = system.createEpisode(body.name || `Ingested ${system.episodes.length + 1}`);
+        system.neighborhoodsFromText(text).forEach(n => ep.addNeighborhood(n));
+        if (ep.neighborhoods.length === 0) throw httpError(400, 'Text has no tokens to store');
+        system.addEpisode(ep);
+        record(memory, 'ingest', { episodeId: ep.id, source: 'service', text });
+        record(memory, 'episode', { episodeId: ep.id, name: ep.name, source: 'service' });
+        memory.dirty = true;
+        enforceBudget(memory);
+        return { episodeId: ep.id, name: ep.name, neighborhoods: ep.neighborhoods.length, occurrences: ep.count, N: system.N };
+    },
+
+    'POST /query': (memory, body) => {
+        const query = requireText(body, 'query');
+        const { system, engine } = memory;
+        const options = requestContext(body);
+
+        if (body.peek) {
+            const { context, metrics } = engine.peek(query, { context: options });
+            return { interactionId: null, context, systemPrompt: DAE_SYSTEM_PROMPT(context), metrics };
+        }
+
+        system.expireConscious();
+        const { activation, interference, surface } = engine.processQuery(query);
+        const { context, metrics } = composeContext(system, surface, activation, interference, { ...options, params: engine.params });
+        const interactionId = randomUUID();
+        record(memory, 'query', { interactionId, author: body.author || 'service', query, recalled: metrics.recalled });
+        memory.queries.set(interactionId, query);
+        if (memory.queries.size > 1000) memory.queries.delete(memory.queries.keys().next().value);
+        memory.dirty = true;
+        return { interactionId, context, systemPrompt: DAE_SYSTEM_PROMPT(context), metrics };
+    },
+
+    'POST /reply': (memory, body) => {
+        const reply = requireText(body, 'reply');
+        const { system, engine } = memory;
+        const interactionId = body.interactionId || randomUUID();
+        const query = body.query ?? memory.queries.get(interactionId) ?? '';
+        memory.queries.delete(interactionId);
+
+        const markup = applyMemoryMarkup(system, reply, { dedupe: CONFIG.salientDedupe });
+        engine.processResponse(reply);
+        record(memory, 'reply', { interactionId, reply });
+        record(memory, 'salient', {
+            interactionId, salient: markup.salient, repeats: markup.repeats,
+            revised: markup.revised, forgotten: markup.forgotten,
+        });
+
+        memory.conversationHistory.push({ role: 'user', content: query }, { role: 'assistant', content: reply });
+        memory.conversationBuffer.push([query, reply]);
+        let episode = null;
+        if (memory.conversationBuffer.length >= CONFIG.episodeThreshold) {
+            const ep = system.createEpisode(`Service ${system.episodes.length + 1}`);
+            memory.conversationBuffer.forEach(([userMsg, asstMsg]) => {
+                const combined = userMsg + '\n\n' + asstMsg;
+                system.neighborhoodsFromText(combined).forEach(n => ep.addNeighborhood(n));
+                record(memory, 'ingest', { episodeId: ep.id, source: 'exchange', text: combined });
+            });
+            system.addEpisode(ep);
+            record(memory, 'episode', { episodeId: ep.id, name: ep.name, source: 'conversation' });
+            memory.conversationBuffer = [];
+            episode = ep.name;
+            enforceBudget(memory);
+        }
+        memory.dirty = true;
+
+        return {
+            interactionId,
+            markup: {
+                salient: markup.salient, repeats: markup.repeats, revised: markup.revised,
+                forgotten: markup.forgotten, skipped: markup.skipped,
+            },
+            cleaned: stripMemoryMarkup(reply),
+            episode,
+        };
+    },
+
+    'POST /save': (memory) => ({ saved: saveMemory(memory), N: memory.system.N }),
+};
+
+// ============================================================
+// SERVER
+// ============================================================
+
+// Runs tasks one at a time, in arrival order; a failure doesn't block the next
+function createQueue() {
+    let tail = Promise.resolve();
+    return (task) => {
+        const run = tail.then(task);
+        tail = run.catch(() => {});
+        return run;
+    };
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let chunks = [];
+        let size = 0;
+        // Past the limit the rest is read and dropped rather than cut off,
+        // so the client still gets its 413
+        req.on('data', (chunk) => {
+            if (!chunks) return;
+            size += chunk.length;
+            if (size > CONFIG.maxBodyBytes) {
+                chunks = null;
+                reject(httpError(413, `Body over ${CONFIG.maxBodyBytes} bytes`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (!chunks) return;
+            const text = Buffer.concat(chunks).toString('utf-8');
+            if (!text.trim()) return resolve({});
+            try {
+                const body = JSON.parse(text);
+                if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('not an object');
+                resolve(body);
+            } catch (e) {
+                reject(httpError(400, `Body must be a JSON object: ${e.message}`));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function authorized(req) {
+    if (!CONFIG.token) return true;
+    const given = Buffer.from(req.headers.authorization || '');
+    const expected = Buffer.from(`Bearer ${CONFIG.token}`);
+    return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+function startServer(memory) {
+    const serialize = createQueue();
+
+    const server = createServer(async (req, res) => {
+        try {
+            if (!isLocalHost(req.headers.host, CONFIG.host)) throw httpError(403, 'Memory service is local only');
+            if (!authorized(req)) throw httpError(401, 'Missing or wrong bearer token');
+            const { pathname } = new URL(req.url, 'http://localhost');
+            const route = ROUTES[`${req.method} ${pathname}`];
+            if (!route) throw httpError(404, `No route ${req.method} ${pathname}`);
+            // JSON only, so browsers can't post here from another page without a preflight
+            if (req.method === 'POST' && !(req.headers['content-type'] || '').startsWith('application/json')) {
+                throw httpError(415, 'Content-Type must be application/json');
+            }
+            const body = req.method === 'POST' ? await readBody(req) : {};
+            sendJSON(res, 200, await serialize(() => route(memory, body)));
+        } catch (e) {
+            if (!e.status) console.error(`${req.method} ${req.url} failed: ${e.message}`);
+            sendJSON(res, e.status || 500, { error: e.message });
+        }
+    });
+
+    const autosave = CONFIG.saveEverySeconds > 0
+        ? setInterval(() => serialize(() => memory.dirty && saveMemory(memory)).catch(e => {
+            console.error(`Autosave failed: ${e.message}`);
+        }), CONFIG.saveEverySeconds * 1000)
+        : null;
+
+    const shutdown = (signal) => {
+        console.log(`\n${signal}: saving and stopping`);
+        if (autosave) clearInterval(autosave);
+        server.close();
+        serialize(() => memory.dirty && saveMemory(memory))
+            .catch(e => console.error(`Final save failed: ${e.message}`))
+            .finally(() => process.exit(0));
+    };
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+    server.on('error', (e) => {
+        console.error(`Memory service failed: ${e.message}`);
+        process.exit(1);
+    });
+    server.listen(CONFIG.port, CONFIG.host, () => {
+        const { port } = server.address();
+        console.log(`DAE memory service: http://${CONFIG.host}:${port}/` + (CONFIG.token ? ' (bearer token required)' : ''));
+    });
+    return server;
+}
+
+try {
+    validateMemoryConfig(CONFIG);
+    startServer(loadMemory());
+} catch (e) {
+    console.error(`Memory service failed to start: ${e.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,332 @@
+// DAE state files — JSON and binary envelopes on disk
+// Created by smaxforn
+//
+// A state file holds the DAESystem plus the agent's conversation data.
+// JSON files are the original export format ({ version, timestamp, system,
+// conversationHistory, conversationBuffer }). Binary files are a DAEB blob
+// whose EXTRA section carries the same envelope minus the system.
+//
+// Saves are atomic (temp file, fsync, rename) and checksummed: JSON ends
+// with "checksum":"sha256:…" over the text before it, binary ends with a
+// CHECKSUM section over the bytes before it. The previous file is kept as
+// <name>.bak. Files without a checksum (older saves, browser exports) load
+// as unverified.
+//
+// Snapshots are timestamped copies of the state file in <stateDir>/snapshots,
+// named <ISO time>_<reason>.<json|bin>, oldest pruned beyond a keep count.
+
+import {
+    readFileSync, copyFileSync, existsSync, mkdirSync, readdirSync, statSync, unlinkSync,
+    openSync, writeSync, fsyncSync, closeSync, renameSync,
+} from 'fs';
+import { createHash } from 'crypto';
+import { extname, join } from 'path';
+import { DAESystem, isDAEBinary, readBinaryExtra } from './dae-core.mjs';
+
+const STATE_VERSION = '0.7.2';
+const STATE_FORMATS = ['json', 'binary'];
+
+function stateFormatForPath(path) {
+    const ext = extname(path).toLowerCase();
+    return ext === '.bin' || ext === '.daeb' ? 'binary' : 'json';
+}
+
+function stateFileName(format) {
+    return format === 'binary' ? 'dae-state.bin' : 'dae-state.json';
+}
+
+// ============================================================
+// INTEGRITY
+// ============================================================
+
+const CHECKSUM_SECTION = 7;   // SECTION.CHECKSUM in dae-core's binary format
+const CHECKSUM_BYTES = 32;
+const JSON_CHECKSUM = /,"checksum":"sha256:([0-9a-f]{64})"}$/;
+
+function sha256(data) {
+    return createHash('sha256').update(data).digest();
+}
+
+function addChecksum(encoded) {
+    if (typeof encoded === 'string') {
+        return `${encoded.slice(0, -1)},"checksum":"sha256:${sha256(encoded).toString('hex')}"}`;
+    }
+    const out = new Uint8Array(encoded.byteLength + 5 + CHECKSUM_BYTES);
+    out.set(encoded);
+    const view = new DataView(out.buffer);
+    view.setUint8(encoded.byteLength, CHECKSUM_SECTION);
+    view.setUint32(encoded.byteLength + 1, CHECKSUM_BYTES, true);
+    out.set(sha256(encoded), encoded.byteLength + 5);
+    return out;
+}
+
+// 'ok' or 'missing'; throws when a checksum is present and wrong
+function verifyChecksum(bytes) {
+    if (isDAEBinary(bytes)) {
+        const at = bytes.byteLength - 5 - CHECKSUM_BYTES;
+        if (at < 8 || bytes[at] !== CHECKSUM_SECTION
+            || Buffer.from(bytes.buffer, bytes.byteOffset + at + 1, 4).readUInt32LE() !== CHECKSUM_BYTES) {
+            return 'missing';
+        }
+        const expected = Buffer.from(bytes.subarray(at + 5));
+        if (!sha256(bytes.subarray(0, at)).equals(expected)) throw new Error('State checksum mismatch (file is corrupt)');
+        return 'ok';
+    }
+    const text = bytes.toString('utf-8').trimEnd();
+    const m = text.match(JSON_CHECKSUM);
+    if (!m) return 'missing';
+    const body = text.slice(0, m.index) + '}';
+    if (sha256(body).toString('hex') !== m[1]) throw new Error('State checksum mismatch (file is corrupt)');
+    return 'ok';
+}
+
+// Write to a temp file, flush it to disk, then rename over the target
+function writeFileAtomic(path, data) {
+    const tmp = `${path}.tmp-${process.pid}`;
+    const fd = openSync(tmp, 'w');
+    try {
+        writeSync(fd, typeof data === 'string' ? Buffer.from(data) : data);
+        fsyncSync(fd);
+    } finally {
+        closeSync(fd);
+    }
+    renameSync(tmp, path);
+}
+
+// ============================================================
+// READ / WRITE
+// ============================================================
+
+// Returns { format, version, timestamp, checksum: 'ok' | 'missing', system,
+//           conversationHistory, conversationBuffer }
+function readStateFile(path, options = {}) {
+    const bytes = readFileSync(path);
+    const checksum = verifyChecksum(bytes);
+    if (isDAEBinary(bytes)) {
+        const extra = readBinaryExtra(bytes) || {};
+        return {
+            format: 'binary',
+            version: extra.version,
+            timestamp: extra.timestamp,
+            checksum,
+            system: DAESystem.fromBinary(bytes, options),
+            conversationHistory: extra.conversationHistory || [],
+            conversationBuffer: extra.conversationBuffer || [],
+        };
+    }
+    const data = JSON.parse(bytes.toString('utf-8'));
+    if (!data.system?.episodes && !data.system?.consciousEpisode) {
+        throw new Error('Not a valid DAE state export (missing system.episodes or system.consciousEpisode)');
+    }
+    return {
+        format: 'json',
+        version: data.version,
+        timestamp: data.timestamp,
+        checksum,
+        system: DAESystem.fromJSON(data.system, options),
+        conversationHistory: data.conversationHistory || [],
+        conversationBuffer: data.conversationBuffer || [],
+    };
+}
+
+function encodeState(state, format = 'json') {
+    if (!STATE_FORMATS.includes(format)) throw new Error(`Unknown state format: ${format}`);
+    const envelope = {
+        version: state.version || STATE_VERSION,
+        timestamp: state.timestamp || new Date().toISOString(),
+        conversationHistory: state.conversationHistory || [],
+        conversationBuffer: state.conversationBuffer || [],
+    };
+    if (format === 'binary') {
+        return state.system.toBinary({ extra: envelope });
+    }
+    return JSON.stringify({
+        version: envelope.version,
+        timestamp: envelope.timestamp,
+        system: state.system.toJSON(),
+        conversationHistory: envelope.conversationHistory,
+        conversationBuffer: envelope.conversationBuffer,
+    });
+}
+
+// Atomic, checksummed save; the file it replaces is kept as <path>.bak
+function writeStateFile(path, state, format = stateFormatForPath(path)) {
+    const data = addChecksum(encodeState(state, format));
+    if (existsSync(path)) copyFileSync(path, `${path}.bak`);
+    writeFileAtomic(path, data);
+}
+
+/*
+ * Load the newest state that reads and verifies, trying in order: the
+ * preferred format's file and its .bak, the other format's file and its
+ * .bak, then snapshots newest first. A binary file cut short never parses
+ * (see END in dae-core's binary format), whether or not its checksum went too.
+ * Returns { path, data, failures: [{ path, error }] } — data is null when
+ * nothing loaded; failures lists every file that exists but did not load.
+ */
+function loadStateWithRecovery(stateDir, preferredFormat = 'json', options = {}) {
+    const candidates = [preferredFormat, ...STATE_FORMATS.filter(f => f !== preferredFormat)]
+        .map(f => join(stateDir, stateFileName(f)))
+        .flatMap(p => [p, `${p}.bak`])
+        .concat(listSnapshots(stateDir).reverse().map(s => s.path))
+        .filter(p => existsSync(p));
+
+    const failures = [];
+    for (const path of candidates) {
+        try {
+            return { path, data: readStateFile(path, options), failures };
+        } catch (e) {
+            failures.push({ path, error: e.message });
+        }
+    }
+    return { path: null, data: null, failures };
+}
+
+// Move a damaged file aside so later saves cannot rotate it into the backup
+function quarantineFile(path) {
+    const target = `${path}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    renameSync(path, target);
+    return target;
+}
+
+/*
+ * Startup policy on top of loadStateWithRecovery. Main state files that
+ * failed are quarantined once a fallback loaded, or once forceFresh allows
+ * starting empty. When files exist but none loaded and forceFresh is not
+ * set, nothing is moved and `refused` is true: never start fresh silently.
+ * options: { forceFresh, ...readStateFile options }
+ * Returns { path, data, failures, quarantined: [{ path, to }], refused }
+ */
+function recoverState(stateDir, preferredFormat = 'json', options = {}) {
+    const { forceFresh = false, ...readOptions } = options;
+    const result = loadStateWithRecovery(stateDir, preferredFormat, readOptions);
+    const refused = !result.data && result.failures.length > 0 && !forceFresh;
+    const mainFiles = STATE_FORMATS.map(f => join(stateDir, stateFileName(f)));
+    const quarantined = refused ? [] : result.failures
+        .filter(f => mainFiles.includes(f.path))
+        .map(f => ({ path: f.path, to: quarantineFile(f.path) }));
+    return { ...result, quarantined, refused };
+}
+
+// The state file in a directory, newest first if both formats exist
+function findStateFile(stateDir) {
+    return STATE_FORMATS.map(f => join(stateDir, stateFileName(f)))
+        .filter(p => existsSync(p))
+        .sort((a, b) => statSync(b).mtimeMs - statSync(a).mtimeMs)[0] || null;
+}
+
+// ============================================================
+// SNAPSHOTS
+// ============================================================
+
+const DEFAULT_SNAPSHOT_KEEP = 20;
+const SNAPSHOT_PATTERN = /^(\d{4}-\d\d-\d\dT\d\d-\d\d-\d\d-\d{3}Z)_([\w-]+)\.(json|bin)$/;
+
+function snapshotDir(stateDir) {
+    return join(stateDir, 'snapshots');
+}
+
+// Oldest first: [{ name, path, timestamp, reason, format, size }]
+function listSnapshots(stateDir) {
+    const dir = snapshotDir(stateDir);
+    if (!existsSync(dir)) return [];
+    return readdirSync(dir)
+        .map(name => ({ name, match: name.match(SNAPSHOT_PATTERN) }))
+        .filter(({ match }) => match)
+        .map(({ name, match }) => ({
+            name,
+            path: join(dir, name),
+            timestamp: match[1].replace(/T(\d\d)-(\d\d)-(\d\d)-(\d{3})Z$/, 'T$1:$2:$3.$4Z'),
+            reason: match[2],
+            format: match[3] === 'bin' ? 'binary' : 'json',
+            size: statSync(join(dir, name)).size,
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Delete all but the newest `keep` snapshots. Returns the removed entries.
+function pruneSnapshots(stateDir, keep = DEFAULT_SNAPSHOT_KEEP) {
+    const snapshots = listSnapshots(stateDir);
+    const removed = snapshots.slice(0, Math.max(0, snapshots.length - keep));
+    removed.forEach(s => unlinkSync(s.path));
+    return removed;
+}
+
+/*
+ * Copy the current state file into the snapshot directory.
+ * options: { reason = 'manual', keep = DEFAULT_SNAPSHOT_KEEP }
+ * Returns the new snapshot entry, or null when there is no state to copy.
+ */
+function takeSnapshot(stateDir, options = {}) {
+    const source = findStateFile(stateDir);
+    if (!source) return null;
+    const dir = snapshotDir(stateDir);
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+
+    const reason = (options.reason || 'manual').replace(/[^\w-]+/g, '-');
+    const ext = stateFormatForPath(source) === 'binary' ? 'bin' : 'json';
+    // Names sort by time, so a new snapshot is stamped after the newest one
+    // even when both fall in the same millisecond
+    const newest = listSnapshots(stateDir).at(-1);
+    const time = Math.max(Date.now(), newest ? Date.parse(newest.timestamp) + 1 : 0);
+    const name = `${new Date(time).toISOString().replace(/[:.]/g, '-')}_${reason}.${ext}`;
+    copyFileSync(source, join(dir, name));
+    pruneSnapshots(stateDir, options.keep ?? DEFAULT_SNAPSHOT_KEEP);
+    return listSnapshots(stateDir).find(s => s.name === name) || null;
+}
+
+// A snapshot by full name or unique prefix
+function findSnapshot(stateDir, nameOrPrefix) {
+    const matches = listSnapshots(stateDir).filter(s => s.name.startsWith(nameOrPrefix));
+    const exact = matches.find(s => s.name === nameOrPrefix);
+    if (exact) return exact;
+    if (matches.length > 1) throw new Error(`Ambiguous snapshot "${nameOrPrefix}" (${matches.length} matches)`);
+    return matches[0] || null;
+}
+
+/*
+ * What changed from one DAESystem to another:
+ * { N: { before, after }, episodes: { added, removed, changed },
+ *   conscious: { added, removed, edited } }
+ * Episodes and conscious entries are matched by id.
+ */
+function diffSystems(before, after) {
+    const episodeInfo = (e) => ({ id: e.id, name: e.name, neighborhoods: e.neighborhoods.length, count: e.count });
+    const beforeEps = new Map(before.episodes.map(e => [e.id, e]));
+    const afterEps = new Map(after.episodes.map(e => [e.id, e]));
+    const changed = [];
+    for (const [id, e] of afterEps) {
+        const old = beforeEps.get(id);
+        if (old && (old.count !== e.count || old.neighborhoods.length !== e.neighborhoods.length)) {
+            changed.push({ ...episodeInfo(e), countBefore: old.count });
+        }
+    }
+
+    const consciousInfo = (n) => ({ id: n.id, text: n.text });
+    const beforeCon = new Map(before.consciousEpisode.neighborhoods.map(n => [n.id, n]));
+    const afterCon = new Map(after.consciousEpisode.neighborhoods.map(n => [n.id, n]));
+
+    return {
+        N: { before: before.N, after: after.N },
+        episodes: {
+            added: after.episodes.filter(e => !beforeEps.has(e.id)).map(episodeInfo),
+            removed: before.episodes.filter(e => !afterEps.has(e.id)).map(episodeInfo),
+            changed,
+        },
+        conscious: {
+            added: [...afterCon.values()].filter(n => !beforeCon.has(n.id)).map(consciousInfo),
+            removed: [...beforeCon.values()].filter(n => !afterCon.has(n.id)).map(consciousInfo),
+            edited: [...afterCon.values()]
+                .filter(n => beforeCon.has(n.id) && beforeCon.get(n.id).text !== n.text)
+                .map(n => ({ ...consciousInfo(n), textBefore: beforeCon.get(n.id).text })),
+        },
+    };
+}
+
+export {
+    STATE_VERSION, STATE_FORMATS, DEFAULT_SNAPSHOT_KEEP,
+    stateFormatForPath, stateFileName, findStateFile,
+    readStateFile, writeStateFile, encodeState, loadStateWithRecovery, quarantineFile, recoverState,
+    writeFileAtomic, verifyChecksum,
+    snapshotDir, listSnapshots, pruneSnapshots, takeSnapshot, findSnapshot, diffSystems,
+};
@@ -1,18 +1,28 @@
 #!/usr/bin/env node
 // Import a DAE state export (from the browser UI) into the server agent's state directory.
-// Usage: node import-state.mjs <path-to-export.json>
+// Usage: node import-state.mjs <path-to-export.json|.bin>
+//        node import-state.mjs --convert <input> <output>   (JSON ↔ binary by output extension)
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { existsSync, mkdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { DAESystem } from './dae-core.mjs';
+import {
+    STATE_FORMATS, DEFAULT_SNAPSHOT_KEEP, stateFormatForPath, stateFileName, readStateFile, writeStateFile,
+    writeFileAtomic, takeSnapshot,
+} from './dae-state.mjs';
+import { journalPath, openJournal } from './dae-journal.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const stateDir = process.env.DAE_STATE_DIR || join(__dirname, '.dae-state');
+const stateFormat = process.env.DAE_STATE_FORMAT || 'json';
 
-const inputPath = process.argv[2];
-if (!inputPath) {
-    console.error('Usage: node import-state.mjs <path-to-dae-export.json>');
+const convert = process.argv[2] === '--convert';
+const inputPath = convert ? process.argv[3] : process.argv[2];
+const outputPath = convert ? process.argv[4] : null;
+
+if (!inputPath || (convert && !outputPath)) {
+    console.error('Usage: node import-state.mjs <path-to-dae-export.json|.bin>');
+    console.error('       node import-state.mjs --convert <input> <output.json|.bin>');
     process.exit(1);
 }
 
@@ -21,20 +31,18 @@ if (!existsSync(inputPath)) {
     process.exit(1);
 }
 
-try {
-    const raw = readFileSync(inputPath, 'utf-8');
-    const data = JSON.parse(raw);
-
-    // Validate it's a DAE state export
-    if (!data.system?.episodes && !data.system?.consciousEpisode) {
-        console.error('Not a valid DAE state export (missing system.episodes or system.consciousEpisode)');
-        process.exit(1);
-    }
+if (!STATE_FORMATS.includes(stateFormat)) {
+    console.error(`DAE_STATE_FORMAT must be one of: ${STATE_FORMATS.join(', ')}`);
+    process.exit(1);
+}
 
-    // Test deserialization
-    const system = DAESystem.fromJSON(data.system);
+try {
+    // Validates and deserializes either format
+    const data = readStateFile(inputPath);
+    const system = data.system;
 
     console.log(`Import validated:`);
+    console.log(`  Format: ${data.format}`);
     console.log(`  Version: ${data.version || 'unknown'}`);
     console.log(`  Exported: ${data.timestamp || 'unknown'}`);
     console.log(`  N: ${system.N}`);
@@ -42,21 +50,39 @@ try {
     console.log(`  Conscious neighborhoods: ${system.consciousEpisode.neighborhoods.length}`);
     console.log(`  Agent name: ${system.agentName || 'DAE'}`);
 
-    // Write to state directory
-    if (!existsSync(stateDir)) mkdirSync(stateDir, { recursive: true });
-
-    const stateFile = join(stateDir, 'dae-state.json');
     const state = {
         version: data.version || '0.7.2',
-        timestamp: new Date().toISOString(),
-        system: data.system,
-        conversationHistory: data.conversationHistory || [],
-        conversationBuffer: data.conversationBuffer || [],
+        timestamp: convert ? data.timestamp : new Date().toISOString(),
+        system,
+        conversationHistory: data.conversationHistory,
+        conversationBuffer: data.conversationBuffer,
     };
-    writeFileSync(stateFile, JSON.stringify(state));
+
+    if (convert) {
+        const format = stateFormatForPath(outputPath);
+        writeStateFile(outputPath, state, format);
+        console.log(`\nConverted ${data.format} → ${format}: ${outputPath}`);
+        process.exit(0);
+    }
+
+    // Write to state directory, keeping a snapshot of whatever was there
+    if (!existsSync(stateDir)) mkdirSync(stateDir, { recursive: true });
+    const snapshot = takeSnapshot(stateDir, {
+        reason: 'import',
+        keep: parseInt(process.env.DAE_SNAPSHOT_KEEP || String(DEFAULT_SNAPSHOT_KEEP)),
+    });
+    if (snapshot) console.log(`\nPrevious state snapshotted: ${snapshot.name}`);
+
+    const stateFile = join(stateDir, stateFileName(stateFormat));
+    writeStateFile(stateFile, state, stateFormat);
+
+    // The journal restarts from the imported state
+    if (process.env.DAE_JOURNAL !== '0' && existsSync(journalPath(stateDir))) {
+        openJournal(stateDir).recordBase(stateFile, { reason: 'import', source: inputPath });
+    }
 
     const metaFile = join(stateDir, 'meta.json');
-    writeFileSync(metaFile, JSON.stringify({
+    writeFileAtomic(metaFile, JSON.stringify({
         lastPollTime: null,
         totalExchanges: 0,
         pollCount: 0,
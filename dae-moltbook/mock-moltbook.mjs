@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+// Mock Moltbook + LLM server — run the agent against scripted failures
+// Created by smaxforn
+//
+// Usage: node mock-moltbook.mjs [--port 8767] [--posts 3] [--post-every <s>]
+//                               [--faults '<json>']
+//
+// Then start the agent against it:
+//   MOLTBOOK_API_URL=http://127.0.0.1:8767/api/v1 LLM_API_URL=http://127.0.0.1:8767/llm \
+//   MOLTBOOK_API_KEY=mock LLM_API_KEY=mock DAE_STATE_DIR=/tmp/dae-mock npm start
+//
+// Endpoints: GET  /api/v1/posts (sort=new, page, limit)
+//            GET  /api/v1/agents/<name>/notifications (page, limit)
+//            POST /api/v1/posts/<id>/comments
+//            POST /llm — a reply every LLM adapter can parse
+//
+// Faults are queued per endpoint — posts, notifications, comments, llm —
+// and each request takes the next one; an empty queue answers normally:
+//   ok       answer normally
+//   <status> that status; 429 and 503 carry Retry-After: 1
+//   429:<s>  429 with Retry-After: <s>
+//   timeout  never answer (the client's timeout has to fire)
+//   reset    drop the connection
+//   badjson  200 with a body that is not JSON
+//
+//   --faults '{"llm":["429","500"],"comments":["timeout"]}'
+//
+// Control, while running:
+//   POST /_mock/faults  { "<endpoint>": ["..."] } — append to the queues
+//   POST /_mock/posts   { title?, content?, author? } — publish a post
+//   POST /_mock/notifications  { type?, post_id?, comment?, content?, author? }
+//                       — notify the agent (type defaults to reply)
+//   GET  /_mock/state   posts, notifications, comments received, request
+//                       counts, queued faults
+
+import { createServer } from 'http';
+
+const argv = process.argv.slice(2);
+function option(name, fallback) {
+    const i = argv.indexOf(`--${name}`);
+    return i !== -1 && argv[i + 1] !== undefined ? argv[i + 1] : fallback;
+}
+
+const port = parseInt(option('port', '8767'));
+const FAULT_ENDPOINTS = ['posts', 'notifications', 'comments', 'llm'];
+const faults = Object.fromEntries(FAULT_ENDPOINTS.map(e => [e, []]));
+const requests = Object.fromEntries(FAULT_ENDPOINTS.map(e => [e, 0]));
+const posts = [];
+const notifications = [];
+const comments = [];
+
+function queueFaults(spec) {
+    for (const [endpoint, list] of Object.entries(spec)) {
+        if (!faults[endpoint]) throw new Error(`Unknown endpoint "${endpoint}" (known: ${FAULT_ENDPOINTS.join(', ')})`);
+        faults[endpoint].push(...[].concat(list).map(String));
+    }
+}
+
+function publish({ title, content, author } = {}) {
+    const n = posts.length + 1;
+    const post = {
+        id: `mock-${n}`,
+        title: title || `Mock post ${n}`,
+        content: content || `Mock post number ${n} asks about memory, drift and phase.`,
+        author: { name: author || `mock-author-${(n % 3) + 1}` },
+        created_at: new Date().toISOString(),
+    };
+    posts.unshift(post);
+    return post;
+}
+
+function notify({ type, post_id, comment, content, author } = {}) {
+    const n = notifications.length + 1;
+    const notification = {
+        id: `notif-${n}`,
+        type: type || 'reply',
+        post_id: post_id || posts[0]?.id || null,
+        ...(comment ? { comment } : {}),
+        content: content || `Mock notification ${n} asks a follow-up question.`,
+        author: { name: author || `mock-author-${(n % 3) + 1}` },
+        created_at: new Date().toISOString(),
+    };
+    notifications.unshift(notification);
+    return notification;
+}
+
+function send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+// Apply the endpoint's next fault; returns true when it answered
+function fault(endpoint, req, res) {
+    requests[endpoint]++;
+    const next = faults[endpoint].shift();
+    if (!next || next === 'ok') return false;
+    console.log(`  [mock] ${endpoint}: ${next}`);
+    if (next === 'timeout') return true;
+    if (next === 'reset') { req.socket.destroy(); return true; }
+    if (next === 'badjson') { send(res, 200, '{"truncated":'); return true; }
+    const [status, retryAfter] = next.split(':');
+    const headers = ['429', '503'].includes(status) ? { 'Retry-After': retryAfter || '1' } : {};
+    send(res, parseInt(status), { error: `mock ${status}` }, headers);
+    return true;
+}
+
+async function readBody(req) {
+    let text = '';
+    for await (const chunk of req) text += chunk;
+    return text ? JSON.parse(text) : {};
+}
+
+const server = createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://mock');
+    const path = url.pathname;
+    try {
+        if (path === '/_mock/state') return send(res, 200, { posts, notifications, comments, requests, faults });
+        if (path === '/_mock/faults' && req.method === 'POST') {
+            queueFaults(await readBody(req));
+            return send(res, 200, faults);
+        }
+        if (path === '/_mock/posts' && req.method === 'POST') return send(res, 201, publish(await readBody(req)));
+        if (path === '/_mock/notifications' && req.method === 'POST') return send(res, 201, notify(await readBody(req)));
+
+        if (path === '/llm' && req.method === 'POST') {
+            if (fault('llm', req, res)) return;
+            const body = await readBody(req);
+            const last = (body.messages || body.contents || []).at(-1);
+            const asked = (last?.content || last?.parts?.[0]?.text || '').slice(0, 60);
+            const text = `Mock reply to: ${asked}`;
+            return send(res, 200, {
+                content: [{ type: 'text', text }],
+                choices: [{ message: { content: text } }],
+                candidates: [{ content: { parts: [{ text }] } }],
+            });
+        }
+
+        const comment = path.match(/^\/api\/v1\/posts\/([^/]+)\/comments$/);
+        if (comment && req.method === 'POST') {
+            if (fault('comments', req, res)) return;
+            const { content } = await readBody(req);
+            const created = { id: `comment-${comments.length + 1}`, post_id: comment[1], content, created_at: new Date().toISOString() };
+            comments.push(created);
+            console.log(`  [mock] comment on ${comment[1]}: ${String(content).slice(0, 60)}`);
+            return send(res, 201, { comment: created });
+        }
+
+        if (path === '/api/v1/posts' && req.method === 'GET') {
+            if (fault('posts', req, res)) return;
+            const limit = parseInt(url.searchParams.get('limit') || '20');
+            const page = parseInt(url.searchParams.get('page') || '1');
+            return send(res, 200, { posts: posts.slice((page - 1) * limit, page * limit) });
+        }
+
+        if (/^\/api\/v1\/agents\/[^/]+\/notifications$/.test(path) && req.method === 'GET') {
+            if (fault('notifications', req, res)) return;
+            const limit = parseInt(url.searchParams.get('limit') || '20');
+            const page = parseInt(url.searchParams.get('page') || '1');
+            return send(res, 200, { notifications: notifications.slice((page - 1) * limit, page * limit) });
+        }
+
+        send(res, 404, { error: 'not found' });
+    } catch (e) {
+        send(res, 400, { error: e.message });
+    }
+});
+
+queueFaults(JSON.parse(option('faults', '{}')));
+for (let i = 0; i < parseInt(option('posts', '3')); i++) publish();
+const postEvery = parseFloat(option('post-every', '0'));
+if (postEvery > 0) setInterval(() => console.log(`  [mock] new post ${publish().id}`), postEvery * 1000);
+
+// --port 0 takes a free port; the line below says which
+server.listen(port, '127.0.0.1', () => {
+    const { port: bound } = server.address();
+    console.log(`Mock Moltbook on http://127.0.0.1:${bound}/api/v1, LLM on http://127.0.0.1:${bound}/llm`);
+});
@@ -5,14 +5,26 @@
 // Gives any Moltbook agent cross-conversation memory via the DAE manifold.
 // State persists to disk. API keys never logged or exposed.
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { readFileSync, appendFileSync, existsSync, mkdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import {
-    DAESystem, QueryEngine, Episode, Neighborhood,
-    tokenize, ingestText, composeContext, extractSalient,
-    DAE_SYSTEM_PROMPT
+    DAESystem, QueryEngine,
+    ingestText, composeContext, applyMemoryMarkup, stripMemoryMarkup, consolidateEpisodes, sameTokenizer, createChunker,
+    createParams, createEmitter, DAE_SYSTEM_PROMPT
 } from './dae-core.mjs';
+import {
+    stateFileName, writeStateFile, writeFileAtomic,
+    recoverState, takeSnapshot,
+} from './dae-state.mjs';
+import { openJournal } from './dae-journal.mjs';
+import { openLedger, interactionKeys, DEFAULT_LEDGER_KEEP } from './dae-ledger.mjs';
+import { POLL_PAGE_SIZE, fetchSinceCursor, postInteraction, notificationInteraction } from './dae-poll.mjs';
+import { fetchJSON, RETRYABLE_STATUSES } from './dae-http.mjs';
+import { createPolicy, decideReply, recordDecision } from './dae-policy.mjs';
+import { startDashboard } from './dae-dashboard.mjs';
+import { memoryConfig, validateMemoryConfig, contextOptions } from './dae-config.mjs';
+import { loadPlugins } from './dae-plugins.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -32,6 +44,7 @@ const ARGS = {
         const i = process.argv.indexOf('--seed-pages');
         return i !== -1 && process.argv[i + 1] ? parseInt(process.argv[i + 1]) : 5;
     })(),
+    forceFresh:   process.argv.includes('--force-fresh'),
 };
 
 // ============================================================
@@ -42,21 +55,52 @@ const CONFIG = {
     // Moltbook
     moltbookApiUrl:   process.env.MOLTBOOK_API_URL || 'https://www.moltbook.com/api/v1',
     moltbookApiKey:   process.env.MOLTBOOK_API_KEY,           // required
-    agentName:        process.env.DAE_AGENT_NAME || 'dae-agent',
 
     // LLM backend (pick one)
     llmProvider:      process.env.LLM_PROVIDER || 'claude',   // claude | openai | grok | gemini
     llmApiKey:        process.env.LLM_API_KEY,                // required
     llmModel:         process.env.LLM_MODEL,                  // optional override
+    llmApiUrl:        process.env.LLM_API_URL,                // optional endpoint override (proxies, mocks)
 
     // Behavior
     pollIntervalMs:   parseInt(process.env.POLL_INTERVAL_MS || '30000'),
+    pollMaxPages:     parseInt(process.env.DAE_POLL_MAX_PAGES || '5'),       // pages read to catch up to the cursor
+    firstRunReplies:  parseInt(process.env.DAE_FIRST_RUN_REPLIES || '0'),    // newest items answered with no cursor yet
+    ledgerKeep:       parseInt(process.env.DAE_LEDGER_KEEP || String(DEFAULT_LEDGER_KEEP)),
+
+    // HTTP retries (see dae-http.mjs) and the dead-letter queue of failed interactions
+    httpTimeoutMs:    parseInt(process.env.DAE_HTTP_TIMEOUT_MS || '15000'),   // per Moltbook attempt
+    httpRetries:      parseInt(process.env.DAE_HTTP_RETRIES || '3'),
+    llmTimeoutMs:     parseInt(process.env.DAE_LLM_TIMEOUT_MS || '90000'),    // per LLM attempt
+    llmRetries:       parseInt(process.env.DAE_LLM_RETRIES || '2'),
+    retryMaxWaitMs:   parseInt(process.env.DAE_RETRY_MAX_WAIT_MS || '60000'), // longest Retry-After honoured
+    deadLetterAttempts: parseInt(process.env.DAE_DEAD_LETTER_ATTEMPTS || '5'), // then give up
     heartbeatEvery:   parseInt(process.env.HEARTBEAT_EVERY || '50'),   // every N polls
-    episodeThreshold: parseInt(process.env.EPISODE_THRESHOLD || '5'),  // exchanges before episode
+    metricsEvery:     parseInt(process.env.METRICS_EVERY || '50'),     // every N polls, 0 = off
     conversationWindow: parseInt(process.env.CONVERSATION_WINDOW || '5'),
-    stateDir:         process.env.DAE_STATE_DIR || join(__dirname, '.dae-state'),
     submolt:          process.env.MOLTBOOK_SUBMOLT || 'general',
     maxResponseLen:   parseInt(process.env.MAX_RESPONSE_LEN || '2000'),
+    consolidateEveryHours: parseFloat(process.env.CONSOLIDATE_EVERY_HOURS || '0'),  // 0 = never
+    dashboardPort:    parseInt(process.env.DAE_DASHBOARD_PORT || '0'),  // 0 = no dashboard
+    dashboardHost:    process.env.DAE_DASHBOARD_HOST || '127.0.0.1',
+    plugins:          (process.env.DAE_PLUGINS || '').split(',').map(s => s.trim()).filter(Boolean),
+
+    // Reply policy (see dae-policy.mjs) — only the rules set here apply
+    replyPolicy: Object.fromEntries(Object.entries({
+        mentionsOnly:        process.env.DAE_POLICY_MENTIONS_ONLY ? process.env.DAE_POLICY_MENTIONS_ONLY !== '0' : undefined,
+        allowAuthors:        process.env.DAE_POLICY_ALLOW_AUTHORS?.split(','),
+        denyAuthors:         process.env.DAE_POLICY_DENY_AUTHORS?.split(','),
+        minLength:           process.env.DAE_POLICY_MIN_LENGTH,
+        quietHours:          process.env.DAE_POLICY_QUIET_HOURS,                // 23:00-07:00, local time
+        maxPerThread:        process.env.DAE_POLICY_MAX_PER_THREAD,
+        maxPerAuthorPerHour: process.env.DAE_POLICY_MAX_PER_AUTHOR_HOUR,
+        minActivated:        process.env.DAE_POLICY_MIN_ACTIVATED,
+        minRecalled:         process.env.DAE_POLICY_MIN_RECALLED,
+    }).filter(([, v]) => v !== undefined && v !== '').map(([k, v]) => [k, typeof v === 'string' && k !== 'quietHours' ? Number(v) : v])),
+
+    // Agent name, state, tokenizer, chunking, context and engine parameters,
+    // read the same way as the memory service (dae-config.mjs)
+    ...memoryConfig(),
 };
 
 // Default models per provider
@@ -85,6 +129,27 @@ function validateConfig() {
         console.error('Copy .env.example to .env and fill in your keys.');
         process.exit(1);
     }
+    try {
+        validateMemoryConfig(CONFIG);
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+    if (!(CONFIG.pollMaxPages >= 1) || !(CONFIG.firstRunReplies >= 0) || !(CONFIG.ledgerKeep >= 1)) {
+        console.error('DAE_POLL_MAX_PAGES and DAE_LEDGER_KEEP must be at least 1, DAE_FIRST_RUN_REPLIES at least 0');
+        process.exit(1);
+    }
+    const retry = ['httpTimeoutMs', 'httpRetries', 'llmTimeoutMs', 'llmRetries', 'retryMaxWaitMs', 'deadLetterAttempts'];
+    if (retry.some(k => !(CONFIG[k] >= 0)) || CONFIG.httpTimeoutMs === 0 || CONFIG.llmTimeoutMs === 0 || CONFIG.deadLetterAttempts === 0) {
+        console.error('DAE_HTTP_*, DAE_LLM_TIMEOUT_MS/RETRIES, DAE_RETRY_MAX_WAIT_MS and DAE_DEAD_LETTER_ATTEMPTS must be numbers; timeouts and attempts above 0');
+        process.exit(1);
+    }
+    try {
+        createPolicy(CONFIG.replyPolicy);
+    } catch (e) {
+        console.error(`Invalid reply policy: ${e.message}`);
+        process.exit(1);
+    }
     if (!CONFIG.llmModel) {
         CONFIG.llmModel = DEFAULT_MODELS[CONFIG.llmProvider] || DEFAULT_MODELS.claude;
     }
@@ -101,41 +166,193 @@ function validateConfig() {
 // STATE PERSISTENCE
 // ============================================================
 
-function stateFile() { return join(CONFIG.stateDir, 'dae-state.json'); }
+function stateFile(format = CONFIG.stateFormat) { return join(CONFIG.stateDir, stateFileName(format)); }
 function metaFile()  { return join(CONFIG.stateDir, 'meta.json'); }
+function metricsFile() { return join(CONFIG.stateDir, 'metrics.jsonl'); }
 
-function saveState(system, conversationHistory, conversationBuffer, meta) {
+// One JSON line of manifold diagnostics per call
+function writeMetrics(system, meta) {
     if (!existsSync(CONFIG.stateDir)) mkdirSync(CONFIG.stateDir, { recursive: true });
-    const state = {
-        version: '0.7.2',
+    const diagnostics = system.diagnostics({ topWords: 10 });
+    appendFileSync(metricsFile(), JSON.stringify({
         timestamp: new Date().toISOString(),
-        system: system.toJSON(),
-        conversationHistory,
-        conversationBuffer,
-    };
-    writeFileSync(stateFile(), JSON.stringify(state));
-    writeFileSync(metaFile(), JSON.stringify(meta));
+        pollCount: meta.pollCount,
+        totalExchanges: meta.totalExchanges || 0,
+        ...diagnostics,
+    }) + '\n');
+    return diagnostics;
+}
+
+function saveState(system, conversationHistory, conversationBuffer, meta) {
+    if (!existsSync(CONFIG.stateDir)) mkdirSync(CONFIG.stateDir, { recursive: true });
+    writeStateFile(stateFile(), { system, conversationHistory, conversationBuffer }, CONFIG.stateFormat);
+    writeFileAtomic(metaFile(), JSON.stringify(meta));
 }
 
+// Append-only record of every memory change (see dae-journal.mjs)
+let journal = null;
+
+function journalRecord(type, fields) {
+    if (!journal) return;
+    try {
+        journal.append(type, fields);
+    } catch (e) {
+        console.error(`  [Journal] write failed: ${e.message}`);
+    }
+}
+
+// Start the journal, or mark a discontinuity when memory did not come from it
+function startJournal(system, saved) {
+    if (!CONFIG.journal) return;
+    journal = openJournal(CONFIG.stateDir);
+    if (!saved) {
+        journalRecord('init', {
+            tokenizer: system.tokenizer.toJSON(),
+            chunker: system.chunker.toJSON(),
+            params: system.params,
+            agentName: system.agentName,
+        });
+    } else if (journal.empty || saved.recovered) {
+        journal.recordBase(saved.path, { reason: saved.recovered ? 'recovered' : 'existing state' });
+    }
+}
+
+// Copy the last saved state into .dae-state/snapshots before a risky operation
+function snapshot(reason, meta = null) {
+    const s = takeSnapshot(CONFIG.stateDir, { reason, keep: CONFIG.snapshotKeep });
+    if (s) {
+        console.log(`  [Snapshot] ${s.name}`);
+        if (meta) meta.lastSnapshot = s.timestamp;
+    }
+    return s;
+}
+
+function snapshotIfDue(meta) {
+    if (CONFIG.snapshotEveryHours <= 0) return null;
+    const last = meta.lastSnapshot ? Date.parse(meta.lastSnapshot) : 0;
+    if (Date.now() - last < CONFIG.snapshotEveryHours * 3600000) return null;
+    return snapshot('scheduled', meta);
+}
+
+function loadMeta() {
+    if (!existsSync(metaFile())) return {};
+    try {
+        return JSON.parse(readFileSync(metaFile(), 'utf-8'));
+    } catch (e) {
+        console.error(`Meta file unreadable, resetting poll bookkeeping: ${e.message}`);
+        return {};
+    }
+}
+
+// Loads the newest state that verifies, falling back to .bak copies and
+// snapshots. Never silently starts fresh over files that exist but fail.
 function loadState() {
-    if (!existsSync(stateFile())) return null;
+    const { path, data, failures, quarantined, refused } = recoverState(
+        CONFIG.stateDir, CONFIG.stateFormat, { forceFresh: ARGS.forceFresh });
+    failures.forEach(f => console.error(`State file ${f.path} failed to load: ${f.error}`));
+    if (refused) {
+        console.error('Refusing to start fresh over unreadable state (no backup or snapshot loaded either).');
+        console.error('Restore a file by hand, or run with --force-fresh to start with empty memory.');
+        process.exit(1);
+    }
+    // Damaged main files are moved aside so the next save cannot rotate them into .bak
+    quarantined.forEach(q => console.error(`  Moved to ${q.to}`));
+
+    if (!data) {
+        if (failures.length > 0) console.error('--force-fresh: starting with empty memory.');
+        return null;
+    }
+
+    if (failures.length > 0) console.log(`Recovered state from ${path}`);
+    else if (path !== stateFile()) console.log(`Loading ${data.format} state; will save as ${CONFIG.stateFormat}.`);
+    if (data.checksum === 'missing') console.log('  (state has no checksum yet — it will from the next save)');
+    return {
+        path,
+        recovered: failures.length > 0,
+        system: data.system,
+        conversationHistory: data.conversationHistory,
+        conversationBuffer: data.conversationBuffer,
+        meta: loadMeta(),
+    };
+}
+
+// ============================================================
+// EVENTS AND PLUGINS
+// ============================================================
+/*
+ * Agent events (subscribe with api.on in a plugin, alongside api.system.on
+ * and api.queryEngine.on — see EVENTS in dae-core.mjs):
+ *   start               { mode: 'seed' | 'agent' } — state loaded, plugins ready
+ *   poll                { pollCount, interactions, retries } — a poll found new
+ *                       interactions or dead letters due for a retry
+ *   interaction         { interaction, skip(reason) } — before processing; any
+ *                       handler may call skip() (synchronously) to leave it
+ *                       unanswered
+ *   interactionSkipped  { interaction, reason } — own post, empty, backlog
+ *                       (first run), skip(), or the reply policy
+ *   reply               { interaction, reply, cleaned, metrics, markup } — LLM
+ *                       replied and memory took it in, before posting
+ *   replyPosted         { interaction, postId, content } — reply is on Moltbook
+ *   interactionFailed   { interaction, error, attempts, retryAt } — dead-lettered;
+ *                       retryAt is null when the agent gives up
+ *   saved               { pollCount } — state written to disk
+ *
+ * DAE_PLUGINS lists modules (paths relative to the working directory) whose
+ * default export — or named export setup — is called once with
+ * { on, system, queryEngine, config, log }. config has no API keys.
+ */
+
+const AGENT_EVENTS = ['start', 'poll', 'interaction', 'interactionSkipped', 'reply', 'replyPosted',
+    'interactionFailed', 'saved', 'error'];
+const events = createEmitter(AGENT_EVENTS);
+
+// One plugin that fails to load stops the agent (loading is in dae-plugins.mjs)
+async function startPlugins(system, queryEngine) {
+    const { moltbookApiKey, llmApiKey, ...config } = CONFIG;
     try {
-        const raw = readFileSync(stateFile(), 'utf-8');
-        const data = JSON.parse(raw);
-        const system = DAESystem.fromJSON(data.system);
-        const meta = existsSync(metaFile()) ? JSON.parse(readFileSync(metaFile(), 'utf-8')) : {};
-        return {
+        const loaded = await loadPlugins(CONFIG.plugins, (spec) => ({
+            on: events.on,
             system,
-            conversationHistory: data.conversationHistory || [],
-            conversationBuffer: data.conversationBuffer || [],
-            meta,
-        };
+            queryEngine,
+            config: structuredClone(config),
+            log: (msg) => console.log(`  [${spec}] ${msg}`),
+        }));
+        loaded.forEach(spec => console.log(`Plugin loaded: ${spec}`));
     } catch (e) {
-        console.error('State load failed, starting fresh:', e.message);
-        return null;
+        console.error(e.message);
+        process.exit(1);
     }
 }
 
+// ============================================================
+// HTTP — Retry policy per endpoint (see dae-http.mjs)
+// ============================================================
+
+const HTTP_POLICIES = {
+    // Listings: safe to repeat
+    moltbookRead: {
+        retries: CONFIG.httpRetries, timeoutMs: CONFIG.httpTimeoutMs, baseDelayMs: 500, maxDelayMs: 8000,
+        retryOn: RETRYABLE_STATUSES, retryNetwork: true, maxWaitMs: CONFIG.retryMaxWaitMs,
+    },
+    // Comments: a repeat could post twice, so only retry what the server refused outright
+    moltbookWrite: {
+        retries: CONFIG.httpRetries, timeoutMs: CONFIG.httpTimeoutMs, baseDelayMs: 1000, maxDelayMs: 8000,
+        retryOn: [429, 503], retryNetwork: false, maxWaitMs: CONFIG.retryMaxWaitMs,
+    },
+    // 529: Anthropic's "overloaded"
+    llm: {
+        retries: CONFIG.llmRetries, timeoutMs: CONFIG.llmTimeoutMs, baseDelayMs: 2000, maxDelayMs: 30000,
+        retryOn: [...RETRYABLE_STATUSES, 529], retryNetwork: true, maxWaitMs: CONFIG.retryMaxWaitMs,
+    },
+};
+
+// Dead letters wait a poll interval, doubling per attempt, up to this
+const DEAD_LETTER_MAX_DELAY_MS = 6 * 3600000;
+
+function logRetry({ attempt, delayMs, error }) {
+    console.log(`  [Retry ${attempt}] ${error.message.slice(0, 100)} — waiting ${(delayMs / 1000).toFixed(1)}s`);
+}
+
 // ============================================================
 // LLM ADAPTERS — API key passed via header, never in URL or logs
 // ============================================================
@@ -199,23 +416,18 @@ async function callLLM(messages, systemPrompt) {
     const adapter = LLM[CONFIG.llmProvider];
     if (!adapter) throw new Error(`Unknown LLM provider: ${CONFIG.llmProvider}`);
 
-    const endpoint = typeof adapter.endpoint === 'function' ? adapter.endpoint() : adapter.endpoint;
-    const res = await fetch(endpoint, {
+    const endpoint = CONFIG.llmApiUrl || (typeof adapter.endpoint === 'function' ? adapter.endpoint() : adapter.endpoint);
+    const data = await fetchJSON(endpoint, {
         method: 'POST',
         headers: adapter.headers(),
         body: JSON.stringify(adapter.body(messages, systemPrompt)),
-    });
-
-    if (!res.ok) {
-        const text = await res.text().catch(() => '');
+    }, HTTP_POLICIES.llm, {
+        label: 'LLM API',
         // Strip any API keys that might appear in error responses
-        const safeText = text.replace(new RegExp(CONFIG.llmApiKey, 'g'), '[REDACTED]')
-                             .replace(new RegExp(CONFIG.moltbookApiKey, 'g'), '[REDACTED]');
-        throw new Error(`LLM API ${res.status}: ${safeText.slice(0, 200)}`);
-    }
-
-    const data = await res.json();
-    return adapter.parse(data);
+        redact: [CONFIG.llmApiKey, CONFIG.moltbookApiKey],
+        onRetry: logRetry,
+    });
+    return adapter.parse(data || {});
 }
 
 // ============================================================
@@ -224,46 +436,48 @@ async function callLLM(messages, systemPrompt) {
 
 async function moltbookFetch(path, options = {}) {
     const url = `${CONFIG.moltbookApiUrl}${path}`;
-    const res = await fetch(url, {
+    const write = (options.method || 'GET') !== 'GET';
+    const data = await fetchJSON(url, {
         ...options,
         headers: {
             'Content-Type': 'application/json',
             'Authorization': `Bearer ${CONFIG.moltbookApiKey}`,
             ...(options.headers || {}),
         },
+    }, write ? HTTP_POLICIES.moltbookWrite : HTTP_POLICIES.moltbookRead, {
+        label: `Moltbook API ${path}`,
+        redact: [CONFIG.moltbookApiKey],
+        onRetry: logRetry,
     });
+    return data ?? {};
+}
 
-    if (!res.ok) {
-        const text = await res.text().catch(() => '');
-        const safeText = text.replace(new RegExp(CONFIG.moltbookApiKey, 'g'), '[REDACTED]');
-        throw new Error(`Moltbook API ${res.status} ${path}: ${safeText.slice(0, 200)}`);
-    }
-
-    return res.json();
+// One page of a Moltbook listing, for fetchSinceCursor
+function listingPage(path, listKey) {
+    return async (page) => {
+        const data = await moltbookFetch(`${path}&page=${page}`);
+        return data[listKey] || data || [];
+    };
 }
 
-async function getNewPosts(since) {
+async function getNewPosts(cursor) {
     try {
-        // Get posts mentioning the agent or in the configured submolt
-        const data = await moltbookFetch(`/posts?submolt=${CONFIG.submolt}&sort=new&limit=20`);
-        const posts = data.posts || data || [];
-        if (!since) return posts.slice(0, 5); // First run: process last 5
-        return posts.filter(p => new Date(p.created_at || p.createdAt) > new Date(since));
+        // Get posts in the configured submolt
+        const page = listingPage(`/posts?submolt=${CONFIG.submolt}&sort=new&limit=${POLL_PAGE_SIZE}`, 'posts');
+        return await fetchSinceCursor(page, cursor, { maxPages: CONFIG.pollMaxPages });
     } catch (e) {
         console.error('Poll failed:', e.message);
-        return [];
+        return { items: [], cursor, complete: true };
     }
 }
 
-async function getNewReplies(since) {
+async function getNewReplies(cursor) {
     try {
-        const data = await moltbookFetch(`/agents/${CONFIG.agentName}/notifications?limit=20`);
-        const notifs = data.notifications || data || [];
-        if (!since) return notifs.slice(0, 5);
-        return notifs.filter(n => new Date(n.created_at || n.createdAt) > new Date(since));
+        const page = listingPage(`/agents/${CONFIG.agentName}/notifications?limit=${POLL_PAGE_SIZE}`, 'notifications');
+        return await fetchSinceCursor(page, cursor, { maxPages: CONFIG.pollMaxPages });
     } catch (e) {
         // Notifications endpoint may not exist on all Moltbook versions
-        return [];
+        return { items: [], cursor, complete: true };
     }
 }
 
@@ -321,7 +535,7 @@ async function seedMode(system) {
     
     for (const submolt of submolts) {
         console.log(`── ${submolt} ──`);
-        const episode = new Episode(`Seed: ${submolt}`);
+        const episode = system.createEpisode(`Seed: ${submolt}`);
         let postCount = 0;
         
         for (let page = 1; page <= pages; page++) {
@@ -335,15 +549,15 @@ async function seedMode(system) {
                 const title = post.title || '';
                 const body = post.content || post.body || '';
                 const author = post.author?.name || post.agent_name || 'unknown';
-                const text = `${title} ${body}`.trim();
+                const text = `${title}\n\n${body}`.trim();
                 
                 if (!text || text.length < 10) continue;
                 
-                // Ingest the post as a neighborhood in this episode
-                const tokens = tokenize(text);
-                if (tokens.length > 0) {
-                    const neighborhood = Neighborhood.fromTokens(tokens, null, text);
-                    episode.addNeighborhood(neighborhood);
+                // Ingest the post as one or more neighborhoods in this episode
+                const neighborhoods = system.neighborhoodsFromText(text);
+                if (neighborhoods.length > 0) {
+                    neighborhoods.forEach(n => episode.addNeighborhood(n));
+                    journalRecord('ingest', { episodeId: episode.id, source: 'post', sourceId: post.id || post._id, text });
                     postCount++;
                 }
                 
@@ -354,10 +568,10 @@ async function seedMode(system) {
                     for (const comment of comments) {
                         const cText = comment.content || comment.body || '';
                         if (cText.length < 10) continue;
-                        const cTokens = tokenize(cText);
-                        if (cTokens.length > 0) {
-                            const cNeighborhood = Neighborhood.fromTokens(cTokens, null, cText);
-                            episode.addNeighborhood(cNeighborhood);
+                        const cNeighborhoods = system.neighborhoodsFromText(cText);
+                        if (cNeighborhoods.length > 0) {
+                            cNeighborhoods.forEach(n => episode.addNeighborhood(n));
+                            journalRecord('ingest', { episodeId: episode.id, source: 'comment', sourceId: comment.id || comment._id, text: cText });
                             postCount++;
                         }
                     }
@@ -369,6 +583,7 @@ async function seedMode(system) {
         
         if (episode.neighborhoods.length > 0) {
             system.addEpisode(episode);
+            journalRecord('episode', { episodeId: episode.id, name: episode.name, source: 'seed' });
             totalIngested += episode.count;
             console.log(`  → Episode "${episode.name}": ${episode.neighborhoods.length} neighborhoods, ${episode.count} occurrences`);
         } else {
@@ -386,11 +601,18 @@ async function seedMode(system) {
 // ============================================================
 
 function processExchange(system, queryEngine, query, conversationHistory) {
+    // 0. Conscious memories the LLM marked with an expiry
+    const expired = system.expireConscious();
+    if (expired.length > 0) console.log(`  [Memory] ${expired.length} conscious memor${expired.length === 1 ? 'y' : 'ies'} expired`);
+
     // 1. Query activation
     const { activation, interference, surface } = queryEngine.processQuery(query);
 
     // 2. Compose memory context
-    const { context, metrics } = composeContext(system, surface, activation, interference);
+    const { context, metrics } = composeContext(system, surface, activation, interference, {
+        ...contextOptions(CONFIG),
+        params: queryEngine.params,
+    });
     const systemPrompt = DAE_SYSTEM_PROMPT(context);
 
     // 3. Build conversation window
@@ -400,31 +622,44 @@ function processExchange(system, queryEngine, query, conversationHistory) {
 }
 
 function processResponse(system, queryEngine, reply) {
-    // 1. Extract salient tags
-    const salientCount = extractSalient(system, reply);
-
-    // 2. Response activation — the LLM's words query existing memories
-    const responseActivation = queryEngine.activate(reply);
+    // 1. Apply memory markup: <salient> (repeats reinforce existing entries),
+    //    <revise> and <forget>
+    const markup = applyMemoryMarkup(system, reply, { dedupe: CONFIG.salientDedupe });
+    markup.skipped.forEach(s => console.log(`  [Memory] ${s.type} skipped (${s.reason}): ${s.text.slice(0, 60)}`));
 
-    // 3. Response drift (weight-filtered for performance)
-    const totalNbhd = system.episodes.reduce((s, ep) => s + ep.neighborhoods.length, 0)
-        + system.consciousEpisode.neighborhoods.length;
-    const responseWeightFloor = 1 / Math.max(1, Math.floor(totalNbhd * 0.1));
+    // 2. Response activation, weight-filtered drift and Kuramoto coupling
+    const responseActivation = queryEngine.processResponse(reply);
 
-    const driftSub = responseActivation.subconscious.filter(occ =>
-        system.getWordWeight(occ.word) >= responseWeightFloor
-    );
-    const driftCon = responseActivation.conscious.filter(occ =>
-        system.getWordWeight(occ.word) >= responseWeightFloor
-    );
-
-    queryEngine.driftAndConsolidate(driftSub);
-    queryEngine.driftAndConsolidate(driftCon);
+    return { markup, responseActivation };
+}
 
-    // 4. Response interference (Kuramoto coupling)
-    queryEngine.computeInterference(responseActivation.subconscious, responseActivation.conscious);
+// Merge related episodes once CONSOLIDATE_EVERY_HOURS has passed
+function consolidateIfDue(system, meta) {
+    if (CONFIG.consolidateEveryHours <= 0) return null;
+    const last = meta.lastConsolidation ? Date.parse(meta.lastConsolidation) : 0;
+    if (Date.now() - last < CONFIG.consolidateEveryHours * 3600000) return null;
+    snapshot('consolidate', meta);
+    const report = consolidateEpisodes(system);
+    meta.lastConsolidation = new Date().toISOString();
+    journalRecord('consolidate', { options: {}, groups: report.groups.map(g => g.name) });
+    if (report.groups.length > 0) {
+        console.log(`  [Sleep] Episodes ${report.before} → ${report.after}: ` +
+            report.groups.map(g => `${g.name} (${g.members.length})`).join('; '));
+    }
+    return report;
+}
 
-    return { salientCount, responseActivation };
+// Forget cold neighborhoods once N exceeds DAE_OCCURRENCE_BUDGET
+function enforceMemoryBudget(system) {
+    if (!system.occurrenceBudget || system.N <= system.occurrenceBudget) return null;
+    snapshot('prune');
+    const report = system.enforceBudget();
+    if (!report) return null;
+    journalRecord('forget', { budget: report.budget, before: report.before, after: report.after });
+    console.log(`  [Forget] N ${report.before} → ${report.after} (budget ${report.budget}): ` +
+        `${report.compressed.length} compressed, ${report.evicted.length} evicted, ` +
+        `${report.episodesRemoved.length} episode(s) removed`);
+    return report;
 }
 
 // ============================================================
@@ -439,29 +674,48 @@ async function main() {
 
     // Load or initialize state
     const saved = loadState();
-    let system, queryEngine, conversationHistory, conversationBuffer, meta;
+    let system, queryEngine, conversationHistory, conversationBuffer, meta, paramsChanged = false;
 
     if (saved) {
         system = saved.system;
+        system.occurrenceBudget = CONFIG.occurrenceBudget || null;
+        system.chunker = createChunker(CONFIG.chunker);
+        const savedParams = system.params;
+        system.params = createParams({ ...savedParams, ...CONFIG.engineParams });
+        paramsChanged = JSON.stringify(savedParams) !== JSON.stringify(system.params);
+        if (!sameTokenizer(system.tokenizer, CONFIG.tokenizer)) {
+            console.log(`  Keeping saved tokenizer ${JSON.stringify(system.tokenizer.toJSON())} (env settings apply to fresh state only)`);
+        }
         queryEngine = new QueryEngine(system);
         conversationHistory = saved.conversationHistory;
         conversationBuffer = saved.conversationBuffer;
         meta = saved.meta;
         console.log(`State loaded: N=${system.N}, Episodes=${system.episodes.length}, Conscious=${system.consciousEpisode.count}`);
     } else {
-        system = new DAESystem();
+        system = new DAESystem({ tokenizer: CONFIG.tokenizer, chunker: CONFIG.chunker, params: CONFIG.engineParams });
         system.agentName = CONFIG.agentName;
+        system.occurrenceBudget = CONFIG.occurrenceBudget || null;
         queryEngine = new QueryEngine(system);
         conversationHistory = [];
         conversationBuffer = [];
-        meta = { lastPollTime: null, totalExchanges: 0, pollCount: 0 };
+        meta = { lastPollTime: null, totalExchanges: 0, pollCount: 0, cursors: {} };
         console.log('Fresh start — no prior state.');
     }
 
+    startJournal(system, saved);
+    if (paramsChanged) {
+        console.log(`  Engine parameters changed by env: ${JSON.stringify(CONFIG.engineParams)}`);
+        journalRecord('params', { params: system.params });
+    }
+
+    await startPlugins(system, queryEngine);
+    events.emit('start', { mode: ARGS.seed ? 'seed' : 'agent' });
+
     // ── SEED MODE ──
     if (ARGS.seed) {
         const { totalPosts, totalIngested } = await seedMode(system);
-        
+        enforceMemoryBudget(system);
+
         saveState(system, conversationHistory, conversationBuffer, meta);
         
         console.log(`\nSeed complete.`);
@@ -476,110 +730,282 @@ async function main() {
 
     // ── AGENT MODE ──
     let pollCount = meta.pollCount || 0;
+    const ledger = openLedger(CONFIG.stateDir, { keep: CONFIG.ledgerKeep });
+    console.log(`Ledger: ${ledger.size} handled item(s)`);
+    const policy = createPolicy(CONFIG.replyPolicy);
+    if (Object.keys(CONFIG.replyPolicy).length > 0) console.log(`Reply policy: ${JSON.stringify(CONFIG.replyPolicy)}`);
+
+    // Read-only dashboard over the live system, newest exchanges first
+    const recentExchanges = [];
+    if (CONFIG.dashboardPort > 0) {
+        try {
+            const { url } = await startDashboard({
+                system: () => system,
+                exchanges: () => recentExchanges,
+                context: contextOptions(CONFIG),
+            }, { port: CONFIG.dashboardPort, host: CONFIG.dashboardHost });
+            console.log(`Dashboard: ${url}`);
+        } catch (e) {
+            console.error(`Dashboard not started: ${e.message}`);
+        }
+    }
 
-    // Strip salient tags from display text (not needed in Moltbook posts)
+    // Strip memory markup from display text (not needed in Moltbook posts)
     function cleanReply(text) {
-        return text.replace(/<\/?salient>/g, '').trim();
+        return stripMemoryMarkup(text);
+    }
+
+    function skipInteraction(interaction, reason) {
+        ledger.record(interaction, 'skipped', { reason });
+        events.emit('interactionSkipped', { interaction, reason });
+    }
+
+    // Should the agent answer? Rate caps count the ledger's posted replies.
+    // Activation and recall are peeked, so a declined post leaves memory as it was.
+    function decide(interaction) {
+        const hourAgo = Date.now() - 3600000;
+        const history = { threadReplies: 0, authorRepliesLastHour: 0 };
+        for (const e of ledger.entries()) {
+            if (e.outcome !== 'replied') continue;
+            if (interaction.postId && e.postId === interaction.postId) history.threadReplies++;
+            if (String(e.author).toLowerCase() === String(interaction.author).toLowerCase()
+                && Date.parse(e.time) >= hourAgo) history.authorRepliesLastHour++;
+        }
+        const decision = decideReply(policy, {
+            interaction, agentName: CONFIG.agentName, now: new Date(), history,
+            recall: () => {
+                const { activation, metrics } = queryEngine.peek(interaction.query, { context: contextOptions(CONFIG) });
+                return { activated: activation.subconscious.length + activation.conscious.length, recalled: metrics.recalled.length };
+            },
+        });
+        recordDecision(CONFIG.stateDir, interaction, decision);
+        return decision;
+    }
+
+    // Answer an interaction: recall, LLM, memory update, post
+    async function answer(interaction) {
+        console.log(`  Processing ${interaction.type} from ${interaction.author}: "${interaction.query.slice(0, 80)}..."`);
+
+        // DAE query processing — once: a dead letter that got this far keeps
+        // its prompt, and its retry only calls the LLM again
+        let prompt = interaction.prompt;
+        if (!prompt) {
+            const { systemPrompt, win, metrics } = processExchange(
+                system, queryEngine, interaction.query, conversationHistory
+            );
+            journalRecord('query', {
+                interactionId: interaction.id, author: interaction.author,
+                query: interaction.query, recalled: metrics.recalled,
+            });
+
+            // Add this query to conversation window
+            prompt = { systemPrompt, messages: [...win, { role: 'user', content: interaction.query }], metrics };
+        }
+        const { systemPrompt, messages, metrics } = prompt;
+
+        // Call LLM
+        let reply;
+        try {
+            reply = await callLLM(messages, systemPrompt);
+        } catch (e) {
+            throw Object.assign(e, { prompt });
+        }
+
+        // DAE response processing
+        const { markup } = processResponse(system, queryEngine, reply);
+        journalRecord('reply', { interactionId: interaction.id, reply });
+        journalRecord('salient', {
+            interactionId: interaction.id, salient: markup.salient, repeats: markup.repeats,
+            revised: markup.revised, forgotten: markup.forgotten,
+        });
+
+        // Update conversation state
+        conversationHistory.push(
+            { role: 'user', content: interaction.query },
+            { role: 'assistant', content: reply }
+        );
+
+        conversationBuffer.push([interaction.query, reply]);
+
+        // Episode creation at threshold
+        if (conversationBuffer.length >= CONFIG.episodeThreshold) {
+            const ep = system.createEpisode(`Moltbook ${system.episodes.length + 1}`);
+            conversationBuffer.forEach(([userMsg, asstMsg]) => {
+                const combined = userMsg + '\n\n' + asstMsg;
+                system.neighborhoodsFromText(combined).forEach(n => ep.addNeighborhood(n));
+                journalRecord('ingest', { episodeId: ep.id, source: 'exchange', text: combined });
+            });
+            system.addEpisode(ep);
+            journalRecord('episode', { episodeId: ep.id, name: ep.name, source: 'conversation' });
+            conversationBuffer = [];
+            console.log(`  >>> New episode: ${ep.name} (N=${system.N})`);
+            enforceMemoryBudget(system);
+        }
+
+        // Post response to Moltbook
+        const cleaned = cleanReply(reply);
+        events.emit('reply', { interaction, reply, cleaned, metrics, markup });
+        await deliver(interaction, cleaned);
+
+        const trimmed = metrics.trimmed.length + metrics.dropped.length;
+        const summary = `con:${metrics.conscious} sub:${metrics.subconscious} novel:${metrics.novel}` +
+            (trimmed > 0 ? ` budget:${metrics.trimmed.length} trimmed/${metrics.dropped.length} dropped` : '');
+        const memory = (markup.salient > 0
+            ? ` +${markup.salient} salient` + (markup.repeats > 0 ? ` (${markup.repeats} repeat)` : '')
+            : '') +
+            (markup.revised > 0 ? ` ~${markup.revised} revised` : '') +
+            (markup.forgotten > 0 ? ` -${markup.forgotten} forgotten` : '');
+        console.log(`  Responded [${summary}${memory}]`);
+
+        recentExchanges.unshift({
+            time: new Date().toISOString(), author: interaction.author,
+            query: interaction.query, reply: cleaned, recalled: metrics.recalled,
+            markup: { salient: markup.salient, repeats: markup.repeats, revised: markup.revised, forgotten: markup.forgotten },
+        });
+        recentExchanges.length = Math.min(recentExchanges.length, 50);
+    }
+
+    // Post a written reply; if that fails the reply is kept for the retry.
+    // A timeout or network error (no status) leaves it unknown whether the
+    // comment went up, so that one is never retried on its own.
+    async function deliver(interaction, cleaned) {
+        if (interaction.postId) {
+            let posted;
+            try {
+                posted = await postReply(interaction.postId, cleaned);
+            } catch (e) {
+                throw Object.assign(e, { reply: cleaned, mayHavePosted: e.status === null });
+            }
+            ledger.record(interaction, 'replied', { replyId: posted?.comment?.id || posted?.id || null });
+            events.emit('replyPosted', { interaction, postId: interaction.postId, content: cleaned });
+        } else {
+            ledger.record(interaction, 'replied', { replyId: null, reason: 'no post to comment on' });
+        }
+        meta.totalExchanges = (meta.totalExchanges || 0) + 1;
+    }
+
+    // Into the dead-letter queue: retried on later polls, backing off by
+    // poll intervals, until DAE_DEAD_LETTER_ATTEMPTS attempts have failed.
+    // A comment that may already be up is left for a person to check.
+    function failInteraction(interaction, error) {
+        const attempts = (ledger.find(interaction)?.attempts || 0) + 1;
+        const giveUp = attempts >= CONFIG.deadLetterAttempts || error.mayHavePosted;
+        const retryAt = giveUp ? null
+            : new Date(Date.now() + Math.min(CONFIG.pollIntervalMs * 2 ** (attempts - 1), DEAD_LETTER_MAX_DELAY_MS)).toISOString();
+        console.error(`  Error processing interaction: ${error.message}`);
+        if (error.mayHavePosted) console.error(`  The comment on ${interaction.postId} may have been posted — check; not retrying.`);
+        else console.error(giveUp ? `  Giving up after ${attempts} attempt(s).` : `  Dead-lettered; retry after ${retryAt}.`);
+        ledger.record(interaction, 'failed', {
+            error: error.message, status: error.status ?? null, retryAt,
+            query: interaction.query, prompt: error.prompt ?? interaction.prompt ?? null,
+            reply: error.reply ?? interaction.reply ?? null,
+            ...(error.mayHavePosted ? { note: 'may have been posted — check' } : {}),
+        });
+        events.emit('interactionFailed', { interaction, error, attempts, retryAt });
     }
 
     async function poll() {
         pollCount++;
-        const since = meta.lastPollTime;
+        // States from before the ledger only know when they last polled
+        const legacy = !meta.cursors && meta.lastPollTime ? { id: null, createdAt: meta.lastPollTime } : null;
+        const cursors = meta.cursors || { posts: legacy, notifications: legacy };
 
         try {
             // Get new posts and replies
             const [posts, replies] = await Promise.all([
-                getNewPosts(since),
-                getNewReplies(since),
+                getNewPosts(cursors.posts),
+                getNewReplies(cursors.notifications),
             ]);
+            for (const [name, got] of [['posts', posts], ['notifications', replies]]) {
+                if (!got.complete) console.log(`  [Poll] more than ${CONFIG.pollMaxPages} page(s) of new ${name}; the next poll reads on from page ${got.cursor.resume.page}`);
+            }
 
-            // Merge and deduplicate interactions
+            // Merge and deduplicate interactions: the same post can arrive as a
+            // post and as a notification, and boundary items can come back
             const interactions = [];
-            for (const post of posts) {
-                const id = post.id || post._id;
-                const text = post.content || post.body || '';
-                const title = post.title || '';
-                const author = post.author?.name || post.agent_name || 'unknown';
-                if (text && author !== CONFIG.agentName) {
-                    interactions.push({ type: 'post', id, query: `${title} ${text}`.trim(), author, postId: id });
-                }
+            const seen = new Set();
+            const backlog = { posts: 0, notifications: 0 };
+            const consider = (interaction, text, source) => {
+                const keys = interactionKeys(interaction);
+                // Failed ones are in the dead-letter queue already
+                if (keys.some(k => seen.has(k)) || ledger.find(interaction)) return;
+                keys.forEach(k => seen.add(k));
+                if (!text) return skipInteraction(interaction, 'empty');
+                if (interaction.author === CONFIG.agentName) return skipInteraction(interaction, 'own post');
+                // First run: answer only the newest few, mark the rest as seen
+                if (!cursors[source] && backlog[source]++ >= CONFIG.firstRunReplies) return skipInteraction(interaction, 'backlog');
+                interactions.push(interaction);
+            };
+            for (const post of posts.items) {
+                const interaction = postInteraction(post);
+                consider(interaction, interaction.text, 'posts');
             }
-            for (const notif of replies) {
-                const text = notif.content || notif.body || notif.comment?.content || '';
-                const postId = notif.post_id || notif.postId || notif.comment?.post_id;
-                const author = notif.author?.name || notif.agent_name || 'unknown';
-                if (text && author !== CONFIG.agentName) {
-                    interactions.push({ type: 'reply', id: notif.id, query: text, author, postId });
-                }
+            for (const notif of replies.items) {
+                const interaction = notificationInteraction(notif);
+                consider(interaction, interaction.text, 'notifications');
             }
-
-            if (interactions.length > 0) {
-                console.log(`\n[Poll ${pollCount}] ${interactions.length} new interaction(s)`);
+            const cursorsBefore = JSON.stringify(meta.cursors ?? null);
+            meta.cursors = { posts: posts.cursor, notifications: replies.cursor };
+
+            const retries = ledger.deadLetters();
+            if (interactions.length + retries.length > 0) {
+                console.log(`\n[Poll ${pollCount}] ${interactions.length} new interaction(s)` +
+                    (retries.length > 0 ? `, ${retries.length} dead-letter retry(ies)` : ''));
+                events.emit('poll', { pollCount, interactions, retries });
             }
 
-            for (const interaction of interactions) {
+            // Dead letters first: they are older
+            for (const interaction of retries) {
                 try {
-                    console.log(`  Processing ${interaction.type} from ${interaction.author}: "${interaction.query.slice(0, 80)}..."`);
-
-                    // DAE query processing
-                    const { systemPrompt, win, metrics } = processExchange(
-                        system, queryEngine, interaction.query, conversationHistory
-                    );
-
-                    // Add this query to conversation window
-                    const messages = [...win, { role: 'user', content: interaction.query }];
-
-                    // Call LLM
-                    const reply = await callLLM(messages, systemPrompt);
-
-                    // DAE response processing
-                    const { salientCount } = processResponse(system, queryEngine, reply);
-
-                    // Update conversation state
-                    conversationHistory.push(
-                        { role: 'user', content: interaction.query },
-                        { role: 'assistant', content: reply }
-                    );
-
-                    conversationBuffer.push([interaction.query, reply]);
-
-                    // Episode creation at threshold
-                    if (conversationBuffer.length >= CONFIG.episodeThreshold) {
-                        const ep = new Episode(`Moltbook ${system.episodes.length + 1}`);
-                        conversationBuffer.forEach(([userMsg, asstMsg]) => {
-                            const combined = userMsg + ' ' + asstMsg;
-                            const tokens = tokenize(combined);
-                            const neighborhood = Neighborhood.fromTokens(tokens, null, combined);
-                            ep.addNeighborhood(neighborhood);
-                        });
-                        system.addEpisode(ep);
-                        conversationBuffer = [];
-                        console.log(`  >>> New episode: ${ep.name} (N=${system.N})`);
-                    }
-
-                    // Post response to Moltbook
-                    const cleaned = cleanReply(reply);
-                    if (interaction.postId) {
-                        await postReply(interaction.postId, cleaned);
+                    console.log(`  Retrying ${interaction.type} from ${interaction.author} (attempt ${interaction.attempts + 1})`);
+                    if (interaction.reply) {
+                        await deliver(interaction, interaction.reply);
+                        console.log('  Posted the reply written earlier.');
+                    } else {
+                        await answer(interaction);
                     }
+                } catch (e) {
+                    failInteraction(interaction, e);
+                }
+            }
 
-                    meta.totalExchanges = (meta.totalExchanges || 0) + 1;
-                    const summary = `con:${metrics.conscious} sub:${metrics.subconscious} novel:${metrics.novel}`;
-                    console.log(`  Responded [${summary}${salientCount > 0 ? ` +${salientCount} salient` : ''}]`);
+            for (const interaction of interactions) {
+                let skipReason = null;
+                events.emit('interaction', { interaction, skip: (reason = 'skipped by plugin') => { skipReason = reason; } });
+                if (skipReason) {
+                    console.log(`  Skipping ${interaction.type} from ${interaction.author}: ${skipReason}`);
+                    skipInteraction(interaction, skipReason);
+                    continue;
+                }
 
+                try {
+                    const decision = decide(interaction);
+                    if (!decision.reply) {
+                        console.log(`  Policy: not answering ${interaction.type} from ${interaction.author} (${decision.reason})`);
+                        skipInteraction(interaction, `policy ${decision.rule}: ${decision.reason}`);
+                        continue;
+                    }
+                    await answer(interaction);
                 } catch (e) {
-                    console.error(`  Error processing interaction: ${e.message}`);
+                    failInteraction(interaction, e);
                 }
             }
 
-            // Update poll time
+            // When the last poll finished (informational; cursors decide what is new)
             meta.lastPollTime = new Date().toISOString();
             meta.pollCount = pollCount;
 
+            // Scheduled consolidation
+            const sleep = consolidateIfDue(system, meta);
+
             // Save state after processing
-            if (interactions.length > 0) {
+            if (interactions.length + retries.length > 0 || sleep?.groups.length > 0) {
                 saveState(system, conversationHistory, conversationBuffer, meta);
                 console.log('  State saved.');
+                events.emit('saved', { pollCount });
+                if (snapshotIfDue(meta)) writeFileAtomic(metaFile(), JSON.stringify(meta));
+            } else if (JSON.stringify(meta.cursors) !== cursorsBefore) {
+                writeFileAtomic(metaFile(), JSON.stringify(meta));
             }
 
             // Heartbeat post
@@ -591,6 +1017,12 @@ async function main() {
                 console.log(`  [Heartbeat] N=${N}, Episodes=${eps}, Conscious=${con}, Exchanges=${exchanges}`);
             }
 
+            // Diagnostics snapshot
+            if (CONFIG.metricsEvery > 0 && pollCount % CONFIG.metricsEvery === 0) {
+                const d = writeMetrics(system, meta);
+                d.warnings.forEach(w => console.log(`  [Metrics] ${w}`));
+            }
+
         } catch (e) {
             console.error(`Poll error: ${e.message}`);
         }
@@ -612,8 +1044,16 @@ async function main() {
 
     // Initial poll then interval
     await poll();
+    // A poll slowed by retries must not overlap the next one
+    let polling = false;
     const interval = setInterval(async () => {
-        if (running) await poll();
+        if (!running || polling) return;
+        polling = true;
+        try {
+            await poll();
+        } finally {
+            polling = false;
+        }
     }, CONFIG.pollIntervalMs);
 
     console.log(`\nAgent running. Polling every ${CONFIG.pollIntervalMs / 1000}s. Ctrl+C to stop.`);
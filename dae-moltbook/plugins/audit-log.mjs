@@ -0,0 +1,30 @@
+// Example DAE plugin — append-only audit log of what the agent did
+// Created by smaxforn
+//
+// Enable with DAE_PLUGINS=plugins/audit-log.mjs. Writes one JSON line per
+// event to DAE_AUDIT_LOG (default: <state dir>/audit.jsonl).
+
+import { appendFileSync } from 'fs';
+import { join } from 'path';
+
+export default function auditLog({ on, system, queryEngine, config, log }) {
+    const file = process.env.DAE_AUDIT_LOG || join(config.stateDir, 'audit.jsonl');
+    const write = (event, fields) => {
+        appendFileSync(file, JSON.stringify({ time: new Date().toISOString(), event, ...fields }) + '\n');
+    };
+    const who = (i) => ({ type: i.type, id: i.id, author: i.author });
+
+    on('interactionSkipped', ({ interaction, reason }) => write('skipped', { ...who(interaction), reason }));
+    on('replyPosted', ({ interaction, postId, content }) => write('replied', { ...who(interaction), postId, content }));
+    on('interactionFailed', ({ interaction, error }) => write('failed', { ...who(interaction), error: error.message }));
+    on('saved', ({ pollCount }) => write('saved', { pollCount, N: system.N, episodes: system.episodes.length }));
+
+    system.on('salient', ({ neighborhood, repeat }) => {
+        write(repeat ? 'salientReinforced' : 'salient', { id: neighborhood.id, text: neighborhood.text });
+    });
+    system.on('consciousRemoved', ({ neighborhood }) => write('consciousRemoved', { id: neighborhood.id }));
+    system.on('forget', ({ report }) => write('forget', { before: report.before, after: report.after, evicted: report.evicted.length }));
+    queryEngine.on('anchored', ({ occurrence, ratio }) => write('anchored', { word: occurrence.word, ratio }));
+
+    log(`auditing to ${file}`);
+}
@@ -0,0 +1,130 @@
+// Agent tests — the whole loop against mock-moltbook.mjs — node --test (npm test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { once } from 'events';
+import { mkdtempSync, rmSync, readFileSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { readLedger } from '../dae-ledger.mjs';
+
+const script = (name) => fileURLToPath(new URL(`../${name}`, import.meta.url));
+
+// Spawns a process that is stopped (and awaited) when the test ends
+function start(t, args, env = {}) {
+    const child = spawn(process.execPath, args, { env: { ...process.env, ...env }, stdio: ['ignore', 'pipe', 'pipe'] });
+    const output = { text: '' };
+    child.stdout.on('data', (chunk) => { output.text += chunk; });
+    child.stderr.on('data', (chunk) => { output.text += chunk; });
+    t.after(async () => {
+        if (child.exitCode === null && child.signalCode === null) {
+            child.kill();
+            await once(child, 'exit');
+        }
+    });
+    return { child, output };
+}
+
+async function startMock(t, ...args) {
+    const { child, output } = start(t, [script('mock-moltbook.mjs'), '--port', '0', ...args]);
+    const base = await new Promise((resolve, reject) => {
+        child.stdout.on('data', () => {
+            const m = output.text.match(/http:\/\/127\.0\.0\.1:(\d+)\//);
+            if (m) resolve(`http://127.0.0.1:${m[1]}`);
+        });
+        child.on('exit', (code) => reject(new Error(`mock-moltbook exited with ${code}: ${output.text}`)));
+    });
+    const control = async (path, body) => {
+        const res = await fetch(`${base}/_mock/${path}`, body ? { method: 'POST', body: JSON.stringify(body) } : {});
+        return res.json();
+    };
+    return { base, control };
+}
+
+function startAgent(t, base, env = {}) {
+    const stateDir = mkdtempSync(join(tmpdir(), 'dae-agent-'));
+    const agent = start(t, [script('moltbook-agent.mjs')], {
+        MOLTBOOK_API_URL: `${base}/api/v1`, LLM_API_URL: `${base}/llm`,
+        MOLTBOOK_API_KEY: 'mock', LLM_API_KEY: 'mock', LLM_PROVIDER: 'claude',
+        DAE_STATE_DIR: stateDir, POLL_INTERVAL_MS: '300', DAE_POLL_MAX_PAGES: '2', DAE_FIRST_RUN_REPLIES: '3',
+        DAE_HTTP_TIMEOUT_MS: '1000', DAE_PLUGINS: '', DAE_DASHBOARD_PORT: '0',
+        ...env,
+    });
+    // Registered after start(), so it runs first: the agent has exited by then
+    t.after(() => rmSync(stateDir, { recursive: true, force: true }));
+    return { ...agent, stateDir };
+}
+
+async function waitFor(check, what, output, ms = 20000) {
+    const deadline = Date.now() + ms;
+    for (;;) {
+        const value = await check();
+        if (value) return value;
+        if (Date.now() > deadline) assert.fail(`Timed out waiting for ${what}\n${output.text.slice(-2000)}`);
+        await new Promise(r => setTimeout(r, 100));
+    }
+}
+
+const ledgerEntry = (stateDir, key) => readLedger(stateDir).entries.find(e => e.key === key || e.aliases?.includes(key));
+const pause = (ms) => new Promise(r => setTimeout(r, ms));
+
+test('the agent answers posts and notifications once each', async (t) => {
+    const mock = await startMock(t, '--posts', '3');
+    const { stateDir, output } = startAgent(t, mock.base);
+
+    await waitFor(async () => (await mock.control('state')).comments.length === 3, 'the first-run replies', output);
+
+    // About a post already answered: the same item, not answered again.
+    // A reply that names no comment is its own item.
+    await mock.control('notifications', { type: 'new_post', post_id: 'mock-1', content: 'Mock post number 1, again' });
+    await mock.control('notifications', { type: 'reply', post_id: 'mock-1', content: 'What about drift?' });
+    await mock.control('posts', { content: 'A new post about phase locking.' });
+    await waitFor(async () => (await mock.control('state')).comments.length === 5, 'the new replies', output);
+    await pause(1000);
+
+    const { comments } = await mock.control('state');
+    assert.equal(comments.length, 5, 'nothing answered twice');
+    assert.deepEqual(comments.map(c => c.post_id).sort(), ['mock-1', 'mock-1', 'mock-2', 'mock-3', 'mock-4']);
+    assert.equal(ledgerEntry(stateDir, 'notification:notif-2').outcome, 'replied');
+    assert.equal(readLedger(stateDir).entries.filter(e => e.postId === 'mock-1' && e.outcome === 'replied').length, 2);
+    assert.equal(ledgerEntry(stateDir, 'notification:notif-1'), undefined, 'dropped as the post already answered');
+    assert.ok(JSON.parse(readFileSync(join(stateDir, 'meta.json'), 'utf-8')).cursors.posts.id);
+});
+
+test('a dead letter is retried with the prompt it kept', async (t) => {
+    const mock = await startMock(t, '--posts', '1', '--faults', '{"llm":["400"]}');
+    const { stateDir, output } = startAgent(t, mock.base, { DAE_FIRST_RUN_REPLIES: '1' });
+
+    const replied = await waitFor(() => {
+        const entry = ledgerEntry(stateDir, 'post:mock-1');
+        return entry?.outcome === 'replied' && entry;
+    }, 'the retried reply', output);
+    assert.ok(replied);
+    assert.equal((await mock.control('state')).requests.llm, 2);
+
+    // Memory was queried once; the retry reused that prompt
+    const journal = readFileSync(join(stateDir, 'journal', 'journal.jsonl'), 'utf-8')
+        .trim().split('\n').map(l => JSON.parse(l));
+    assert.equal(journal.filter(r => r.type === 'query' && r.interactionId === 'mock-1').length, 1);
+    assert.equal(journal.filter(r => r.type === 'reply' && r.interactionId === 'mock-1').length, 1);
+});
+
+test('a comment that timed out is left for a person to check, never posted again', async (t) => {
+    const mock = await startMock(t, '--posts', '1', '--faults', '{"comments":["timeout"]}');
+    const { stateDir, output } = startAgent(t, mock.base, { DAE_FIRST_RUN_REPLIES: '1' });
+
+    const failed = await waitFor(() => ledgerEntry(stateDir, 'post:mock-1'), 'the failed comment', output);
+    assert.equal(failed.outcome, 'failed');
+    assert.equal(failed.retryAt, null);
+    assert.equal(failed.note, 'may have been posted — check');
+    assert.match(failed.reply, /Mock reply to/);
+    assert.match(output.text, /may have been posted — check/);
+
+    await pause(1500);
+    const state = await mock.control('state');
+    assert.equal(state.requests.comments, 1, 'no second try');
+    assert.equal(ledgerEntry(stateDir, 'post:mock-1').attempts, 1);
+    assert.ok(existsSync(join(stateDir, 'dae-state.json')));
+});
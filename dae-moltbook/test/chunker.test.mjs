@@ -0,0 +1,35 @@
+// Chunker tests — node --test (npm test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createChunker, createTokenizer } from '../dae-core.mjs';
+
+test('sentence chunks group three sentences, with optional overlap', () => {
+    const text = 'A one. B two. C three. D four.';
+    assert.deepEqual(createChunker().chunk(text), ['A one. B two. C three.', 'D four.']);
+    assert.deepEqual(createChunker({ size: 2, overlap: 1 }).chunk(text), ['A one. B two.', 'B two. C three.', 'C three. D four.']);
+    assert.throws(() => createChunker({ size: 2, overlap: 2 }), /overlap/);
+    assert.throws(() => createChunker({ strategy: 'paragraphs' }), /Unknown chunking strategy/);
+});
+
+test('markdown chunks keep headings, code, lists and quotes apart', () => {
+    const text = '# Title\n\nFirst sentence. Second one.\n\n```js\nconst a = 1;\n\nconst b = 2;\n```\n\n- item one\n- item two\n\n> quoted text here.';
+    assert.deepEqual(createChunker({ strategy: 'markdown' }).chunk(text), [
+        'Title\nFirst sentence. Second one.',
+        '```js\nconst a = 1;\n\nconst b = 2;\n```',
+        'item one\nitem two',
+        'quoted text here.',
+    ]);
+});
+
+test('token chunks stay within size for CJK text and long URLs', () => {
+    const tokenizer = createTokenizer({ type: 'unicode' });
+    const chunker = createChunker({ unit: 'tokens', size: 8 });
+    const cjk = '記憶は球面上の位相として保存され、活性化された単語は互いに引き寄せられて意味のまとまりを作り出していく。';
+    const url = 'See https://example.com/a/very/long/path/with/many/segments/that/never/ends/and/keeps/going?x=1&y=2&z=3 now.';
+    for (const text of [cjk, url]) {
+        const chunks = chunker.chunk(text, tokenizer);
+        assert.ok(chunks.length > 1, text);
+        for (const chunk of chunks) assert.ok(tokenizer.tokenize(chunk).length <= 8, chunk);
+    }
+});
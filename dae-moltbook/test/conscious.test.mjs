@@ -0,0 +1,101 @@
+// Conscious memory tests — node --test (npm test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DAESystem, extractSalient } from '../dae-core.mjs';
+
+function consciousSystem() {
+    const system = new DAESystem({ seed: 'conscious' });
+    system.addToConscious('Phase locking is how memories stay coherent.');
+    system.addToConscious('The garden is watered each morning.');
+    return system;
+}
+
+test('listConscious reports every entry with its age', () => {
+    const system = consciousSystem();
+    const list = system.listConscious();
+    assert.deepEqual(list.map(e => e.text), ['Phase locking is how memories stay coherent.', 'The garden is watered each morning.']);
+    for (const entry of list) {
+        assert.equal(entry.pinned, false);
+        assert.ok(entry.createdAt);
+        assert.ok(entry.ageDays >= 0);
+        assert.ok(entry.occurrences > 0 && entry.activation >= entry.occurrences);
+    }
+});
+
+test('entries are found by unambiguous id prefix', () => {
+    const system = consciousSystem();
+    const [first] = system.consciousEpisode.neighborhoods;
+    assert.equal(system.getConscious(first.id), first);
+    assert.equal(system.getConscious('no-such-id'), null);
+    assert.throws(() => system.getConscious(''), /Ambiguous/);
+    assert.throws(() => system.editConscious('no-such-id', 'text'), /No conscious entry/);
+});
+
+test('editConscious keeps the id, seed and surviving activation', () => {
+    const system = consciousSystem();
+    const old = system.consciousEpisode.neighborhoods[0];
+    old.occurrences.find(o => o.word === 'memories').activationCount = 7;
+
+    const edited = system.editConscious(old.id, 'Phase locking keeps new memories coherent.');
+    assert.equal(edited.id, old.id);
+    assert.equal(edited.seed, old.seed);
+    assert.equal(edited.createdAt, old.createdAt);
+    assert.equal(edited.occurrences.find(o => o.word === 'memories').activationCount, 7);
+    assert.equal(edited.occurrences.find(o => o.word === 'new').activationCount, 1);
+    assert.equal(system.consciousEpisode.neighborhoods[0], edited);
+});
+
+test('pinned entries refuse deletion and forgetting', () => {
+    const system = consciousSystem();
+    const [pinned, other] = system.consciousEpisode.neighborhoods;
+    system.pinConscious(pinned.id);
+    assert.throws(() => system.deleteConscious(pinned.id), /pinned/);
+
+    system.forget({ budget: 1, includeConscious: true, protectRecentEpisodes: 0 });
+    assert.ok(system.getConscious(pinned.id));
+    assert.equal(system.getConscious(other.id), null);
+
+    system.deleteConscious(pinned.id, { force: true });
+    assert.equal(system.consciousEpisode.neighborhoods.length, 0);
+});
+
+test('pins and creation times survive JSON and binary round trips', () => {
+    const system = consciousSystem();
+    system.pinConscious(system.consciousEpisode.neighborhoods[1].id);
+    const entries = (sys) => sys.listConscious().map(({ ageDays, ...entry }) => entry);
+    for (const loaded of [DAESystem.fromJSON(system.toJSON()), DAESystem.fromBinary(system.toBinary())]) {
+        assert.deepEqual(entries(loaded), entries(system));
+    }
+});
+
+test('a repeated salient mark reinforces the existing entry', () => {
+    const system = consciousSystem();
+    const original = system.consciousEpisode.neighborhoods[0];
+    const before = original.totalActivation;
+
+    extractSalient(system, 'Yes. <salient>Phase locking is how the memories stay coherent.</salient>');
+    assert.equal(system.consciousEpisode.neighborhoods.length, 2);
+    assert.ok(original.totalActivation > before);
+
+    extractSalient(system, '<salient>Phase locking is how memories stay coherent.</salient>', { dedupe: 0 });
+    assert.equal(system.consciousEpisode.neighborhoods.length, 3);
+});
+
+test('dedupeConscious folds repeats into the earlier or pinned entry', () => {
+    const system = consciousSystem();
+    const repeat = system.addToConscious('Phase locking is how memories stay coherent!', { dedupe: 0 });
+    const [first] = system.consciousEpisode.neighborhoods;
+    const N = system.N;
+
+    assert.equal(system.dedupeConscious({ dryRun: true }).length, 1);
+    assert.equal(system.N, N);
+
+    system.pinConscious(repeat.id);
+    const before = repeat.totalActivation;
+    const merges = system.dedupeConscious();
+    assert.deepEqual(merges.map(m => [m.kept, m.removed]), [[repeat.id, first.id]]);
+    assert.equal(system.getConscious(first.id), null);
+    assert.ok(repeat.totalActivation > before);
+    assert.deepEqual(system.checkIndexes(), []);
+});
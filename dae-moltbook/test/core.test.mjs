@@ -0,0 +1,125 @@
+// Engine tests — node --test (npm test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DAESystem, QueryEngine, ingestText, consolidateEpisodes, readBinaryExtra } from '../dae-core.mjs';
+
+const TEXTS = [
+    'Phase coupling keeps memories in step. Kuramoto oscillators lock when their coupling is strong enough.',
+    'Oscillators drift apart when the coupling weakens. Phase locking breaks and memories scatter on the sphere.',
+    'The garden needs water every morning. Tomatoes and basil grow well together in the sun.',
+    'Basil and tomatoes share the garden bed. Water them in the morning before the sun is high.',
+    'Drift on the sphere pulls related words together. Anchored words stop drifting once activated enough.',
+];
+
+// A seeded system with one episode per text and two conscious memories
+function seededSystem(seed = 'test') {
+    const system = new DAESystem({ seed });
+    TEXTS.forEach((text, i) => system.addEpisode(ingestText(text, `Episode ${i + 1}`, system)));
+    system.addToConscious('Phase locking is how memories stay coherent.');
+    system.addToConscious('The garden is watered each morning.');
+    return system;
+}
+
+test('the same seed builds byte-identical systems', () => {
+    const run = (seed) => {
+        const system = seededSystem(seed);
+        new QueryEngine(system).processQuery('How do oscillators keep memories in phase?');
+        return JSON.stringify(system.toJSON());
+    };
+    assert.equal(run('test'), run('test'));
+    assert.notEqual(run('test'), run('other'));
+});
+
+test('checkIndexes is clean after every kind of change', () => {
+    const system = seededSystem();
+    assert.deepEqual(system.checkIndexes(), []);
+
+    system.addEpisode(ingestText('A new episode about coupling and drift.', 'Late', system));
+    assert.deepEqual(system.checkIndexes(), [], 'addEpisode');
+
+    system.addToConscious('Coupling strength decides whether oscillators lock.');
+    assert.deepEqual(system.checkIndexes(), [], 'addToConscious');
+
+    system.removeEpisode(system.episodes[1]);
+    assert.deepEqual(system.checkIndexes(), [], 'removeEpisode');
+
+    system.removeNeighborhood(system.episodes[0].neighborhoods[0].id);
+    assert.deepEqual(system.checkIndexes(), [], 'removeNeighborhood');
+
+    const [first, second] = system.consciousEpisode.neighborhoods;
+    system.editConscious(first.id, 'Phase locking keeps memories coherent over time.');
+    assert.deepEqual(system.checkIndexes(), [], 'editConscious');
+
+    system.deleteConscious(second.id);
+    assert.deepEqual(system.checkIndexes(), [], 'deleteConscious');
+
+    assert.ok(consolidateEpisodes(system, { threshold: 0.05 }).groups.length > 0);
+    assert.deepEqual(system.checkIndexes(), [], 'consolidateEpisodes');
+
+    const forgotten = system.forget({ budget: Math.floor(system.N / 2), protectRecentEpisodes: 0 });
+    assert.ok(forgotten.after < forgotten.before);
+    assert.deepEqual(system.checkIndexes(), [], 'forget');
+});
+
+test('forget protects every episode when there are fewer than protectRecentEpisodes', () => {
+    const system = new DAESystem({ seed: 'test' });
+    TEXTS.slice(0, 2).forEach((text, i) => system.addEpisode(ingestText(text, `Episode ${i + 1}`, system)));
+    const before = system.N;
+    const result = system.forget({ budget: 1, protectRecentEpisodes: 3 });
+    assert.equal(result.after, before);
+    assert.equal(system.N, before);
+    assert.deepEqual(system.checkIndexes(), []);
+});
+
+test('a consolidation dry run changes nothing, not even the next ID', () => {
+    const dry = seededSystem();
+    const untouched = seededSystem();
+    const before = JSON.stringify(dry.toJSON());
+    const report = consolidateEpisodes(dry, { threshold: 0.05, dryRun: true });
+    assert.ok(report.groups.length > 0);
+    assert.ok(report.groups.every(g => g.id === null && g.occurrences > 0));
+    assert.equal(JSON.stringify(dry.toJSON()), before);
+    assert.equal(dry.createEpisode('next').id, untouched.createEpisode('next').id);
+});
+
+test('peek leaves the system exactly as it was', () => {
+    const system = seededSystem();
+    const engine = new QueryEngine(system);
+    const before = JSON.stringify(system.toJSON());
+
+    const plain = engine.peek('How do oscillators keep memories in phase?');
+    assert.ok(plain.metrics.conscious + plain.metrics.subconscious > 0);
+    const explained = engine.peek('Does the garden need water in the morning?', { explain: true });
+    assert.ok(explained.trace.candidates.length > 0);
+    const budgeted = engine.peek('Phase coupling and drift on the sphere', { context: { budget: { chars: 120 }, minExcerptChars: 20 } });
+    assert.ok(budgeted.metrics.trimmed.length + budgeted.metrics.dropped.length > 0);
+
+    assert.equal(JSON.stringify(system.toJSON()), before);
+});
+
+test('binary state round-trips losslessly', () => {
+    const system = seededSystem();
+    const bytes = system.toBinary({ extra: { note: 'kept' } });
+    const back = DAESystem.fromBinary(bytes);
+    assert.equal(JSON.stringify(back.toJSON()), JSON.stringify(system.toJSON()));
+    assert.deepEqual(readBinaryExtra(bytes), { note: 'kept' });
+});
+
+test('binary state refuses newer versions, truncation and garbage', () => {
+    const bytes = seededSystem().toBinary();
+
+    const newer = bytes.slice();
+    new DataView(newer.buffer, newer.byteOffset).setUint16(4, 0xffff, true);
+    assert.throws(() => DAESystem.fromBinary(newer), /newer than supported/);
+
+    // Every cut short of the full file fails, section boundaries included
+    for (let length = 0; length < bytes.byteLength; length++) {
+        assert.throws(() => DAESystem.fromBinary(bytes.subarray(0, length)), undefined, `cut at ${length}`);
+    }
+
+    const garbage = new Uint8Array(64).fill(0xff);
+    assert.throws(() => DAESystem.fromBinary(garbage), /bad magic/);
+    garbage.set(bytes.subarray(0, 8));
+    assert.throws(() => DAESystem.fromBinary(garbage));
+});
@@ -0,0 +1,61 @@
+// Dashboard tests — node --test (npm test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from 'http';
+import { DAESystem, ingestText } from '../dae-core.mjs';
+import { isLocalHost, startDashboard } from '../dae-dashboard.mjs';
+
+function seededSystem() {
+    const system = new DAESystem({ seed: 'test' });
+    system.addEpisode(ingestText('Phase coupling keeps memories in step. Oscillators lock when coupled.', 'Episode 1', system));
+    system.addToConscious('Phase locking is how memories stay coherent.');
+    return system;
+}
+
+// node:http rather than fetch, which will not send a Host header of our choosing
+function get(url, { method = 'GET', host } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = request(url, { method, headers: host ? { Host: host } : {} }, res => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+test('isLocalHost accepts loopback names with or without a port', () => {
+    for (const host of ['localhost', 'localhost:8765', '127.0.0.1', '127.0.0.1:80', '[::1]', '[::1]:8765', 'LOCALHOST']) {
+        assert.ok(isLocalHost(host, '127.0.0.1'), host);
+    }
+    for (const host of [undefined, '', 'example.com', 'evil.localhost', '127.0.0.1.example.com', '10.0.0.5:8765']) {
+        assert.ok(!isLocalHost(host, '127.0.0.1'), String(host));
+    }
+    assert.ok(isLocalHost('10.0.0.5:8765', '10.0.0.5'), 'the bound host is allowed');
+});
+
+test('the dashboard answers local GETs and refuses everything else', async (t) => {
+    const system = seededSystem();
+    const { server, url } = await startDashboard({ system: () => system }, { port: 0 });
+    t.after(() => server.close());
+
+    const summary = await get(`${url}api/summary`);
+    assert.equal(summary.status, 200);
+    assert.equal(JSON.parse(summary.body).N, system.N);
+    assert.equal((await get(url)).status, 200);
+    assert.equal((await get(`${url}api/exchanges`)).status, 200);
+    assert.equal((await get(`${url}api/nothing`)).status, 404);
+
+    for (const method of ['POST', 'PUT', 'DELETE']) {
+        assert.equal((await get(`${url}api/summary`, { method })).status, 405, method);
+    }
+
+    // DNS rebinding: the page's origin resolves here but its Host header is not local
+    const rebound = await get(`${url}api/summary`, { host: 'attacker.example:8765' });
+    assert.equal(rebound.status, 403);
+    assert.equal((await get(`${url}api/summary`, { method: 'POST', host: 'attacker.example' })).status, 403);
+    assert.equal((await get(`${url}api/summary`, { host: 'localhost' })).status, 200);
+});
@@ -0,0 +1,54 @@
+// Diagnostics tests — node --test (npm test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DAESystem, QueryEngine, ingestText } from '../dae-core.mjs';
+
+function sampleSystem() {
+    const system = new DAESystem({ seed: 'diagnostics' });
+    system.addEpisode(ingestText('Phase coupling keeps memories in step. Oscillators lock when coupling is strong.', 'Phase', system));
+    system.addEpisode(ingestText('The garden needs water every morning. Basil and tomatoes grow together.', 'Garden', system));
+    system.addToConscious('Phase locking is how memories stay coherent.');
+    new QueryEngine(system).processQuery('How does phase coupling keep memories in step?');
+    return system;
+}
+
+test('diagnostics are read-only and add up', () => {
+    const system = sampleSystem();
+    const before = JSON.stringify(system.toJSON());
+    const d = system.diagnostics();
+    assert.equal(JSON.stringify(system.toJSON()), before);
+
+    assert.equal(d.N, system.N);
+    assert.equal(d.episodes, 2);
+    assert.equal(d.conscious, 1);
+    const { anchored, mobile, dormant } = d.anchoring;
+    assert.ok(Math.abs(anchored + mobile + dormant - 1) < 1e-9);
+    assert.ok(mobile + anchored > 0 && dormant > 0);
+    assert.ok(Math.abs(d.episodeMass.reduce((s, e) => s + e.mass, 0) - 1) < 1e-9);
+    assert.equal(Object.values(d.activation.histogram).reduce((s, c) => s + c, 0), d.N);
+    assert.ok(d.kuramoto.overall >= 0 && d.kuramoto.overall <= 1);
+    assert.ok(d.kuramoto.words.every(w => w.occurrences >= 2));
+    assert.ok(system.diagnostics({ topWords: 1 }).kuramoto.words.length <= 1);
+});
+
+test('diagnostics warn about phase and spatial collapse', () => {
+    const system = sampleSystem();
+    assert.deepEqual(system.diagnostics().warnings, []);
+
+    for (const occ of system.allOccurrences()) occ.phasor.theta = 1;
+    assert.ok(system.diagnostics().warnings.some(w => w.startsWith('phase collapse')));
+
+    for (const ep of [...system.episodes, system.consciousEpisode]) {
+        for (const n of ep.neighborhoods) n.occurrences.forEach(o => { o.position = n.seed; });
+    }
+    assert.ok(system.diagnostics().warnings.some(w => w.startsWith('spatial collapse')));
+});
+
+test('an empty system reports zeros', () => {
+    const d = new DAESystem({ seed: 'empty' }).diagnostics();
+    assert.equal(d.N, 0);
+    assert.deepEqual(d.anchoring, { anchored: 0, mobile: 0, dormant: 0 });
+    assert.equal(d.activation.count, 0);
+    assert.deepEqual(d.warnings, []);
+});
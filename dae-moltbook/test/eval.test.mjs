@@ -0,0 +1,56 @@
+// Retrieval evaluation tests — node --test (npm test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DAESystem, ingestText, evaluateRetrieval } from '../dae-core.mjs';
+
+const TEXTS = [
+    'Phase coupling keeps memories in step. Kuramoto oscillators lock when their coupling is strong enough.',
+    'The garden needs water every morning. Tomatoes and basil grow well together in the sun.',
+    'Drift on the sphere pulls related words together. Anchored words stop drifting once activated enough.',
+];
+
+function sampleSystem() {
+    const system = new DAESystem({ seed: 'eval' });
+    TEXTS.forEach((text, i) => system.addEpisode(ingestText(text, `Episode ${i + 1}`, system)));
+    return system;
+}
+
+const CASES = [
+    { query: 'When does the garden need water?', text: ['garden needs water'] },
+    { query: 'How do oscillators lock?', text: ['kuramoto'] },
+    { query: 'Something about volcanoes', text: ['volcano'] },
+];
+
+test('evaluateRetrieval scores hits, ranks and precision without changing the system', () => {
+    const system = sampleSystem();
+    const before = JSON.stringify(system.toJSON());
+    const report = evaluateRetrieval(system, CASES);
+
+    assert.equal(JSON.stringify(system.toJSON()), before);
+    assert.equal(report.cases, 3);
+    assert.deepEqual(report.results.map(r => r.hit), [true, true, false]);
+    assert.deepEqual(report.results.map(r => r.rank), [1, 1, null]);
+    assert.equal(report.hitRate, 2 / 3);
+    assert.equal(report.mrr, 2 / 3);
+    const { shown, relevant, precision } = report.precision.subconscious;
+    assert.ok(shown >= relevant && relevant >= 2);
+    assert.equal(precision, relevant / shown);
+    assert.equal(report.precision.conscious.precision, null);
+});
+
+test('a case matches by id prefix as well as by text', () => {
+    const system = sampleSystem();
+    const garden = system.episodes[1].neighborhoods[0].id;
+    const report = evaluateRetrieval(system, [{ query: 'basil and tomatoes', ids: [garden.slice(0, 8)] }]);
+    assert.equal(report.results[0].hit, true);
+});
+
+test('evaluateRetrieval runs with its own params and leaves the system params alone', () => {
+    const system = sampleSystem();
+    const before = system.params;
+    const report = evaluateRetrieval(system, CASES, { params: { novelMaxActivated: 5 } });
+    assert.equal(report.params.novelMaxActivated, 5);
+    assert.equal(system.params, before);
+    assert.equal(evaluateRetrieval(system, CASES).params, before);
+});
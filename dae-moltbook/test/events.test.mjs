@@ -0,0 +1,150 @@
+// Event and plugin tests — node --test (npm test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { DAESystem, QueryEngine, createEmitter, ingestText } from '../dae-core.mjs';
+import { loadPlugins } from '../dae-plugins.mjs';
+
+test('handlers run in subscription order, once runs once, off and unsubscribe stop them', () => {
+    const events = createEmitter(['tick', 'error']);
+    const calls = [];
+    events.on('tick', ({ n }) => calls.push(`a${n}`));
+    const stopB = events.on('tick', ({ n }) => calls.push(`b${n}`));
+    events.once('tick', ({ n }) => calls.push(`once${n}`));
+    const c = ({ n }) => calls.push(`c${n}`);
+    events.on('tick', c);
+
+    events.emit('tick', { n: 1 });
+    stopB();
+    events.off('tick', c);
+    events.emit('tick', { n: 2 });
+    assert.deepEqual(calls, ['a1', 'b1', 'once1', 'c1', 'a2']);
+    assert.equal(events.listenerCount('tick'), 1);
+});
+
+test('a handler added while emitting waits for the next emit', () => {
+    const events = createEmitter(['tick']);
+    const calls = [];
+    events.on('tick', () => {
+        calls.push('first');
+        events.on('tick', () => calls.push('late'));
+    });
+    events.emit('tick');
+    assert.deepEqual(calls, ['first']);
+});
+
+test('unknown event types throw at subscription and emit', () => {
+    const events = createEmitter(['tick', 'error']);
+    assert.throws(() => events.on('tock', () => {}), /Unknown event "tock"/);
+    assert.throws(() => events.emit('tock'), /Unknown event/);
+    assert.throws(() => new DAESystem().on('salience', () => {}), /Unknown event/);
+});
+
+test('a throwing or rejecting handler goes to error handlers and never stops the rest', async () => {
+    const events = createEmitter(['tick', 'error']);
+    const calls = [];
+    const errors = [];
+    events.on('error', ({ type, error }) => errors.push(`${type}: ${error.message}`));
+    events.on('tick', () => { throw new Error('sync'); });
+    events.on('tick', async () => { throw new Error('async'); });
+    events.on('tick', () => calls.push('after'));
+
+    assert.doesNotThrow(() => events.emit('tick'));
+    assert.deepEqual(calls, ['after']);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(errors, ['tick: sync', 'tick: async']);
+});
+
+test('without error handlers, or when one throws, failures go to console.error', (t) => {
+    const logged = [];
+    t.mock.method(console, 'error', (msg) => logged.push(msg));
+    const events = createEmitter(['tick', 'error']);
+    events.on('tick', () => { throw new Error('unheard'); });
+    events.emit('tick');
+    events.on('error', () => { throw new Error('handler broke'); });
+    events.emit('tick');
+    assert.equal(logged.length, 2);
+    assert.match(logged[0], /tick handler failed: unheard/);
+    assert.match(logged[1], /error handler failed: handler broke/);
+});
+
+test('the system and engine emit their events; peeks emit nothing', () => {
+    const system = new DAESystem({ seed: 'test' });
+    const engine = new QueryEngine(system);
+    const seen = [];
+    for (const type of ['episode', 'salient', 'consciousRemoved']) system.on(type, () => seen.push(type));
+    for (const type of ['query', 'response']) engine.on(type, () => seen.push(type));
+
+    system.addEpisode(ingestText('Phase coupling keeps memories in step. Oscillators lock together.', 'One', system));
+    const n = system.addToConscious('Phase locking keeps memories coherent.');
+    system.addToConscious('Phase locking keeps memories coherent.');
+    engine.peek('How do oscillators lock?');
+    engine.processQuery('How do oscillators lock?');
+    engine.processResponse('They lock through coupling.');
+    system.deleteConscious(n.id);
+    assert.deepEqual(seen, ['episode', 'salient', 'salient', 'query', 'response', 'consciousRemoved']);
+});
+
+// ============================================================
+// PLUGINS
+// ============================================================
+
+function pluginDir(t, files) {
+    const dir = mkdtempSync(join(tmpdir(), 'dae-plugins-'));
+    t.after(() => rmSync(dir, { recursive: true, force: true }));
+    for (const [name, source] of Object.entries(files)) writeFileSync(join(dir, name), source);
+    return dir;
+}
+
+test('plugins load in order with their own api, default or setup export', async (t) => {
+    const dir = pluginDir(t, {
+        'first.mjs': 'export default async ({ calls, name }) => { await null; calls.push(name); };',
+        'second.mjs': 'export function setup({ calls, name }) { calls.push(name); }',
+    });
+    const calls = [];
+    const loaded = await loadPlugins(['first.mjs', 'second.mjs'], (spec) => ({ calls, name: spec }), { baseDir: dir });
+    assert.deepEqual(loaded, ['first.mjs', 'second.mjs']);
+    assert.deepEqual(calls, ['first.mjs', 'second.mjs']);
+    assert.deepEqual(await loadPlugins([], {}), []);
+});
+
+test('a plugin that fails to load is named and stops the ones after it', async (t) => {
+    const dir = pluginDir(t, {
+        'ok.mjs': 'export default ({ calls }) => { calls.push("ok"); };',
+        'empty.mjs': 'export const value = 1;',
+        'throws.mjs': 'export default () => { throw new Error("no config"); };',
+        'broken.mjs': 'export default (',
+    });
+    const calls = [];
+    const load = (specs) => loadPlugins(specs, { calls }, { baseDir: dir });
+    await assert.rejects(load(['ok.mjs', 'empty.mjs', 'ok.mjs']), /Plugin empty\.mjs failed to load: exports neither/);
+    assert.deepEqual(calls, ['ok']);
+    await assert.rejects(load(['throws.mjs']), /Plugin throws\.mjs failed to load: no config/);
+    await assert.rejects(load(['broken.mjs']), /Plugin broken\.mjs failed to load/);
+    await assert.rejects(load(['missing.mjs']), /Plugin missing\.mjs failed to load/);
+});
+
+test('the example audit-log plugin records agent and memory events', async (t) => {
+    const dir = pluginDir(t, {});
+    const agentEvents = createEmitter(['replyPosted', 'interactionSkipped', 'interactionFailed', 'saved', 'error']);
+    const system = new DAESystem({ seed: 'test' });
+    const queryEngine = new QueryEngine(system);
+    const logged = [];
+    process.env.DAE_AUDIT_LOG = join(dir, 'audit.jsonl');
+    t.after(() => { delete process.env.DAE_AUDIT_LOG; });
+
+    await loadPlugins(['plugins/audit-log.mjs'], {
+        on: agentEvents.on, system, queryEngine, config: { stateDir: dir }, log: (msg) => logged.push(msg),
+    }, { baseDir: join(dirname(fileURLToPath(import.meta.url)), '..') });
+    system.addToConscious('The garden is watered each morning.');
+    agentEvents.emit('replyPosted', { interaction: { type: 'comment', id: 'c1', author: 'ada' }, postId: 'p1', content: 'Hi' });
+
+    const lines = readFileSync(process.env.DAE_AUDIT_LOG, 'utf-8').trim().split('\n').map(l => JSON.parse(l));
+    assert.deepEqual(lines.map(l => l.event), ['salient', 'replied']);
+    assert.equal(lines[1].author, 'ada');
+    assert.match(logged[0], /auditing to/);
+});
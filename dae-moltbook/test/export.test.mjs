@@ -0,0 +1,79 @@
+// Export tests — node --test (npm test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DAESystem, QueryEngine, ingestText } from '../dae-core.mjs';
+import { exportSystem, occurrencesCsv, coactivationGraph, graphML, gexf } from '../dae-export.mjs';
+
+const AWKWARD = 'Tags <b> & "quotes", it\'s\nline two\u0001';
+
+function sampleSystem() {
+    const system = new DAESystem({ seed: 'export' });
+    system.addEpisode(ingestText('Phase coupling keeps memories in step.', AWKWARD, system));
+    system.addEpisode(ingestText('The garden needs water every morning.', 'Garden', system));
+    system.addToConscious('Phase coupling matters & so do <tags>.');
+    new QueryEngine(system).processQuery('phase coupling garden');
+    return system;
+}
+
+// RFC 4180 reader, enough to check the writer
+function parseCsv(text) {
+    const rows = [];
+    let row = [], field = '', quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (c === '"') quoted = false;
+            else field += c;
+        } else if (c === '"') quoted = true;
+        else if (c === ',') { row.push(field); field = ''; }
+        else if (c === '\n') { row.push(field); rows.push(row); row = []; field = ''; }
+        else field += c;
+    }
+    return rows;
+}
+
+test('CSV quotes commas, quotes and newlines so every row parses back', () => {
+    const system = sampleSystem();
+    const rows = parseCsv(occurrencesCsv(system));
+    const [header, ...body] = rows;
+    assert.deepEqual(header, ['word', 'episode_id', 'episode', 'neighborhood_id', 'activation', 'w', 'x', 'y', 'z', 'phase']);
+    assert.equal(body.length, system.N);
+    assert.ok(body.every(r => r.length === header.length));
+    assert.ok(body.some(r => r[2] === AWKWARD));
+    assert.ok(body.some(r => r[2] === 'Conscious'));
+
+    const first = system.episodes[0].neighborhoods[0].occurrences[0];
+    const row = body.find(r => r[3] === first.neighborhoodId && r[0] === first.word);
+    assert.equal(Number(row[4]), first.activationCount);
+    assert.equal(Number(row[9]), first.phasor.theta);
+});
+
+test('graph exports escape markup and drop characters XML cannot hold', () => {
+    const system = sampleSystem();
+    const graph = coactivationGraph(system);
+    assert.ok(graph.edges.length > 0);
+    assert.ok(graph.edges.every(e => e.weight > 0));
+    assert.ok(coactivationGraph(system, { all: true }).edges.length > graph.edges.length);
+
+    for (const text of [graphML(graph), gexf(graph)]) {
+        assert.ok(!text.includes('\u0001'));
+        assert.ok(!text.includes('<b>') && !text.includes('<tags>'));
+        assert.ok(text.includes('Tags &lt;b&gt; &amp; &quot;quotes&quot;, it&apos;s'));
+        // Outside tags, no raw markup characters remain
+        const between = text.replace(/<[^<>]*>/g, '');
+        assert.ok(!/[<>"]/.test(between));
+        assert.ok(!/&(?!(amp|lt|gt|quot|apos);)/.test(text));
+    }
+});
+
+test('every export leaves the system unchanged', () => {
+    const system = sampleSystem();
+    const before = JSON.stringify(system.toJSON());
+    for (const format of ['book', 'csv', 'graphml', 'gexf']) {
+        assert.ok(exportSystem(system, format, { now: '2026-01-01T00:00:00.000Z' }).length > 0);
+    }
+    assert.equal(JSON.stringify(system.toJSON()), before);
+    assert.throws(() => exportSystem(system, 'pdf'), /Unknown export format/);
+});
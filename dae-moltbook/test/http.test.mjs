@@ -0,0 +1,138 @@
+// Retry tests against mock-moltbook.mjs on a free port — node --test (npm test)
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { once } from 'events';
+import { fileURLToPath } from 'url';
+import { fetchJSON } from '../dae-http.mjs';
+
+let mock, base;
+
+before(async () => {
+    mock = spawn(process.execPath, [fileURLToPath(new URL('../mock-moltbook.mjs', import.meta.url)), '--port', '0', '--posts', '3'], {
+        stdio: ['ignore', 'pipe', 'inherit'],
+    });
+    // The first line names the port it took; later lines are drained
+    base = await new Promise((resolve, reject) => {
+        let out = '';
+        mock.stdout.on('data', (chunk) => {
+            out += chunk;
+            const m = out.match(/http:\/\/127\.0\.0\.1:(\d+)\//);
+            if (m) resolve(`http://127.0.0.1:${m[1]}`);
+        });
+        mock.on('exit', (code) => reject(new Error(`mock-moltbook exited with ${code}`)));
+    });
+});
+
+after(async () => {
+    mock.kill();
+    await once(mock, 'exit');
+});
+
+async function faults(spec) {
+    await fetchJSON(`${base}/_mock/faults`, { method: 'POST', body: JSON.stringify(spec) }, { retries: 0 });
+}
+
+async function requests(endpoint) {
+    return (await fetchJSON(`${base}/_mock/state`, {}, { retries: 0 })).requests[endpoint];
+}
+
+// Waits are recorded, not slept
+function clock() {
+    const waits = [];
+    return { waits, sleep: async (ms) => { waits.push(ms); } };
+}
+
+const FAST = { retries: 3, timeoutMs: 2000, baseDelayMs: 100, maxDelayMs: 150, maxWaitMs: 5000 };
+
+test('retries a retryable status until it succeeds', async () => {
+    await faults({ posts: ['500', '502'] });
+    const start = await requests('posts');
+    const { waits, sleep } = clock();
+    const retried = [];
+    const data = await fetchJSON(`${base}/api/v1/posts?limit=2`, {}, FAST, {
+        sleep, random: () => 0.5, onRetry: (r) => retried.push(r.attempt),
+    });
+    assert.equal(data.posts.length, 2);
+    assert.equal(await requests('posts') - start, 3);
+    assert.deepEqual(retried, [1, 2]);
+    // Full jitter: random · min(maxDelayMs, baseDelayMs · 2^n)
+    assert.deepEqual(waits, [50, 75]);
+});
+
+test('gives up after the last retry with status and attempts', async () => {
+    await faults({ posts: ['500', '500', '500'] });
+    const start = await requests('posts');
+    const { sleep } = clock();
+    const error = await fetchJSON(`${base}/api/v1/posts`, {}, { ...FAST, retries: 2 }, { sleep }).catch(e => e);
+    assert.equal(error.status, 500);
+    assert.equal(error.attempts, 3);
+    assert.equal(error.retryAfterMs, null);
+    assert.equal(error.timedOut, false);
+    assert.equal(await requests('posts') - start, 3);
+});
+
+test('does not retry a status outside retryOn', async () => {
+    await faults({ posts: ['404'] });
+    const { waits, sleep } = clock();
+    const error = await fetchJSON(`${base}/api/v1/posts`, {}, FAST, { sleep }).catch(e => e);
+    assert.equal(error.status, 404);
+    assert.equal(error.attempts, 1);
+    assert.deepEqual(waits, []);
+});
+
+test('waits out a Retry-After within maxWaitMs', async () => {
+    await faults({ posts: ['429:2'] });
+    const { waits, sleep } = clock();
+    const retried = [];
+    const data = await fetchJSON(`${base}/api/v1/posts`, {}, FAST, { sleep, onRetry: (r) => retried.push(r.error) });
+    assert.ok(Array.isArray(data.posts));
+    assert.deepEqual(waits, [2000]);
+    assert.equal(retried[0].status, 429);
+    assert.equal(retried[0].retryAfterMs, 2000);
+});
+
+test('fails at once on a Retry-After above maxWaitMs', async () => {
+    await faults({ posts: ['429:120'] });
+    const start = await requests('posts');
+    const { waits, sleep } = clock();
+    const error = await fetchJSON(`${base}/api/v1/posts`, {}, FAST, { sleep }).catch(e => e);
+    assert.equal(error.status, 429);
+    assert.equal(error.attempts, 1);
+    assert.equal(error.retryAfterMs, 120000);
+    assert.deepEqual(waits, []);
+    assert.equal(await requests('posts') - start, 1);
+});
+
+test('aborts a request that outlives timeoutMs and retries it', async () => {
+    await faults({ posts: ['timeout'] });
+    const start = await requests('posts');
+    const { sleep } = clock();
+    const data = await fetchJSON(`${base}/api/v1/posts`, {}, { ...FAST, timeoutMs: 200 }, { sleep });
+    assert.ok(Array.isArray(data.posts));
+    assert.equal(await requests('posts') - start, 2);
+});
+
+test('a timeout is final without retryNetwork', async () => {
+    await faults({ comments: ['timeout'] });
+    const { sleep } = clock();
+    const error = await fetchJSON(`${base}/api/v1/posts/mock-1/comments`, {
+        method: 'POST', body: JSON.stringify({ content: 'hi' }),
+    }, { ...FAST, timeoutMs: 200, retryNetwork: false }, { sleep }).catch(e => e);
+    assert.equal(error.timedOut, true);
+    assert.equal(error.status, null);
+    assert.equal(error.attempts, 1);
+    assert.match(error.message, /timed out after 200ms/);
+});
+
+test('retries a dropped connection but not a body that is not JSON', async () => {
+    await faults({ posts: ['reset', 'badjson'] });
+    const start = await requests('posts');
+    const { sleep } = clock();
+    const error = await fetchJSON(`${base}/api/v1/posts`, {}, FAST, { sleep }).catch(e => e);
+    assert.match(error.message, /invalid JSON/);
+    assert.equal(error.attempts, 2);
+    assert.equal(error.timedOut, false);
+    assert.equal(await requests('posts') - start, 2);
+});
@@ -0,0 +1,109 @@
+// Journal tests — node --test (npm test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, appendFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { DAESystem, QueryEngine, applyMemoryMarkup, consolidateEpisodes } from '../dae-core.mjs';
+import { openJournal, readJournal, replayJournal } from '../dae-journal.mjs';
+
+const TOKENIZER = { type: 'unicode', stopwords: null, stem: null };
+const CHUNKER = { strategy: 'sentences', unit: 'sentences', size: 3, overlap: 0 };
+
+/*
+ * Drive a live seeded system the way the agent does, recording each step
+ * as the agent would journal it. Returns { system, records }.
+ */
+function recordSession(seed) {
+    let clock = '2026-01-01T00:00:00.000Z';
+    const system = new DAESystem({ seed, now: () => clock, tokenizer: TOKENIZER, chunker: CHUNKER });
+    const engine = new QueryEngine(system);
+    const records = [];
+    const record = (time, type, fields) => {
+        clock = time;
+        records.push({ seq: records.length + 1, id: `r${records.length + 1}`, time, type, ...fields });
+    };
+
+    record(clock, 'init', { tokenizer: TOKENIZER, chunker: CHUNKER, agentName: 'DAE' });
+
+    const episode = (time, name, texts) => {
+        const episodeId = `pending-${name}`;
+        texts.forEach(text => record(time, 'ingest', { episodeId, text }));
+        record(time, 'episode', { episodeId, name, source: 'seed' });
+        const ep = system.createEpisode(name);
+        texts.forEach(text => system.neighborhoodsFromText(text).forEach(n => ep.addNeighborhood(n)));
+        system.addEpisode(ep);
+    };
+    const exchange = (time, interactionId, query, reply) => {
+        record(time, 'query', { interactionId, author: 'someone', query, recalled: [] });
+        system.expireConscious();
+        engine.processQuery(query);
+        record(time, 'reply', { interactionId, reply });
+        applyMemoryMarkup(system, reply);
+        engine.processResponse(reply);
+    };
+
+    episode('2026-01-01T00:01:00.000Z', 'Phase', [
+        'Phase coupling keeps memories in step. Kuramoto oscillators lock when their coupling is strong enough.',
+        'Oscillators drift apart when the coupling weakens.',
+    ]);
+    episode('2026-01-01T00:02:00.000Z', 'Garden', [
+        'The garden needs water every morning. Tomatoes and basil grow well together in the sun.',
+    ]);
+    exchange('2026-01-01T01:00:00.000Z', 'i1', 'How do oscillators keep memories in phase?',
+        'They lock. <salient importance="3" tags="phase" expires="1d">Coupling strength decides whether oscillators lock.</salient>');
+    exchange('2026-01-02T02:00:00.000Z', 'i2', 'When should the basil be watered?',
+        'Every morning. <forget>Coupling strength decides whether oscillators lock</forget>');
+    episode('2026-01-02T03:00:00.000Z', 'Basil', ['Basil and tomatoes share the garden bed.']);
+
+    record('2026-01-02T04:00:00.000Z', 'consolidate', { options: { threshold: 0.05 } });
+    consolidateEpisodes(system, { threshold: 0.05 });
+
+    return { system, records };
+}
+
+test('replaying a seeded journal rebuilds the live state byte for byte', () => {
+    const { system, records } = recordSession('journal');
+    const replayed = replayJournal(records, { seed: 'journal' });
+
+    assert.equal(replayed.from, 'init');
+    assert.equal(replayed.stats.replies, 2);
+    assert.deepEqual(replayed.stats.skipped, []);
+    assert.equal(JSON.stringify(replayed.system.toJSON()), JSON.stringify(system.toJSON()));
+
+    const other = replayJournal(records, { seed: 'other' });
+    assert.notEqual(JSON.stringify(other.system.toJSON()), JSON.stringify(system.toJSON()));
+    assert.equal(other.system.N, system.N);
+});
+
+test('upTo stops the replay part way', () => {
+    const { records } = recordSession('journal');
+    const firstReply = records.find(r => r.type === 'reply');
+    const partial = replayJournal(records, { seed: 'journal', upTo: firstReply.seq });
+    assert.equal(partial.stats.replies, 1);
+    assert.equal(partial.system.consciousEpisode.neighborhoods.length, 1);
+    assert.deepEqual(partial.conversationBuffer.map(([q]) => q), ['How do oscillators keep memories in phase?']);
+});
+
+test('the journal appends in sequence across reopen and skips unreadable lines', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'dae-journal-test-'));
+    try {
+        const journal = openJournal(dir);
+        assert.ok(journal.empty);
+        journal.append('init', { tokenizer: TOKENIZER, chunker: CHUNKER });
+        journal.append('ingest', { episodeId: 'e', text: 'One.' });
+        appendFileSync(journal.path, 'not a record\n');
+
+        const reopened = openJournal(dir);
+        assert.equal(reopened.seq, 2);
+        reopened.append('episode', { episodeId: 'e', name: 'One' });
+
+        const { records, skipped } = readJournal(dir);
+        assert.equal(skipped, 1);
+        assert.deepEqual(records.map(r => [r.seq, r.type]), [[1, 'init'], [2, 'ingest'], [3, 'episode']]);
+        assert.equal(replayJournal(records).system.episodes.length, 1);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
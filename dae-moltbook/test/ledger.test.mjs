@@ -0,0 +1,97 @@
+// Ledger tests — node --test (npm test)
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { openLedger } from '../dae-ledger.mjs';
+import { postInteraction, notificationInteraction } from '../dae-poll.mjs';
+
+const dir = mkdtempSync(join(tmpdir(), 'dae-ledger-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+const post = (id) => ({ type: 'post', id, key: `post:${id}`, aliases: [], query: `Post ${id}`, author: 'someone', postId: id });
+
+test('a post that also arrives as a notification about it is answered once', () => {
+    const ledger = openLedger(join(dir, 'post-first'));
+    ledger.record(postInteraction({ id: 'p1', content: 'Hello' }), 'replied', { replyId: 'c9' });
+    const mention = notificationInteraction({ id: 'n1', type: 'new_post', post_id: 'p1', content: 'Hello' });
+    assert.equal(ledger.handled(mention).replyId, 'c9');
+
+    // And the other way round, also after reopening from disk
+    const other = openLedger(join(dir, 'notification-first'));
+    other.record(notificationInteraction({ id: 'n2', type: 'post', post_id: 'p2', content: 'Hi' }), 'replied', { replyId: 'c10' });
+    const reopened = openLedger(join(dir, 'notification-first'));
+    assert.equal(reopened.handled(postInteraction({ id: 'p2', content: 'Hi' })).replyId, 'c10');
+});
+
+test('replies on an answered post are still answered, each once', () => {
+    const ledger = openLedger(join(dir, 'replies'));
+    ledger.record(postInteraction({ id: 'p1', content: 'Hello' }), 'replied', { replyId: 'c1' });
+
+    const bare = notificationInteraction({ id: 'n1', type: 'reply', post_id: 'p1', content: 'Why?' });
+    const comment = notificationInteraction({ id: 'n2', type: 'reply', post_id: 'p1', comment: { id: 'c2', content: 'How?' } });
+    assert.equal(ledger.handled(bare), null);
+    assert.equal(ledger.handled(comment), null);
+
+    ledger.record(bare, 'replied', { replyId: 'c3' });
+    ledger.record(comment, 'skipped', { reason: 'own post' });
+    assert.equal(ledger.handled(bare).replyId, 'c3');
+    // The same comment through its notification id
+    assert.equal(ledger.get('notification:n2').outcome, 'skipped');
+    assert.equal(ledger.size, 3);
+});
+
+test('a failed item is not handled until it succeeds', () => {
+    const ledger = openLedger(join(dir, 'failed'));
+    ledger.record(post('p1'), 'failed', { error: 'LLM 500' });
+    ledger.record(post('p1'), 'failed', { error: 'LLM 500' });
+    assert.equal(ledger.handled(post('p1')), null);
+    assert.equal(ledger.get('post:p1').attempts, 2);
+    ledger.record(post('p1'), 'replied', { replyId: 'c1' });
+    assert.equal(ledger.handled(post('p1')).outcome, 'replied');
+    assert.throws(() => ledger.record(post('p1'), 'answered'), /Unknown ledger outcome/);
+});
+
+test('the ledger compacts to the newest keys', () => {
+    const path = join(dir, 'compact');
+    const ledger = openLedger(path, { keep: 3 });
+    for (let i = 1; i <= 7; i++) ledger.record(post(`p${i}`), 'skipped', { reason: 'backlog' });
+    const reopened = openLedger(path, { keep: 3 });
+    assert.deepEqual(reopened.entries().map(e => e.id), ['p5', 'p6', 'p7']);
+    assert.equal(reopened.handled(post('p1')), null);
+});
+
+test('deadLetters returns failed items that are due, with what the retry needs', () => {
+    const ledger = openLedger(join(dir, 'dead-letters'));
+    const now = Date.parse('2026-01-01T12:00:00Z');
+    const prompt = { systemPrompt: 'memory', messages: [{ role: 'user', content: 'Post due' }], metrics: {} };
+
+    ledger.record(post('due'), 'failed', { error: 'LLM 500', status: 500, retryAt: '2026-01-01T11:59:00Z', query: 'Post due', prompt, reply: null });
+    ledger.record(post('due'), 'failed', { error: 'LLM 500', status: 500, retryAt: '2026-01-01T11:59:30Z', query: 'Post due', prompt, reply: null });
+    ledger.record(post('written'), 'failed', { error: 'Moltbook 503', status: 503, retryAt: '2026-01-01T11:00:00Z', query: 'Post written', reply: 'Hello' });
+    ledger.record(post('later'), 'failed', { error: 'LLM 503', status: 503, retryAt: '2026-01-01T13:00:00Z', query: 'Post later' });
+    ledger.record(post('given-up'), 'failed', { error: 'LLM 400', status: 400, retryAt: null, query: 'Post given-up' });
+    ledger.record(post('unsure'), 'failed', {
+        error: 'timed out', status: null, retryAt: null, query: 'Post unsure', reply: 'Hi', note: 'may have been posted — check',
+    });
+    ledger.record(post('answered'), 'failed', { error: 'LLM 500', status: 500, retryAt: '2026-01-01T11:00:00Z', query: 'Post answered' });
+    ledger.record(post('answered'), 'replied', { replyId: 'c1' });
+
+    const due = ledger.deadLetters(now);
+    assert.deepEqual(due.map(d => d.id).sort(), ['due', 'written']);
+    const retry = due.find(d => d.id === 'due');
+    assert.equal(retry.attempts, 2);
+    assert.equal(retry.key, 'post:due');
+    assert.deepEqual(retry.prompt, prompt);
+    assert.equal(retry.reply, null);
+    assert.equal(due.find(d => d.id === 'written').reply, 'Hello');
+
+    // Reopened from disk, the queue is the same
+    const byId = (a, b) => a.id.localeCompare(b.id);
+    assert.deepEqual(openLedger(join(dir, 'dead-letters')).deadLetters(now).sort(byId), due.sort(byId));
+    assert.equal(ledger.get('post:unsure').note, 'may have been posted — check');
+    assert.equal(ledger.handled(post('due')), null);
+    assert.equal(ledger.handled(post('answered')).outcome, 'replied');
+});
@@ -0,0 +1,103 @@
+// Memory markup tests — node --test (npm test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DAESystem, parseMemoryMarkup, stripMemoryMarkup, applyMemoryMarkup } from '../dae-core.mjs';
+
+const NOW = '2026-01-01T00:00:00.000Z';
+
+// A seeded system whose clock reads `clock.now`
+function clockedSystem() {
+    const clock = { now: NOW };
+    const system = new DAESystem({ seed: 'markup', now: () => clock.now });
+    system.addToConscious('The standup meeting is at nine every morning.');
+    system.addToConscious('Basil grows best next to tomatoes.');
+    return { system, clock };
+}
+
+test('salient attributes parse, clamp and default', () => {
+    const [full, clamped, plain] = parseMemoryMarkup(
+        '<salient importance="high" tags="garden, basil," expires="7d">One</salient> ' +
+        "<salient importance='9' expires='2026-03-01'>Two</salient> " +
+        '<salient importance="loud" expires="soon">Three</salient>',
+        NOW,
+    );
+    assert.deepEqual(full, {
+        type: 'salient', text: 'One', old: null, importance: 5, tags: ['garden', 'basil'],
+        expiresAt: '2026-01-08T00:00:00.000Z',
+    });
+    assert.equal(clamped.importance, 5);
+    assert.equal(clamped.expiresAt, '2026-03-01T00:00:00.000Z');
+    assert.equal(plain.importance, null);
+    assert.equal(plain.expiresAt, null);
+    assert.deepEqual(plain.tags, []);
+});
+
+test('malformed markup is skipped without swallowing what follows', () => {
+    const directives = parseMemoryMarkup(
+        '<salient>never closed <revise old="the old fact">The new fact.</revise> ' +
+        '<salient importance=5>unquoted</salient> <forget></forget> <salient',
+        NOW,
+    );
+    assert.deepEqual(directives.map(d => [d.type, d.text, d.old, d.importance]), [
+        ['revise', 'The new fact.', 'the old fact', null],
+        ['salient', 'unquoted', null, null],
+        ['forget', '', null, null],
+    ]);
+    assert.deepEqual(parseMemoryMarkup('no markup at all', NOW), []);
+});
+
+test('stripMemoryMarkup drops forget blocks and unwraps the rest', () => {
+    assert.equal(
+        stripMemoryMarkup('Keep <salient importance="3">this</salient>.\n\n\n<forget>drop\nme</forget>\n\nEnd <revise old="x">fixed</revise>'),
+        'Keep this.\n\nEnd fixed',
+    );
+});
+
+test('revise and forget act on the closest conscious entry', () => {
+    const { system } = clockedSystem();
+    const [meeting, basil] = system.consciousEpisode.neighborhoods;
+
+    const report = applyMemoryMarkup(system,
+        '<revise old="The standup meeting is at nine every morning" tags="work">The standup meeting is at ten every morning.</revise> ' +
+        '<forget>Basil grows best next to tomatoes</forget> ' +
+        '<forget>Something never remembered</forget> ' +
+        '<revise old="Also never remembered">A brand new fact about oscillators.</revise> ' +
+        '<revise old="The standup meeting is at ten every morning"></revise>');
+
+    assert.deepEqual({ ...report, skipped: report.skipped.map(s => s.reason) }, {
+        salient: 1, repeats: 0, revised: 1, forgotten: 1,
+        skipped: ['no matching memory', 'empty revision'],
+    });
+    const revised = system.getConscious(meeting.id);
+    assert.equal(revised.text, 'The standup meeting is at ten every morning.');
+    assert.deepEqual(revised.tags, ['work']);
+    assert.equal(system.getConscious(basil.id), null);
+    assert.equal(system.consciousEpisode.neighborhoods.at(-1).text, 'A brand new fact about oscillators.');
+    assert.deepEqual(system.checkIndexes(), []);
+});
+
+test('pinned entries are never revised or forgotten by the model', () => {
+    const { system } = clockedSystem();
+    const [meeting] = system.consciousEpisode.neighborhoods;
+    system.pinConscious(meeting.id);
+
+    const report = applyMemoryMarkup(system, '<forget>The standup meeting is at nine every morning.</forget>');
+    assert.equal(report.forgotten, 0);
+    assert.deepEqual(report.skipped.map(s => s.reason), ['target is pinned']);
+    assert.ok(system.getConscious(meeting.id));
+});
+
+test('importance sets starting activation and expired entries are removed', () => {
+    const { system, clock } = clockedSystem();
+    applyMemoryMarkup(system, '<salient importance="4" expires="2d">The office is closed this week.</salient>');
+    const entry = system.consciousEpisode.neighborhoods.at(-1);
+    assert.equal(entry.importance, 4);
+    assert.ok(entry.occurrences.every(o => o.activationCount === 4));
+    assert.equal(entry.expiresAt, '2026-01-03T00:00:00.000Z');
+
+    assert.deepEqual(system.expireConscious(), []);
+    clock.now = '2026-01-03T00:00:00.000Z';
+    assert.deepEqual(system.expireConscious().map(n => n.id), [entry.id]);
+    assert.equal(system.consciousEpisode.neighborhoods.length, 2);
+});
@@ -0,0 +1,64 @@
+// Engine parameter tests — node --test (npm test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DAESystem, QueryEngine, ingestText, createParams, DEFAULT_PARAMS, THRESHOLD, NEIGHBORHOOD_RADIUS,
+} from '../dae-core.mjs';
+
+const TEXTS = [
+    'Phase coupling keeps memories in step. Kuramoto oscillators lock when their coupling is strong enough.',
+    'Oscillators drift apart when the coupling weakens. Phase locking breaks and memories scatter on the sphere.',
+    'The garden needs water every morning. Tomatoes and basil grow well together in the sun.',
+    'Basil and tomatoes share the garden bed. Water them in the morning before the sun is high.',
+    'Drift on the sphere pulls related words together. Anchored words stop drifting once activated enough.',
+];
+
+function sampleSystem(params) {
+    const system = new DAESystem({ seed: 'params', params });
+    TEXTS.forEach((text, i) => system.addEpisode(ingestText(text, `Episode ${i + 1}`, system)));
+    return system;
+}
+
+test('the defaults are the original constants', () => {
+    assert.deepEqual(createParams(), DEFAULT_PARAMS);
+    assert.equal(DEFAULT_PARAMS.threshold, THRESHOLD);
+    assert.equal(DEFAULT_PARAMS.neighborhoodRadius, NEIGHBORHOOD_RADIUS);
+    assert.equal(DEFAULT_PARAMS.centroidDriftAt, 200);
+    assert.equal(DEFAULT_PARAMS.longQueryTokens, 50);
+    assert.equal(DEFAULT_PARAMS.weightFloorShare, 0.1);
+    assert.equal(DEFAULT_PARAMS.novelMaxActivated, 2);
+});
+
+test('params are validated', () => {
+    assert.throws(() => createParams({ thresold: 0.5 }), /Unknown engine parameter "thresold"/);
+    assert.throws(() => createParams({ threshold: 0 }), /threshold must be a number > 0 and ≤ 1/);
+    assert.throws(() => createParams({ threshold: '0.5' }), /threshold/);
+    assert.throws(() => createParams({ centroidDriftAt: 2.5 }), /centroidDriftAt must be an integer/);
+    assert.throws(() => createParams({ neighborhoodRadius: 4 }), /neighborhoodRadius/);
+    assert.equal(createParams({ threshold: null }).threshold, THRESHOLD);
+    assert.ok(Object.isFrozen(createParams({ longQueryTokens: 10 })));
+});
+
+test('changed params are saved with the state, defaults are not', () => {
+    assert.equal(sampleSystem().toJSON().params, undefined);
+
+    const system = sampleSystem({ threshold: 0.4, novelMaxActivated: 5 });
+    assert.deepEqual(system.toJSON().params, { threshold: 0.4, novelMaxActivated: 5 });
+    for (const loaded of [DAESystem.fromJSON(system.toJSON()), DAESystem.fromBinary(system.toBinary())]) {
+        assert.deepEqual(loaded.params, system.params);
+    }
+    assert.equal(DAESystem.fromJSON(system.toJSON(), { params: { threshold: 0.6 } }).params.threshold, 0.6);
+});
+
+test("a QueryEngine's own params reach context composition", () => {
+    const system = sampleSystem();
+    const query = 'Phase coupling oscillators drift on the sphere';
+    const novel = (params) => new QueryEngine(system, params).peek(query).metrics.novel;
+
+    assert.equal(novel(null), 1);
+    assert.equal(novel({ novelMaxActivated: 1 }), 0);
+    const { trace } = new QueryEngine(system, { novelMaxActivated: 1 }).peek(query, { explain: true });
+    assert.ok(trace.candidates.some(c => /novel needs ≤ 1\)/.test(c.outcome)));
+    assert.equal(system.params.novelMaxActivated, 2);
+});
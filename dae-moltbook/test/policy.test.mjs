@@ -0,0 +1,105 @@
+// Reply policy tests — node --test (npm test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPolicy, decideReply } from '../dae-policy.mjs';
+
+const input = (recall) => ({
+    interaction: { type: 'post', author: 'someone', query: 'What do you remember about phase?' },
+    agentName: 'Echo', now: new Date('2026-01-01T12:00:00'), recall,
+});
+
+test('recall is peeked only when a recall rule is set', () => {
+    let peeks = 0;
+    const recall = () => { peeks++; return { activated: 4, recalled: 1 }; };
+
+    const open = decideReply(createPolicy(), input(recall));
+    assert.equal(open.reply, true);
+    assert.equal(peeks, 0);
+    assert.equal(open.signals.activated, undefined);
+
+    const denied = decideReply(createPolicy({ denyAuthors: ['someone'], minRecalled: 1 }), input(recall));
+    assert.equal(denied.rule, 'denyAuthors');
+    assert.equal(peeks, 0);
+
+    const gated = decideReply(createPolicy({ minActivated: 5 }), input(recall));
+    assert.equal(peeks, 1);
+    assert.equal(gated.rule, 'minActivated');
+    assert.deepEqual([gated.signals.activated, gated.signals.recalled], [4, 1]);
+
+    assert.equal(decideReply(createPolicy({ minRecalled: 1 }), input(recall)).reply, true);
+    assert.equal(peeks, 2);
+});
+
+const decide = (rules, interaction, extra = {}) => decideReply(createPolicy(rules), {
+    interaction: { type: 'post', author: 'someone', query: 'What do you remember about phase?', ...interaction },
+    agentName: 'Echo', now: new Date(2026, 0, 1, 12, 0), ...extra,
+});
+
+test('rules are checked in order and the first that fails decides', () => {
+    const rules = {
+        denyAuthors: ['Someone'], allowAuthors: ['ada'], mentionsOnly: true, minLength: 100,
+        quietHours: '11:00-13:00', maxPerThread: 1, maxPerAuthorPerHour: 1,
+    };
+    const history = { threadReplies: 1, authorRepliesLastHour: 1 };
+    const order = ['denyAuthors', 'allowAuthors', 'mentionsOnly', 'minLength', 'quietHours', 'maxPerThread', 'maxPerAuthorPerHour'];
+    for (const rule of order) {
+        const decision = decide(rules, {}, { history });
+        assert.equal(decision.reply, false);
+        assert.equal(decision.rule, rule);
+        delete rules[rule];
+    }
+    const decision = decide(rules, {}, { history });
+    assert.deepEqual([decision.reply, decision.rule], [true, null]);
+});
+
+test('quiet hours wrap midnight, in local time', () => {
+    const at = (h, m = 0) => ({ now: new Date(2026, 0, 1, h, m) });
+    const night = { quietHours: '23:00-07:00' };
+    assert.equal(decide(night, {}, at(23, 30)).rule, 'quietHours');
+    assert.equal(decide(night, {}, at(0)).rule, 'quietHours');
+    assert.equal(decide(night, {}, at(6, 59)).rule, 'quietHours');
+    assert.equal(decide(night, {}, at(7)).reply, true);
+    assert.equal(decide(night, {}, at(22, 59)).reply, true);
+
+    const lunch = { quietHours: { start: 12 * 60, end: 13 * 60 } };
+    assert.equal(decide(lunch, {}, at(12, 30)).rule, 'quietHours');
+    assert.equal(decide(lunch, {}, at(13)).reply, true);
+    assert.equal(decide({ quietHours: '9-9' }, {}, at(9)).reply, true, 'an empty window is never quiet');
+});
+
+test('bad quiet hours and counts are refused', () => {
+    for (const quietHours of ['24:00-07:00', '23:60-07:00', 'nights', { start: -1, end: 60 }, { start: 0, end: 1440 }, { start: '1', end: 2 }, { start: 60 }]) {
+        assert.throws(() => createPolicy({ quietHours }), /Quiet hours/, JSON.stringify(quietHours));
+    }
+    assert.deepEqual(createPolicy({ quietHours: { start: 0, end: 1439 } }).quietHours, { start: 0, end: 1439 });
+    assert.throws(() => createPolicy({ maxPerThread: -1 }), /integer ≥ 0/);
+    assert.throws(() => createPolicy({ minLength: 1.5 }), /integer ≥ 0/);
+    assert.throws(() => createPolicy({ replyToAll: true }), /Unknown policy rule/);
+});
+
+test('thread and author caps count what was already replied; 0 means no cap', () => {
+    const caps = { maxPerThread: 2, maxPerAuthorPerHour: 3 };
+    assert.equal(decide(caps, {}, { history: { threadReplies: 1, authorRepliesLastHour: 2 } }).reply, true);
+    assert.equal(decide(caps, {}, { history: { threadReplies: 2, authorRepliesLastHour: 0 } }).rule, 'maxPerThread');
+    const author = decide(caps, {}, { history: { threadReplies: 0, authorRepliesLastHour: 3 } });
+    assert.equal(author.rule, 'maxPerAuthorPerHour');
+    assert.equal(author.signals.authorRepliesLastHour, 3);
+    assert.equal(decide({ maxPerThread: 0 }, {}, { history: { threadReplies: 50 } }).reply, true);
+    assert.equal(decide(caps, {}).reply, true, 'no history is no replies');
+});
+
+test('mentionsOnly matches @name or name as a word, any case; replies always count', () => {
+    const only = { mentionsOnly: true };
+    for (const query of ['@Echo what about phase?', 'echo, what about phase?', 'Ask ECHO.', 'Echo']) {
+        assert.equal(decide(only, { query }).reply, true, query);
+    }
+    for (const query of ['Echoes of phase', 'an echo-chamber', 'my_echo thinks', 'e.c.h.o']) {
+        assert.equal(decide(only, { query }).rule, 'mentionsOnly', query);
+    }
+    assert.equal(decide(only, { type: 'reply', query: 'And then?' }).reply, true);
+    assert.equal(decideReply(createPolicy(only), {
+        interaction: { type: 'post', author: 'x', query: 'Hi @dae.bot' }, agentName: 'dae.bot',
+    }).reply, true, 'the name is matched literally');
+    assert.equal(decide({ denyAuthors: ['SOMEONE'] }, {}).rule, 'denyAuthors', 'authors compare case-insensitively');
+});
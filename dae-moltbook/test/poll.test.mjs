@@ -0,0 +1,114 @@
+// Polling tests — node --test (npm test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchSinceCursor, postInteraction, notificationInteraction } from '../dae-poll.mjs';
+
+// A newest-first listing of posts p<count>…p1, one minute apart
+function listing(count) {
+    const items = [];
+    for (let i = count; i >= 1; i--) {
+        items.push({ id: `p${i}`, created_at: new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString() });
+    }
+    const pages = [];
+    const fetchPage = async (page) => {
+        pages.push(page);
+        return items.slice((page - 1) * 3, page * 3);
+    };
+    // New posts go on top, pushing the rest down the pages
+    const add = (n) => {
+        for (let i = 1; i <= n; i++) {
+            const id = count + i;
+            items.unshift({ id: `p${id}`, created_at: new Date(Date.UTC(2026, 0, 1, 0, id)).toISOString() });
+        }
+        count += n;
+    };
+    return { items, pages, fetchPage, add };
+}
+
+const OPTIONS = { maxPages: 2, pageSize: 3 };
+const ids = (result) => result.items.map(i => i.id);
+
+test('with no cursor only the first page is read', async () => {
+    const feed = listing(10);
+    const result = await fetchSinceCursor(feed.fetchPage, null, OPTIONS);
+    assert.deepEqual(ids(result), ['p10', 'p9', 'p8']);
+    assert.deepEqual(feed.pages, [1]);
+    assert.equal(result.complete, true);
+    assert.equal(result.cursor.id, 'p10');
+});
+
+test('paging stops at the cursor by id or by time', async () => {
+    const feed = listing(10);
+    const byId = await fetchSinceCursor(feed.fetchPage, { id: 'p7', createdAt: null }, OPTIONS);
+    assert.deepEqual(ids(byId), ['p10', 'p9', 'p8']);
+    assert.equal(byId.complete, true);
+
+    // The cursor's own post was deleted: its time still stops the paging
+    const byTime = await fetchSinceCursor(feed.fetchPage, { id: 'gone', createdAt: feed.items[4].created_at }, OPTIONS);
+    assert.deepEqual(ids(byTime), ['p10', 'p9', 'p8', 'p7', 'p6']);
+    assert.equal(byTime.cursor.id, 'p10');
+
+    const nothingNew = await fetchSinceCursor(feed.fetchPage, byTime.cursor, OPTIONS);
+    assert.deepEqual(ids(nothingNew), []);
+    assert.deepEqual(nothingNew.cursor, byTime.cursor);
+});
+
+test('a burst longer than maxPages is read over several polls, none skipped', async () => {
+    const feed = listing(3);
+    let cursor = (await fetchSinceCursor(feed.fetchPage, null, OPTIONS)).cursor;
+    assert.equal(cursor.id, 'p3');
+
+    feed.add(7);    // p4…p10: more than two pages
+    const seen = [];
+    const first = await fetchSinceCursor(feed.fetchPage, cursor, OPTIONS);
+    assert.equal(first.complete, false);
+    assert.deepEqual(ids(first), ['p10', 'p9', 'p8', 'p7', 'p6', 'p5']);
+    assert.equal(first.cursor.id, 'p3', 'the cursor holds until the backlog is read');
+    assert.deepEqual(first.cursor.resume, { page: 3, newest: { id: 'p10', createdAt: feed.items[0].created_at } });
+    seen.push(...ids(first));
+    cursor = first.cursor;
+
+    feed.add(2);    // p11, p12 push everything down
+    feed.pages.length = 0;
+    const second = await fetchSinceCursor(feed.fetchPage, cursor, OPTIONS);
+    assert.deepEqual(feed.pages, [3, 4]);
+    assert.deepEqual(ids(second), ['p6', 'p5', 'p4']);
+    assert.equal(second.complete, true);
+    seen.push(...ids(second));
+    assert.equal(second.cursor.id, 'p10', 'newest from the interrupted poll becomes the cursor');
+    assert.equal(second.cursor.resume, undefined);
+
+    const third = await fetchSinceCursor(feed.fetchPage, second.cursor, OPTIONS);
+    seen.push(...ids(third));
+    for (let i = 4; i <= 12; i++) assert.ok(seen.includes(`p${i}`), `p${i} was read`);
+    assert.deepEqual(ids(third), ['p12', 'p11']);
+    assert.equal(third.cursor.id, 'p12');
+});
+
+test('a listing that ignores page= is read once', async () => {
+    const items = Array.from({ length: 3 }, (_, i) => ({ id: `p${3 - i}` }));
+    const result = await fetchSinceCursor(async () => items, { id: 'p0', createdAt: null }, OPTIONS);
+    assert.deepEqual(ids(result), ['p3', 'p2', 'p1']);
+    assert.equal(result.complete, true);
+});
+
+test('interactions are keyed by the item they are about', () => {
+    const post = postInteraction({ id: 'p1', title: 'Phases', content: 'Do they lock?', author: { name: 'ada' } });
+    assert.equal(post.key, 'post:p1');
+    assert.equal(post.query, 'Phases Do they lock?');
+    assert.equal(post.author, 'ada');
+
+    const comment = notificationInteraction({ id: 'n1', type: 'reply', post_id: 'p1', comment: { id: 'c1', content: 'Yes' } });
+    assert.equal(comment.key, 'comment:c1');
+    assert.deepEqual(comment.aliases, ['notification:n1']);
+
+    const aboutPost = notificationInteraction({ id: 'n2', type: 'post_mention', post_id: 'p1', content: 'Hey @dae' });
+    assert.equal(aboutPost.key, 'notification:n2');
+    assert.deepEqual(aboutPost.aliases, ['post:p1']);
+
+    // A reply that names no comment is not the post it replies to
+    const bare = notificationInteraction({ id: 'n3', type: 'reply', post_id: 'p1', content: 'And then?' });
+    assert.equal(bare.key, 'notification:n3');
+    assert.deepEqual(bare.aliases, []);
+});
@@ -0,0 +1,151 @@
+// Memory service tests — node --test (npm test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { request } from 'http';
+import { mkdtempSync, rmSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { memoryConfig, contextOptions } from '../dae-config.mjs';
+
+const SERVER = join(dirname(fileURLToPath(import.meta.url)), '..', 'dae-server.mjs');
+
+// Starts dae-server.mjs on a free port in a fresh state directory and
+// resolves once it prints its URL
+function startServer(t, env = {}) {
+    const stateDir = mkdtempSync(join(tmpdir(), 'dae-server-'));
+    const child = spawn(process.execPath, [SERVER, '--port', '0'], {
+        env: { ...process.env, DAE_STATE_DIR: stateDir, DAE_SERVER_SAVE_SECONDS: '0', ...env },
+        stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    t.after(async () => {
+        if (child.exitCode === null) child.kill();
+        await exited;
+        rmSync(stateDir, { recursive: true, force: true });
+    });
+    let output = '';
+    child.stderr.on('data', chunk => { output += chunk; });
+    return new Promise((resolve, reject) => {
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            const match = output.match(/DAE memory service: (http:\/\/\S+\/)/);
+            if (match) resolve({ child, url: match[1], stateDir, exited });
+        });
+        child.once('exit', code => reject(new Error(`Server exited (${code}): ${output}`)));
+    });
+}
+
+// node:http rather than fetch, which will not send a Host header of our choosing
+function call(url, path, { method = 'GET', body, headers = {} } = {}) {
+    const data = body === undefined ? null : typeof body === 'string' ? body : JSON.stringify(body);
+    const allHeaders = data === null ? headers : { 'Content-Type': 'application/json', ...headers };
+    return new Promise((resolve, reject) => {
+        const req = request(new URL(path, url), { method, headers: allHeaders }, res => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: text ? JSON.parse(text) : null }));
+        });
+        req.on('error', reject);
+        req.end(data);
+    });
+}
+
+test('shared config gives the agent and the service the same defaults', () => {
+    const config = memoryConfig({});
+    assert.equal(config.contextBudgetTokens, 0);
+    assert.equal(config.chunker.strategy, 'sentences');
+    assert.deepEqual(contextOptions(config), { slots: { conscious: 1, subconscious: 2, novel: 1 }, budget: null });
+    assert.deepEqual(contextOptions(config, { budgetTokens: 300, slots: { novel: 0 } }).budget, { tokens: 300 });
+    assert.throws(() => contextOptions(config, { budgetTokens: 'abc' }), /budgetTokens/);
+    assert.throws(() => contextOptions(config, { slots: { conscious: -5 } }), /slots\.conscious/);
+    assert.throws(() => contextOptions(config, { slots: { dreams: 1 } }), /Unknown slot/);
+});
+
+test('the service ingests, queries and replies, one request at a time', async (t) => {
+    const { url } = await startServer(t);
+
+    // Fired together, but served in order: every ingest gets its own episode
+    const texts = Array.from({ length: 8 }, (_, i) =>
+        `Note ${i}: phase coupling keeps oscillator ${i} in step. Drift pulls related words together.`);
+    const results = await Promise.all([
+        ...texts.map((text, i) => call(url, '/ingest', { method: 'POST', body: { text, name: `Note ${i}` } })),
+        ...texts.map(() => call(url, '/query', { method: 'POST', body: { query: 'How do oscillators stay in step?' } })),
+    ]);
+    assert.ok(results.every(r => r.status === 200), JSON.stringify(results.find(r => r.status !== 200)));
+    const ingests = results.slice(0, texts.length).map(r => r.body);
+    assert.equal(new Set(ingests.map(r => r.episodeId)).size, texts.length);
+    const episodes = (await call(url, '/episodes')).body;
+    assert.equal(episodes.length, texts.length);
+    const health = (await call(url, '/health')).body;
+    assert.equal(health.N, ingests.reduce((sum, r) => sum + r.occurrences, 0));
+
+    const queried = results[texts.length].body;
+    assert.ok(queried.interactionId);
+    assert.ok(queried.systemPrompt.includes(queried.context));
+    const replied = await call(url, '/reply', {
+        method: 'POST',
+        body: { interactionId: queried.interactionId, reply: 'They lock. <salient>Coupled oscillators lock in phase</salient>' },
+    });
+    assert.equal(replied.status, 200);
+    assert.equal(replied.body.cleaned, 'They lock. Coupled oscillators lock in phase');
+    assert.equal((await call(url, '/conscious')).body.length, 1);
+
+    const before = (await call(url, '/health')).body.N;
+    const peeked = await call(url, '/query', { method: 'POST', body: { query: 'oscillators', peek: true } });
+    assert.equal(peeked.body.interactionId, null);
+    assert.equal((await call(url, '/health')).body.N, before);
+});
+
+test('the service rejects bad requests with the right status', async (t) => {
+    const { url } = await startServer(t, { DAE_SERVER_MAX_BODY: '1024' });
+
+    assert.equal((await call(url, '/nothing')).status, 404);
+    assert.equal((await call(url, '/health', { headers: { Host: 'attacker.example:8766' } })).status, 403);
+    assert.equal((await call(url, '/ingest', { method: 'POST', body: 'text=hi', headers: { 'Content-Type': 'text/plain' } })).status, 415);
+    assert.equal((await call(url, '/ingest', { method: 'POST', body: '{not json' })).status, 400);
+    assert.equal((await call(url, '/ingest', { method: 'POST', body: [1, 2] })).status, 400);
+    assert.equal((await call(url, '/ingest', { method: 'POST', body: { text: '' } })).status, 400);
+    assert.equal((await call(url, '/ingest', { method: 'POST', body: { text: 'x'.repeat(2048) } })).status, 413);
+
+    const badBudget = await call(url, '/query', { method: 'POST', body: { query: 'phases', budgetTokens: 'abc' } });
+    assert.equal(badBudget.status, 400);
+    assert.match(badBudget.body.error, /budgetTokens/);
+    const badSlots = await call(url, '/query', { method: 'POST', body: { query: 'phases', slots: { conscious: -5 } } });
+    assert.equal(badSlots.status, 400);
+    assert.match(badSlots.body.error, /slots\.conscious/);
+
+    // A rejected request changes nothing and the service keeps serving
+    const health = await call(url, '/health');
+    assert.equal(health.status, 200);
+    assert.equal(health.body.N, 0);
+});
+
+test('the service requires the bearer token when one is set', async (t) => {
+    const { url } = await startServer(t, { DAE_SERVER_TOKEN: 'sesame' });
+    assert.equal((await call(url, '/health')).status, 401);
+    assert.equal((await call(url, '/health', { headers: { Authorization: 'Bearer wrong!' } })).status, 401);
+    assert.equal((await call(url, '/health', { headers: { Authorization: 'Bearer sesame' } })).status, 200);
+});
+
+test('the service autosaves changes and saves on shutdown', async (t) => {
+    const autosaving = await startServer(t, { DAE_SERVER_SAVE_SECONDS: '1' });
+    const statePath = join(autosaving.stateDir, 'dae-state.json');
+    await call(autosaving.url, '/ingest', { method: 'POST', body: { text: 'The garden needs water every morning.' } });
+    assert.equal((await call(autosaving.url, '/health')).body.dirty, true);
+    const deadline = Date.now() + 10000;
+    while (!existsSync(statePath) && Date.now() < deadline) await new Promise(r => setTimeout(r, 100));
+    assert.ok(existsSync(statePath), 'autosaved within the interval');
+    assert.equal((await call(autosaving.url, '/health')).body.dirty, false);
+
+    const manual = await startServer(t);
+    const manualPath = join(manual.stateDir, 'dae-state.json');
+    await call(manual.url, '/ingest', { method: 'POST', body: { text: 'Basil and tomatoes share the garden bed.' } });
+    assert.ok(!existsSync(manualPath));
+    manual.child.kill('SIGTERM');
+    assert.equal(await manual.exited, 0);
+    assert.ok(existsSync(manualPath), 'saved on SIGTERM');
+});
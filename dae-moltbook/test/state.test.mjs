@@ -0,0 +1,252 @@
+// State file tests — node --test (npm test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { mkdtempSync, rmSync, readFileSync, writeFileSync, readdirSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { DAESystem, ingestText, isDAEBinary } from '../dae-core.mjs';
+import {
+    readStateFile, writeStateFile, stateFileName, encodeState,
+    writeFileAtomic, verifyChecksum, loadStateWithRecovery, recoverState,
+    listSnapshots, pruneSnapshots, takeSnapshot, findSnapshot, diffSystems,
+} from '../dae-state.mjs';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+function sampleState(seed = 'state') {
+    const system = new DAESystem({ seed });
+    system.addEpisode(ingestText('Phase coupling keeps memories in step.', 'One', system));
+    system.addEpisode(ingestText('The garden needs water every morning.', 'Two', system));
+    system.addToConscious('Phase locking is how memories stay coherent.');
+    return {
+        version: '0.7.2',
+        timestamp: '2026-01-01T00:00:00.000Z',
+        system,
+        conversationHistory: [{ role: 'user', content: 'hello' }],
+        conversationBuffer: [],
+    };
+}
+
+function withTempDir(fn) {
+    const dir = mkdtempSync(join(tmpdir(), 'dae-state-test-'));
+    try { return fn(dir); } finally { rmSync(dir, { recursive: true, force: true }); }
+}
+
+// Run one of the repo's scripts against a state directory; returns stdout
+function run(script, dir, ...args) {
+    return execFileSync(process.execPath, [join(root, script), ...args], {
+        env: { ...process.env, DAE_STATE_DIR: dir, DAE_STATE_FORMAT: 'json' },
+        stdio: 'pipe',
+        timeout: 30000,
+    }).toString();
+}
+
+test('import-state --convert goes JSON → binary → JSON unchanged', () => withTempDir((dir) => {
+    const state = sampleState();
+    const json = join(dir, 'in.json');
+    const bin = join(dir, 'out.bin');
+    const back = join(dir, 'back.json');
+    writeStateFile(json, state);
+
+    run('import-state.mjs', dir, '--convert', json, bin);
+    run('import-state.mjs', dir, '--convert', bin, back);
+
+    assert.ok(isDAEBinary(readFileSync(bin)));
+    const fromBin = readStateFile(bin);
+    const fromJSON = readStateFile(back);
+    assert.equal(fromBin.format, 'binary');
+    assert.equal(fromJSON.format, 'json');
+    for (const data of [fromBin, fromJSON]) {
+        assert.equal(JSON.stringify(data.system.toJSON()), JSON.stringify(state.system.toJSON()));
+        assert.equal(data.timestamp, state.timestamp);
+        assert.deepEqual(data.conversationHistory, state.conversationHistory);
+    }
+}));
+
+test('snapshots rotate, keeping the newest', () => withTempDir((dir) => {
+    assert.equal(takeSnapshot(dir), null);
+    writeStateFile(join(dir, stateFileName('json')), sampleState());
+
+    const taken = [1, 2, 3, 4].map(i => takeSnapshot(dir, { reason: `step ${i}`, keep: 3 }).name);
+    const names = listSnapshots(dir).map(s => s.name);
+    assert.deepEqual(names, taken.slice(1));
+    assert.ok(names.every(n => /_step-\d\.json$/.test(n)));
+
+    assert.deepEqual(pruneSnapshots(dir, 1).map(s => s.name), taken.slice(1, 3));
+    assert.deepEqual(listSnapshots(dir).map(s => s.name), [taken[3]]);
+
+    const [only] = listSnapshots(dir);
+    assert.equal(findSnapshot(dir, only.name.slice(0, 10)).name, only.name);
+    assert.equal(findSnapshot(dir, 'nope'), null);
+    takeSnapshot(dir);
+    assert.throws(() => findSnapshot(dir, only.name.slice(0, 4)), /Ambiguous/);
+}));
+
+test('diffSystems reports episodes and conscious entries by id', () => {
+    const before = sampleState().system;
+    const after = DAESystem.fromJSON(before.toJSON(), { seed: 'after' });
+    const [first, second] = after.episodes;
+    after.removeEpisode(first);
+    after.removeNeighborhood(second.neighborhoods[0].id);
+    after.addEpisode(ingestText('A new episode about basil.', 'Three', after));
+    const conscious = after.consciousEpisode.neighborhoods[0];
+    conscious.text = 'Phase locking keeps memories coherent.';
+    after.addToConscious('Water the basil at noon.');
+
+    const diff = diffSystems(before, after);
+    assert.deepEqual(diff.N, { before: before.N, after: after.N });
+    assert.deepEqual(diff.episodes.added.map(e => e.name), ['Three']);
+    assert.deepEqual(diff.episodes.removed.map(e => e.name), ['One']);
+    assert.deepEqual(diff.episodes.changed.map(e => [e.name, e.countBefore > e.count]), [['Two', true]]);
+    assert.deepEqual(diff.conscious.added.map(n => n.text), ['Water the basil at noon.']);
+    assert.deepEqual(diff.conscious.removed, []);
+    assert.deepEqual(diff.conscious.edited, [{
+        id: conscious.id, text: conscious.text, textBefore: 'Phase locking is how memories stay coherent.',
+    }]);
+});
+
+test('snapshot restore puts an old state back and snapshots the current one first', () => withTempDir((dir) => {
+    const path = join(dir, stateFileName('json'));
+    const original = sampleState();
+    writeStateFile(path, original);
+    const saved = takeSnapshot(dir, { reason: 'before' });
+
+    const changed = { ...original, system: DAESystem.fromJSON(original.system.toJSON(), { seed: 'changed' }) };
+    changed.system.addToConscious('Something the restore should undo.');
+    writeStateFile(path, changed);
+
+    const diff = JSON.parse(run('dae-cli.mjs', dir, 'snapshot', 'diff', saved.name, '--json'));
+    assert.deepEqual(diff.conscious.added.map(n => n.text), ['Something the restore should undo.']);
+
+    const out = run('dae-cli.mjs', dir, 'snapshot', 'restore', saved.name);
+    assert.match(out, new RegExp(`Restored ${saved.name}`));
+    assert.equal(JSON.stringify(readStateFile(path).system.toJSON()), JSON.stringify(original.system.toJSON()));
+
+    const preRestore = listSnapshots(dir).find(s => s.reason === 'pre-restore');
+    assert.ok(preRestore && existsSync(preRestore.path));
+    assert.equal(readStateFile(preRestore.path).system.N, changed.system.N);
+}));
+
+test('writeFileAtomic replaces the file and leaves no temp file behind', () => withTempDir((dir) => {
+    const path = join(dir, 'file.txt');
+    writeFileAtomic(path, 'first');
+    writeFileAtomic(path, new Uint8Array([115, 101, 99, 111, 110, 100]));
+    assert.equal(readFileSync(path, 'utf-8'), 'second');
+    assert.deepEqual(readdirSync(dir), ['file.txt']);
+}));
+
+test('each save keeps the file it replaces as .bak, both checksummed', () => withTempDir((dir) => {
+    for (const format of ['json', 'binary']) {
+        const path = join(dir, stateFileName(format));
+        const first = sampleState();
+        const second = { ...first, timestamp: '2026-02-01T00:00:00.000Z' };
+        writeStateFile(path, first, format);
+        assert.ok(!existsSync(`${path}.bak`));
+        writeStateFile(path, second, format);
+
+        const current = readStateFile(path);
+        const backup = readStateFile(`${path}.bak`);
+        assert.equal(current.checksum, 'ok');
+        assert.equal(backup.checksum, 'ok');
+        assert.equal(current.timestamp, second.timestamp);
+        assert.equal(backup.timestamp, first.timestamp);
+        assert.equal(verifyChecksum(Buffer.from(encodeState(first, format))), 'missing');
+    }
+}));
+
+test('a checksum mismatch refuses to load', () => withTempDir((dir) => {
+    const json = join(dir, 'state.json');
+    writeStateFile(json, sampleState());
+    writeFileSync(json, readFileSync(json, 'utf-8').replace('"version":"0.7.2"', '"version":"0.7.3"'));
+    assert.throws(() => readStateFile(json), /checksum mismatch/);
+
+    const bin = join(dir, 'state.bin');
+    writeStateFile(bin, sampleState());
+    const bytes = readFileSync(bin);
+    bytes[Math.floor(bytes.length / 2)] ^= 0xff;
+    writeFileSync(bin, bytes);
+    assert.throws(() => readStateFile(bin), /checksum mismatch/);
+}));
+
+// Save twice so the main file has a .bak, then damage the main file
+function savedTwice(dir, format) {
+    const path = join(dir, stateFileName(format));
+    writeStateFile(path, sampleState(), format);
+    writeStateFile(path, { ...sampleState(), timestamp: '2026-02-01T00:00:00.000Z' }, format);
+    return path;
+}
+
+test('a corrupt JSON state falls back to its .bak', () => withTempDir((dir) => {
+    const path = savedTwice(dir, 'json');
+    writeFileSync(path, readFileSync(path, 'utf-8').slice(0, 200));
+
+    const { path: loaded, data, failures } = loadStateWithRecovery(dir, 'json');
+    assert.equal(loaded, `${path}.bak`);
+    assert.equal(data.timestamp, '2026-01-01T00:00:00.000Z');
+    assert.deepEqual(failures.map(f => f.path), [path]);
+}));
+
+test('a truncated binary state falls back to its .bak, checksum or not', () => withTempDir((dir) => {
+    const path = savedTwice(dir, 'binary');
+    const full = readFileSync(path);
+    const bare = encodeState(sampleState(), 'binary');
+    // Inside the sections, exactly at the end marker, inside the checksum trailer
+    const cuts = [full.subarray(0, 100), full.subarray(0, bare.byteLength - 6), full.subarray(0, full.length - 10), bare.subarray(0, bare.byteLength - 6)];
+    for (const cut of cuts) {
+        writeFileSync(path, cut);
+        const { path: loaded, failures } = loadStateWithRecovery(dir, 'binary');
+        assert.equal(loaded, `${path}.bak`);
+        assert.deepEqual(failures.map(f => f.path), [path]);
+    }
+}));
+
+test('recovery tries the preferred file and .bak, the other format, then snapshots', () => withTempDir((dir) => {
+    const json = savedTwice(dir, 'json');
+    takeSnapshot(dir, { reason: 'older' });
+    takeSnapshot(dir, { reason: 'newer' });
+    const bin = savedTwice(dir, 'binary');
+
+    const order = [json, `${json}.bak`, bin, `${bin}.bak`];
+    for (const broken of order) {
+        const { path } = loadStateWithRecovery(dir, 'json');
+        assert.equal(path, broken);
+        writeFileSync(broken, 'not a state');
+    }
+    const { path, failures } = loadStateWithRecovery(dir, 'json');
+    assert.equal(path, listSnapshots(dir).find(s => s.reason === 'newer').path);
+    assert.deepEqual(failures.map(f => f.path), order);
+}));
+
+test('recoverState quarantines damaged files but never starts fresh on its own', () => withTempDir((dir) => {
+    const path = savedTwice(dir, 'json');
+    writeFileSync(path, '{"broken"');
+
+    const recovered = recoverState(dir, 'json');
+    assert.equal(recovered.path, `${path}.bak`);
+    assert.equal(recovered.refused, false);
+    assert.equal(recovered.quarantined.length, 1);
+    assert.ok(!existsSync(path));
+    assert.ok(existsSync(recovered.quarantined[0].to));
+    assert.match(recovered.quarantined[0].to, /dae-state\.json\.corrupt-/);
+
+    writeFileSync(path, '{"broken"');
+    writeFileSync(`${path}.bak`, '{"broken"');
+    const refused = recoverState(dir, 'json');
+    assert.equal(refused.data, null);
+    assert.equal(refused.refused, true);
+    assert.deepEqual(refused.quarantined, []);
+    assert.ok(existsSync(path));
+
+    const fresh = recoverState(dir, 'json', { forceFresh: true });
+    assert.equal(fresh.data, null);
+    assert.equal(fresh.refused, false);
+    assert.deepEqual(fresh.quarantined.map(q => q.path), [path]);
+    assert.ok(!existsSync(path));
+
+    assert.deepEqual(recoverState(mkdtempSync(join(dir, 'empty-')), 'json'), {
+        path: null, data: null, failures: [], quarantined: [], refused: false,
+    });
+}));
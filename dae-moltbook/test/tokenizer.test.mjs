@@ -0,0 +1,60 @@
+// Tokenizer tests — node --test (npm test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DAESystem, ingestText, tokenize, createTokenizer, lightStem, sameTokenizer,
+} from '../dae-core.mjs';
+
+test('the unicode tokenizer keeps words in any script', () => {
+    const tokenizer = createTokenizer();
+    assert.deepEqual(tokenizer.tokenize('Café naïve Привет мир, ｆｕｌｌ width'), ['café', 'naïve', 'привет', 'мир', 'full', 'width']);
+    assert.deepEqual(tokenizer.tokenize('It’s the dog’s bone'), ["it's", 'the', "dog's", 'bone']);
+
+    // Scripts without spaces are segmented, never kept as one run
+    const tokens = tokenizer.tokenize('東京に行きました');
+    assert.ok(tokens.length > 1);
+    assert.equal(tokens.join(''), '東京に行きました');
+});
+
+test('stopwords and light stemming apply after splitting', () => {
+    const tokenizer = createTokenizer({ stopwords: 'en', stem: 'light' });
+    assert.deepEqual(
+        tokenizer.tokenize("The cats were running quickly through the gardens, and it's fine."),
+        ['cat', 'run', 'quick', 'garden', 'fine'],
+    );
+    assert.deepEqual(createTokenizer({ stopwords: ['basil'] }).tokenize('Basil and tomatoes'), ['and', 'tomatoes']);
+
+    assert.deepEqual(
+        ['stories', 'boxes', 'running', 'jumped', 'class', 'bus', 'is', 'cat', 'straße'].map(lightStem),
+        ['story', 'box', 'run', 'jump', 'class', 'bus', 'is', 'cat', 'straße'],
+    );
+
+    assert.throws(() => createTokenizer({ type: 'nope' }), /Unknown tokenizer/);
+    assert.throws(() => createTokenizer({ stem: 'porter' }), /Unknown stemmer/);
+    assert.throws(() => createTokenizer({ stopwords: 'xx' }), /Unknown stopword list/);
+});
+
+test('states saved before tokenizers load with the legacy splitter', () => {
+    assert.deepEqual(tokenize('Café naïve'), ['caf', 'na', 've']);
+
+    const system = new DAESystem({ seed: 'test', tokenizer: { type: 'legacy' } });
+    system.addEpisode(ingestText('Café naïve gardens.', 'Old', system));
+    const data = system.toJSON();
+    delete data.tokenizer;
+
+    const loaded = DAESystem.fromJSON(data, { tokenizer: { type: 'unicode' } });
+    assert.equal(loaded.tokenizer.type, 'legacy');
+    assert.deepEqual(loaded.tokenize('Café'), ['caf']);
+    assert.ok(loaded.episodes[0].neighborhoods[0].occurrences.some(o => o.word === 'caf'));
+});
+
+test('a saved tokenizer survives JSON and binary round trips', () => {
+    const descriptor = { type: 'unicode', stopwords: 'en', stem: 'light' };
+    const system = new DAESystem({ seed: 'test', tokenizer: descriptor });
+    system.addEpisode(ingestText('The gardens were watered.', 'One', system));
+
+    assert.ok(sameTokenizer(DAESystem.fromJSON(system.toJSON()).tokenizer, descriptor));
+    assert.ok(sameTokenizer(DAESystem.fromBinary(system.toBinary()).tokenizer, descriptor));
+    assert.ok(!sameTokenizer(descriptor, { type: 'unicode' }));
+});